@@ -4,6 +4,7 @@
 
 -- Enable UUID extension for better primary keys
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
 
 -- Companies table - main entity for business directory
 CREATE TABLE companies (
@@ -88,6 +89,16 @@ CREATE TABLE users (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Refresh tokens for API sessions (only the SHA-256 hash is stored)
+CREATE TABLE user_refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- User saved companies (bookmarks)
 CREATE TABLE user_saved_companies (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -128,7 +139,7 @@ CREATE TABLE user_interactions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     company_id UUID REFERENCES companies(id) ON DELETE CASCADE,
-    interaction_type VARCHAR(50) NOT NULL, -- view, search, external_link, note, task
+    interaction_type VARCHAR(50) NOT NULL, -- view, search, external_link, linkedin_lookup, note, task
     interaction_data JSONB, -- Flexible data storage for different interaction types
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
@@ -139,14 +150,98 @@ CREATE TABLE user_saved_searches (
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     search_name VARCHAR(255) NOT NULL,
     search_criteria JSONB NOT NULL, -- Store search parameters as JSON
+    last_run_at TIMESTAMP WITH TIME ZONE, -- Companies added after this are "new" matches
+    last_result_count INTEGER,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Per-user UI preferences such as the company table layout, one JSON value per key
+CREATE TABLE user_preferences (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    preference_key VARCHAR(100) NOT NULL,
+    preference_value JSONB NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, preference_key)
+);
+
+-- Team-wide tags on companies, shared by all users
+CREATE TABLE company_tags (
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    tag VARCHAR(50) NOT NULL, -- Stored lowercase
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (company_id, tag)
+);
+
+-- The user who owns each company's account (at most one per company)
+CREATE TABLE company_owners (
+    company_id UUID PRIMARY KEY REFERENCES companies(id) ON DELETE CASCADE,
+    owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    assigned_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    assigned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Named company lists (e.g. territories) owned by one user and shareable with teammates
+CREATE TABLE company_lists (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    list_name VARCHAR(255) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Companies on a list, in list order, with a per-list note
+CREATE TABLE company_list_items (
+    list_id UUID NOT NULL REFERENCES company_lists(id) ON DELETE CASCADE,
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    position DOUBLE PRECISION NOT NULL, -- Fractional so a move only rewrites one row
+    notes TEXT,
+    added_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    added_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (list_id, company_id)
+);
+
+-- Teammates a list is shared with
+CREATE TABLE company_list_shares (
+    list_id UUID NOT NULL REFERENCES company_lists(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    permission VARCHAR(10) NOT NULL CHECK (permission IN ('view', 'edit')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (list_id, user_id)
+);
+
+-- One row per crawled site (keyed by site origin and company name) with when it was crawled
+CREATE TABLE company_sitemap_crawls (
+    cache_key TEXT PRIMARY KEY,
+    total_found INTEGER NOT NULL DEFAULT 0,
+    subdomains_checked INTEGER NOT NULL DEFAULT 0,
+    crawled_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Top-scoring sitemap pages from each crawl, in relevance order
+CREATE TABLE company_sitemap_pages (
+    cache_key TEXT NOT NULL REFERENCES company_sitemap_crawls(cache_key) ON DELETE CASCADE,
+    rank INTEGER NOT NULL,
+    url TEXT NOT NULL,
+    title TEXT,
+    category VARCHAR(50),
+    lastmod TEXT,
+    changefreq VARCHAR(20),
+    priority REAL,
+    relevance_score REAL,
+    description TEXT,
+    image_url TEXT,
+    PRIMARY KEY (cache_key, rank)
+);
+
 -- INDEXES for optimal search performance
 
 -- Primary search indexes
 CREATE INDEX idx_companies_search_vector ON companies USING gin(search_vector);
 CREATE INDEX idx_companies_company_name ON companies USING gin(company_name gin_trgm_ops);
+CREATE INDEX idx_companies_tradestyle_trgm ON companies USING gin(tradestyle gin_trgm_ops);
+CREATE INDEX idx_companies_city_trgm ON companies USING gin(city gin_trgm_ops);
 CREATE INDEX idx_companies_industry ON companies(industry);
 CREATE INDEX idx_companies_city ON companies(city);
 CREATE INDEX idx_companies_state ON companies(state);
@@ -161,12 +256,21 @@ CREATE INDEX idx_contacts_is_primary ON contacts(is_primary) WHERE is_primary =
 CREATE INDEX idx_contacts_title_priority ON contacts(title_priority);
 
 -- User feature indexes
+CREATE INDEX idx_user_refresh_tokens_user_id ON user_refresh_tokens(user_id);
 CREATE INDEX idx_user_saved_companies_user_id ON user_saved_companies(user_id);
 CREATE INDEX idx_user_company_notes_user_company ON user_company_notes(user_id, company_id);
 CREATE INDEX idx_user_tasks_user_id ON user_tasks(user_id);
 CREATE INDEX idx_user_tasks_due_date ON user_tasks(due_date) WHERE is_completed = false;
 CREATE INDEX idx_user_interactions_user_id ON user_interactions(user_id);
 CREATE INDEX idx_user_interactions_company_id ON user_interactions(company_id);
+CREATE INDEX idx_user_saved_searches_user_id ON user_saved_searches(user_id);
+CREATE INDEX idx_companies_created_at ON companies(created_at);
+CREATE INDEX idx_company_tags_tag ON company_tags(tag);
+CREATE INDEX idx_company_owners_owner_user_id ON company_owners(owner_user_id);
+CREATE INDEX idx_company_lists_owner_user_id ON company_lists(owner_user_id);
+CREATE INDEX idx_company_list_items_list_position ON company_list_items(list_id, position);
+CREATE INDEX idx_company_list_shares_user_id ON company_list_shares(user_id);
+CREATE INDEX idx_company_sitemap_crawls_crawled_at ON company_sitemap_crawls(crawled_at);
 
 -- TRIGGERS for maintaining data integrity and search optimization
 
@@ -254,13 +358,24 @@ FROM companies c;
 COMMENT ON TABLE companies IS 'Main companies directory with search optimization';
 COMMENT ON TABLE contacts IS 'Individual contacts associated with companies';
 COMMENT ON TABLE users IS 'User accounts for CRM features';
+COMMENT ON TABLE user_refresh_tokens IS 'Hashed refresh tokens for API sessions';
 COMMENT ON TABLE user_saved_companies IS 'User bookmarked companies';
 COMMENT ON TABLE user_company_notes IS 'User notes on companies';
 COMMENT ON TABLE user_tasks IS 'User tasks related to companies and contacts';
 COMMENT ON TABLE user_interactions IS 'User interaction history for analytics';
 COMMENT ON TABLE user_saved_searches IS 'User saved search configurations';
+COMMENT ON TABLE user_preferences IS 'Per-user UI preferences keyed by name (e.g. companyView)';
+COMMENT ON TABLE company_tags IS 'Team-wide company tags';
+COMMENT ON TABLE company_owners IS 'Account owner assigned to each company';
+COMMENT ON TABLE company_lists IS 'Named company lists shareable across the team';
+COMMENT ON TABLE company_list_items IS 'Ordered companies on each list with notes';
+COMMENT ON TABLE company_list_shares IS 'Users a list is shared with, read-only or editable';
+COMMENT ON TABLE company_sitemap_crawls IS 'Sitemap crawl per company site, for the persistent sitemap cache';
+COMMENT ON TABLE company_sitemap_pages IS 'Most relevant sitemap pages found by each crawl';
 
 COMMENT ON COLUMN companies.search_vector IS 'Full-text search index for company search';
 COMMENT ON COLUMN companies.revenue_numeric IS 'Revenue in decimal format for calculations';
 COMMENT ON COLUMN companies.revenue_formatted IS 'Human-readable revenue display';
 COMMENT ON COLUMN contacts.title_priority IS '1=CEO/President, 2=VP, 3=Director, 4=Manager, 5=Other';
+COMMENT ON COLUMN company_sitemap_pages.description IS 'Meta description of the page, for link previews';
+COMMENT ON COLUMN company_sitemap_pages.image_url IS 'og:image of the page, for link previews';
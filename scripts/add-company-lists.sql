@@ -0,0 +1,40 @@
+-- COMPANY LISTS MIGRATION
+-- Named, ordered company lists (e.g. territories) shared across the team
+
+-- Named company lists (e.g. territories) owned by one user and shareable with teammates
+CREATE TABLE IF NOT EXISTS company_lists (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    list_name VARCHAR(255) NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Companies on a list, in list order, with a per-list note
+CREATE TABLE IF NOT EXISTS company_list_items (
+    list_id UUID NOT NULL REFERENCES company_lists(id) ON DELETE CASCADE,
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    position DOUBLE PRECISION NOT NULL, -- Fractional so a move only rewrites one row
+    notes TEXT,
+    added_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    added_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (list_id, company_id)
+);
+
+-- Teammates a list is shared with
+CREATE TABLE IF NOT EXISTS company_list_shares (
+    list_id UUID NOT NULL REFERENCES company_lists(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    permission VARCHAR(10) NOT NULL CHECK (permission IN ('view', 'edit')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (list_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_lists_owner_user_id ON company_lists(owner_user_id);
+CREATE INDEX IF NOT EXISTS idx_company_list_items_list_position ON company_list_items(list_id, position);
+CREATE INDEX IF NOT EXISTS idx_company_list_shares_user_id ON company_list_shares(user_id);
+
+COMMENT ON TABLE company_lists IS 'Named company lists shareable across the team';
+COMMENT ON TABLE company_list_items IS 'Ordered companies on each list with notes';
+COMMENT ON TABLE company_list_shares IS 'Users a list is shared with, read-only or editable';
@@ -0,0 +1,30 @@
+-- COMPANY SITEMAP CACHE MIGRATION
+-- Crawled sitemap pages kept across restarts and shared by every API instance
+-- (used when SITEMAP_CACHE=postgres, the default)
+
+-- One row per crawled site (keyed by site origin and company name) with when it was crawled
+CREATE TABLE IF NOT EXISTS company_sitemap_crawls (
+    cache_key TEXT PRIMARY KEY,
+    total_found INTEGER NOT NULL DEFAULT 0,
+    subdomains_checked INTEGER NOT NULL DEFAULT 0,
+    crawled_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Top-scoring sitemap pages from each crawl, in relevance order
+CREATE TABLE IF NOT EXISTS company_sitemap_pages (
+    cache_key TEXT NOT NULL REFERENCES company_sitemap_crawls(cache_key) ON DELETE CASCADE,
+    rank INTEGER NOT NULL,
+    url TEXT NOT NULL,
+    title TEXT,
+    category VARCHAR(50),
+    lastmod TEXT,
+    changefreq VARCHAR(20),
+    priority REAL,
+    relevance_score REAL,
+    PRIMARY KEY (cache_key, rank)
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_sitemap_crawls_crawled_at ON company_sitemap_crawls(crawled_at);
+
+COMMENT ON TABLE company_sitemap_crawls IS 'Sitemap crawl per company site, for the persistent sitemap cache';
+COMMENT ON TABLE company_sitemap_pages IS 'Most relevant sitemap pages found by each crawl';
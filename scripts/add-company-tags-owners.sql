@@ -0,0 +1,23 @@
+-- COMPANY TAGS AND OWNERS MIGRATION
+-- Team-wide tags and account owners, set one at a time or in bulk
+
+CREATE TABLE IF NOT EXISTS company_tags (
+    company_id UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+    tag VARCHAR(50) NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (company_id, tag)
+);
+
+CREATE TABLE IF NOT EXISTS company_owners (
+    company_id UUID PRIMARY KEY REFERENCES companies(id) ON DELETE CASCADE,
+    owner_user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    assigned_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    assigned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_tags_tag ON company_tags(tag);
+CREATE INDEX IF NOT EXISTS idx_company_owners_owner_user_id ON company_owners(owner_user_id);
+
+COMMENT ON TABLE company_tags IS 'Team-wide company tags';
+COMMENT ON TABLE company_owners IS 'Account owner assigned to each company';
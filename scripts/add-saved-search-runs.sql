@@ -0,0 +1,16 @@
+-- SAVED SEARCH RUNS MIGRATION
+-- Track when each saved search was last run so new matches can be counted
+
+ALTER TABLE user_saved_searches
+ADD COLUMN IF NOT EXISTS last_run_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS last_result_count INTEGER;
+
+-- Existing searches start counting new matches from now
+UPDATE user_saved_searches SET last_run_at = CURRENT_TIMESTAMP WHERE last_run_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_user_saved_searches_user_id ON user_saved_searches(user_id);
+
+-- "New since last run" compares against companies.created_at
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_companies_created_at ON companies(created_at);
+
+COMMENT ON COLUMN user_saved_searches.last_run_at IS 'When the search was last run; companies created after this are new matches';
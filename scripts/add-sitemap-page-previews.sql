@@ -0,0 +1,10 @@
+-- SITEMAP PAGE PREVIEWS MIGRATION
+-- Meta description and og:image of the top pages from each sitemap crawl,
+-- shown as link previews (titles reuse the existing title column)
+
+ALTER TABLE company_sitemap_pages
+ADD COLUMN IF NOT EXISTS description TEXT,
+ADD COLUMN IF NOT EXISTS image_url TEXT;
+
+COMMENT ON COLUMN company_sitemap_pages.description IS 'Meta description of the page, for link previews';
+COMMENT ON COLUMN company_sitemap_pages.image_url IS 'og:image of the page, for link previews';
@@ -0,0 +1,11 @@
+-- SEARCH SUGGESTIONS MIGRATION
+-- Trigram indexes so /api/companies/suggest can match tradestyles and cities
+-- by substring, like idx_companies_company_name does for names
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_companies_tradestyle_trgm
+ON companies USING gin(tradestyle gin_trgm_ops);
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_companies_city_trgm
+ON companies USING gin(city gin_trgm_ops);
@@ -0,0 +1,12 @@
+-- USER PREFERENCES MIGRATION
+-- Per-user UI preferences such as the company table layout
+
+CREATE TABLE IF NOT EXISTS user_preferences (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    preference_key VARCHAR(100) NOT NULL,
+    preference_value JSONB NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, preference_key)
+);
+
+COMMENT ON TABLE user_preferences IS 'Per-user UI preferences keyed by name (e.g. companyView)';
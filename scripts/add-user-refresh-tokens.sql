@@ -0,0 +1,18 @@
+-- USER REFRESH TOKENS MIGRATION
+-- Session storage for the API's JWT refresh flow
+
+CREATE TABLE IF NOT EXISTS user_refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_refresh_tokens_user_id ON user_refresh_tokens(user_id);
+
+COMMENT ON TABLE user_refresh_tokens IS 'Hashed refresh tokens for API sessions';
+
+-- Clean up tokens that can no longer be used
+DELETE FROM user_refresh_tokens WHERE expires_at < CURRENT_TIMESTAMP OR revoked_at IS NOT NULL;
@@ -0,0 +1,89 @@
+/**
+ * Activity helpers
+ * Interaction types, timeline cursors and formatting for user_interactions
+ */
+
+const { UUID_PATTERN } = require('./company-query');
+
+// Types the browser may record through POST /api/interactions.
+// 'note' and 'task' are recorded by the server when those change.
+const CLIENT_INTERACTION_TYPES = ['view', 'search', 'external_link', 'linkedin_lookup'];
+
+// interaction_data is user-supplied for client types, so keep it small
+const MAX_INTERACTION_DATA_BYTES = 4096;
+
+/**
+ * Validate a client-recorded interaction.
+ * Returns { type, companyId, data } or { error }.
+ */
+function parseInteraction(body = {}) {
+  const type = body?.type;
+  if (!CLIENT_INTERACTION_TYPES.includes(type)) {
+    return { error: `type must be one of ${CLIENT_INTERACTION_TYPES.join(', ')}` };
+  }
+
+  const companyId = body.companyId ?? null;
+  if (companyId !== null && !UUID_PATTERN.test(companyId)) {
+    return { error: 'companyId must be a valid id' };
+  }
+
+  const data = body.data ?? {};
+  if (typeof data !== 'object' || Array.isArray(data) || JSON.stringify(data).length > MAX_INTERACTION_DATA_BYTES) {
+    return { error: `data must be an object of at most ${MAX_INTERACTION_DATA_BYTES} bytes` };
+  }
+
+  return { type, companyId, data };
+}
+
+/**
+ * Timeline cursors point after the last returned row (newest first).
+ * They carry the microsecond timestamp text (cursor_time) because a JS Date
+ * would truncate to milliseconds and skip rows on the next page.
+ */
+function encodeActivityCursor(row) {
+  const payload = { t: row.cursor_time, id: row.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeActivityCursor(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    if (Number.isNaN(Date.parse(payload.t)) || !UUID_PATTERN.test(payload.id)) {
+      return null;
+    }
+    return { createdAt: payload.t, id: payload.id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Columns for an interaction joined with its user and company (aliases i, u, co)
+const ACTIVITY_COLUMNS = `i.id, i.interaction_type, i.interaction_data, i.created_at,
+  to_char(i.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS cursor_time,
+  i.user_id, u.email AS user_email, u.first_name AS user_first_name, u.last_name AS user_last_name,
+  i.company_id, co.company_name`;
+
+const ACTIVITY_FROM = `user_interactions i
+  JOIN users u ON u.id = i.user_id
+  LEFT JOIN companies co ON co.id = i.company_id`;
+
+function formatInteraction(row) {
+  const name = [row.user_first_name, row.user_last_name].filter(Boolean).join(' ');
+  return {
+    id: row.id,
+    type: row.interaction_type,
+    data: row.interaction_data || {},
+    createdAt: row.created_at,
+    user: { id: row.user_id, name: name || row.user_email, email: row.user_email },
+    company: row.company_id ? { id: row.company_id, name: row.company_name } : null
+  };
+}
+
+module.exports = {
+  parseInteraction,
+  encodeActivityCursor,
+  decodeActivityCursor,
+  ACTIVITY_COLUMNS,
+  ACTIVITY_FROM,
+  formatInteraction
+};
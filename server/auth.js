@@ -0,0 +1,130 @@
+/**
+ * Authentication helpers
+ * Password hashing, JWT access tokens, rotating refresh tokens and the
+ * requireAuth middleware used by contact and CRM routes
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS) || 30;
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Without a configured secret, development servers sign with a per-process
+// key (tokens stop working on restart); production refuses to start
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  console.warn('⚠️ JWT_SECRET is not set, using a temporary signing key');
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Validate a registration or login body.
+ * Returns { email, password, firstName, lastName } or { error }.
+ */
+function parseCredentials(body, { requireStrongPassword = false } = {}) {
+  const email = typeof body?.email === 'string' ? body.email.trim().toLowerCase() : '';
+  const password = typeof body?.password === 'string' ? body.password : '';
+
+  if (!EMAIL_PATTERN.test(email)) {
+    return { error: 'A valid email address is required' };
+  }
+  if (!password) {
+    return { error: 'Password is required' };
+  }
+  if (requireStrongPassword && password.length < MIN_PASSWORD_LENGTH) {
+    return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+  }
+
+  const optionalName = (value) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, 100) : null);
+
+  return {
+    email,
+    password,
+    firstName: optionalName(body.firstName),
+    lastName: optionalName(body.lastName)
+  };
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+function verifyPassword(password, passwordHash) {
+  return bcrypt.compare(password, passwordHash);
+}
+
+function signAccessToken(user) {
+  return jwt.sign({ email: user.email }, jwtSecret, {
+    subject: user.id,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+}
+
+/**
+ * Refresh tokens are opaque random strings; only their SHA-256 hash is stored
+ */
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshToken() {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  return { token, tokenHash: hashRefreshToken(token), expiresAt };
+}
+
+function formatUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    firstName: row.first_name,
+    lastName: row.last_name
+  };
+}
+
+/**
+ * Express middleware: requires a valid `Authorization: Bearer <access token>`
+ * header and sets req.user = { id, email }
+ */
+function requireAuth(req, res, next) {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Sign in to access this resource'
+    });
+  }
+
+  try {
+    const payload = jwt.verify(token, jwtSecret);
+    req.user = { id: payload.sub, email: payload.email };
+    next();
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+    res.status(401).json({
+      error: expired ? 'Token expired' : 'Invalid token',
+      message: expired ? 'Access token has expired, refresh and retry' : 'Access token is not valid'
+    });
+  }
+}
+
+module.exports = {
+  parseCredentials,
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  hashRefreshToken,
+  generateRefreshToken,
+  formatUser,
+  requireAuth
+};
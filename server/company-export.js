@@ -0,0 +1,188 @@
+/**
+ * Company export helpers
+ * Column catalog and streaming CSV / XLSX / JSON Lines writers for bulk exports
+ */
+
+const ExcelJS = require('exceljs');
+
+// Company columns available for export, keyed by the name used in ?columns=
+const COMPANY_COLUMNS = {
+  id: { header: 'ID', value: row => row.id },
+  dunsNumber: { header: 'DUNS Number', value: row => row.duns_number },
+  name: { header: 'Company Name', value: row => row.company_name },
+  tradestyle: { header: 'Tradestyle', value: row => row.tradestyle },
+  address: { header: 'Address Line 1', value: row => row.address_line_1 },
+  address2: { header: 'Address Line 2', value: row => row.address_line_2 },
+  city: { header: 'City', value: row => row.city },
+  state: { header: 'State', value: row => row.state },
+  postalCode: { header: 'Postal Code', value: row => row.postal_code },
+  phone: { header: 'Phone', value: row => row.phone },
+  website: { header: 'Website', value: row => row.website },
+  revenue: { header: 'Revenue (USD)', value: row => (row.revenue_numeric !== null ? Number(row.revenue_numeric) : null) },
+  revenueFormatted: { header: 'Revenue', value: row => row.revenue_formatted },
+  employees: { header: 'Employees (Total)', value: row => row.employees_total },
+  siteEmployees: { header: 'Employees (Single Site)', value: row => row.employees_single_site },
+  industry: { header: 'Industry', value: row => row.industry },
+  ownership: { header: 'Ownership Type', value: row => row.ownership_type },
+  entityType: { header: 'Entity Type', value: row => row.entity_type },
+  isHeadquarters: { header: 'Is Headquarters', value: row => Boolean(row.is_headquarters) },
+  contactCount: { header: 'Contact Count', value: row => row.contact_count },
+  primaryContactName: { header: 'Primary Contact', value: row => row.primary_contact_name },
+  primaryContactTitle: { header: 'Primary Contact Title', value: row => row.primary_contact_title },
+  description: { header: 'Business Description', value: row => row.business_description },
+  updatedAt: { header: 'Updated At', value: row => (row.updated_at ? new Date(row.updated_at).toISOString() : null) }
+};
+
+// Contact columns appended when exporting one row per contact
+const CONTACT_COLUMNS = {
+  contactFullName: { header: 'Contact Name', value: contact => contact.full_name },
+  contactFirstName: { header: 'Contact First Name', value: contact => contact.first_name },
+  contactLastName: { header: 'Contact Last Name', value: contact => contact.last_name },
+  contactTitle: { header: 'Contact Title', value: contact => contact.title },
+  contactEmailFlag: { header: 'Contact Email Available', value: contact => contact.email_flag },
+  contactPhoneFlag: { header: 'Contact Phone Available', value: contact => contact.phone_flag },
+  contactIsPrimary: { header: 'Primary Contact?', value: contact => (contact.is_primary === undefined ? null : Boolean(contact.is_primary)) }
+};
+
+const DEFAULT_COMPANY_COLUMNS = [
+  'name', 'dunsNumber', 'address', 'city', 'state', 'postalCode', 'phone', 'website',
+  'revenueFormatted', 'employees', 'industry', 'isHeadquarters'
+];
+
+const DEFAULT_CONTACT_COLUMNS = ['contactFullName', 'contactTitle', 'contactEmailFlag', 'contactPhoneFlag', 'contactIsPrimary'];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' }
+};
+
+/**
+ * Resolve the requested column keys, ignoring unknown ones.
+ * Contact columns are only kept when exporting contacts.
+ */
+function resolveExportColumns(requested, includeContacts) {
+  const hasOwn = (catalog, key) => Object.prototype.hasOwnProperty.call(catalog, key);
+  const isAvailable = (key) => hasOwn(COMPANY_COLUMNS, key) || (includeContacts && hasOwn(CONTACT_COLUMNS, key));
+
+  let keys = [...new Set(requested)].filter(isAvailable);
+  if (keys.length === 0) {
+    keys = [...DEFAULT_COMPANY_COLUMNS];
+  }
+  if (includeContacts && !keys.some(key => hasOwn(CONTACT_COLUMNS, key))) {
+    keys.push(...DEFAULT_CONTACT_COLUMNS);
+  }
+
+  return keys.map(key => {
+    const source = hasOwn(COMPANY_COLUMNS, key) ? 'company' : 'contact';
+    const column = source === 'company' ? COMPANY_COLUMNS[key] : CONTACT_COLUMNS[key];
+    return { key, source, header: column.header, value: column.value };
+  });
+}
+
+/**
+ * Build the output values for a company row and optional contact row
+ */
+function buildExportRow(columns, company, contact = {}) {
+  return columns.map(column => {
+    const value = column.value(column.source === 'company' ? company : contact);
+    return value === undefined ? null : value;
+  });
+}
+
+// Text starting with one of these is run as a formula by Excel and Sheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a value for CSV output. Text that would be read as a formula gets
+ * a leading ' so it stays text (numbers, including negative ones, don't).
+ */
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Wait for a stream's 'drain'. Also settles if the stream closes (client
+ * disconnected) while waiting.
+ */
+function waitForDrain(stream) {
+  return new Promise(resolve => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.once('drain', done);
+    stream.once('close', done);
+  });
+}
+
+/**
+ * Write to a stream, waiting for 'drain' when its buffer is full
+ */
+function writeChunk(stream, chunk) {
+  return stream.write(chunk) ? Promise.resolve() : waitForDrain(stream);
+}
+
+/**
+ * Create a streaming writer for the given format, once its header is
+ * written. Resolves to { writeRow(values), end() }; both are async and
+ * wait while the stream is backed up.
+ */
+async function createExportWriter(format, stream, columns) {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet('Companies');
+    // Committed rows are zipped and piped to the stream without pushing
+    // back, so wait whenever the stream has fallen behind
+    const commitRow = async (values) => {
+      worksheet.addRow(values).commit();
+      if (stream.writableNeedDrain) {
+        await waitForDrain(stream);
+      }
+    };
+    await commitRow(columns.map(column => column.header));
+
+    return {
+      writeRow: commitRow,
+      end: async () => {
+        worksheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+
+  if (format === 'jsonl') {
+    return {
+      writeRow: (values) => {
+        const record = {};
+        columns.forEach((column, index) => {
+          record[column.key] = values[index];
+        });
+        return writeChunk(stream, `${JSON.stringify(record)}\n`);
+      },
+      end: async () => stream.end()
+    };
+  }
+
+  // CSV with a BOM so Excel detects UTF-8
+  const writeLine = (values) => writeChunk(stream, `${values.map(toCsvField).join(',')}\r\n`);
+  await writeChunk(stream, '\ufeff');
+  await writeLine(columns.map(column => column.header));
+
+  return {
+    writeRow: writeLine,
+    end: async () => stream.end()
+  };
+}
+
+module.exports = {
+  COMPANY_COLUMNS,
+  CONTACT_COLUMNS,
+  EXPORT_FORMATS,
+  resolveExportColumns,
+  buildExportRow,
+  createExportWriter
+};
@@ -0,0 +1,128 @@
+/**
+ * Company list helpers
+ * Named, ordered lists of companies (e.g. territories) that their owner can
+ * share with teammates read-only ('view') or editable ('edit')
+ */
+
+const { UUID_PATTERN } = require('./company-query');
+
+const LIST_PERMISSIONS = ['view', 'edit'];
+const MAX_LIST_NAME_LENGTH = 255;
+const MAX_LIST_DESCRIPTION_LENGTH = 2000;
+const MAX_ITEM_NOTES_LENGTH = 2000;
+
+// Columns and FROM for lists visible to the viewer ($1), with the viewer's
+// permission ('owner', 'edit' or 'view') and the number of companies
+const LIST_COLUMNS = `l.*, u.email AS owner_email, u.first_name AS owner_first_name, u.last_name AS owner_last_name,
+  CASE WHEN l.owner_user_id = $1 THEN 'owner' ELSE s.permission END AS permission,
+  (SELECT COUNT(*) FROM company_list_items i WHERE i.list_id = l.id)::int AS company_count`;
+
+const LIST_FROM = `company_lists l
+  JOIN users u ON u.id = l.owner_user_id
+  LEFT JOIN company_list_shares s ON s.list_id = l.id AND s.user_id = $1`;
+
+const LIST_ACCESS = '(l.owner_user_id = $1 OR s.user_id IS NOT NULL)';
+
+const canEditList = (list) => list.permission === 'owner' || list.permission === 'edit';
+
+const trimmedOrNull = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+/**
+ * Validate a create (partial = false) or update (partial = true) body with
+ * name and description. Returns { values } with only the provided fields,
+ * or { error }.
+ */
+function parseListInput(body = {}, { partial = false } = {}) {
+  const values = {};
+  const has = (key) => body !== null && typeof body === 'object' && Object.prototype.hasOwnProperty.call(body, key);
+
+  if (has('name') || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_LIST_NAME_LENGTH) {
+      return { error: `Name is required and must be at most ${MAX_LIST_NAME_LENGTH} characters` };
+    }
+    values.name = name;
+  }
+
+  if (has('description')) {
+    values.description = trimmedOrNull(body.description);
+    if (values.description && values.description.length > MAX_LIST_DESCRIPTION_LENGTH) {
+      return { error: `Description must be at most ${MAX_LIST_DESCRIPTION_LENGTH} characters` };
+    }
+  }
+
+  return { values };
+}
+
+/**
+ * Validate an item update: notes and/or afterCompanyId (move the company
+ * after that one, or to the top when null). Returns { values } or { error }.
+ */
+function parseListItemInput(body = {}) {
+  const values = {};
+  const has = (key) => body !== null && typeof body === 'object' && Object.prototype.hasOwnProperty.call(body, key);
+
+  if (has('notes')) {
+    values.notes = trimmedOrNull(body.notes);
+    if (values.notes && values.notes.length > MAX_ITEM_NOTES_LENGTH) {
+      return { error: `Notes must be at most ${MAX_ITEM_NOTES_LENGTH} characters` };
+    }
+  }
+
+  if (has('afterCompanyId')) {
+    if (body.afterCompanyId !== null && !(typeof body.afterCompanyId === 'string' && UUID_PATTERN.test(body.afterCompanyId))) {
+      return { error: 'afterCompanyId must be a company id or null' };
+    }
+    values.afterCompanyId = body.afterCompanyId;
+  }
+
+  if (Object.keys(values).length === 0) {
+    return { error: 'No fields to update' };
+  }
+  return { values };
+}
+
+function parseListPermission(value) {
+  return LIST_PERMISSIONS.includes(value) ? value : null;
+}
+
+const formatPerson = (id, row, prefix) => ({
+  id,
+  email: row[`${prefix}_email`],
+  firstName: row[`${prefix}_first_name`],
+  lastName: row[`${prefix}_last_name`]
+});
+
+function formatList(row) {
+  return {
+    id: row.id,
+    name: row.list_name,
+    description: row.description,
+    owner: formatPerson(row.owner_user_id, row, 'owner'),
+    permission: row.permission,
+    companyCount: row.company_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function formatListShare(row) {
+  return {
+    user: formatPerson(row.user_id, row, 'user'),
+    permission: row.permission,
+    sharedAt: row.created_at
+  };
+}
+
+module.exports = {
+  LIST_PERMISSIONS,
+  LIST_COLUMNS,
+  LIST_FROM,
+  LIST_ACCESS,
+  canEditList,
+  parseListInput,
+  parseListItemInput,
+  parseListPermission,
+  formatList,
+  formatListShare
+};
@@ -0,0 +1,501 @@
+/**
+ * Company query helpers
+ * Shared filter parsing, SQL building and row formatting for the company endpoints
+ */
+
+/**
+ * Parse a query value into a list.
+ * Accepts repeated params (?state=MN&state=WI) and, when `split` is set,
+ * comma-separated values (?state=MN,WI).
+ */
+function parseList(value, split = false) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => (split ? String(item).split(',') : [String(item)]))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a numeric query value, returning null when missing or invalid
+ */
+function parseNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Parse a boolean query value, returning null when missing or invalid
+ */
+function parseBoolean(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const normalized = String(value).toLowerCase();
+  if (['true', '1', 'yes'].includes(normalized)) return true;
+  if (['false', '0', 'no'].includes(normalized)) return false;
+  return null;
+}
+
+/**
+ * Normalize request query parameters into a filter spec.
+ * Unknown or malformed values are ignored rather than rejected.
+ */
+function parseCompanyFilters(query = {}) {
+  return {
+    search: String(query.search || '').trim(),
+    industry: parseList(query.industry),
+    revenueMin: parseNumber(query.revenueMin),
+    revenueMax: parseNumber(query.revenueMax),
+    employeesMin: parseNumber(query.employeesMin),
+    employeesMax: parseNumber(query.employeesMax),
+    siteEmployeesMin: parseNumber(query.siteEmployeesMin),
+    siteEmployeesMax: parseNumber(query.siteEmployeesMax),
+    state: parseList(query.state, true).map(state => state.toUpperCase()),
+    // Kept as given (saved searches store it); matched case-insensitively
+    city: parseList(query.city, true),
+    postalCode: parseList(query.postalCode, true).map(code => code.slice(0, 5)),
+    isHeadquarters: parseBoolean(query.isHeadquarters),
+    ownershipType: parseList(query.ownershipType),
+    entityType: parseList(query.entityType),
+    hasWebsite: parseBoolean(query.hasWebsite),
+    hasContacts: parseBoolean(query.hasContacts),
+    // null when not given; an empty list (all ids invalid) matches nothing
+    ids: query.ids === undefined ? null : parseList(query.ids, true).filter(id => UUID_PATTERN.test(id)),
+    excludeIds: parseList(query.excludeIds, true).filter(id => UUID_PATTERN.test(id)),
+    // { id, viewerId } of a company list. Never read from the query string:
+    // signed-in routes set it so the viewer's access can be checked
+    list: null,
+    // Id of the user whose saved companies to browse; also never from the query string
+    savedBy: null
+  };
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Sortable fields mapped to SQL expressions and their natural direction.
+// Relevance uses the expression rather than the select alias so it can
+// also be used in WHERE clauses.
+// `type` is used to cast cursor values, which travel as text to keep full
+// timestamp and float precision.
+const SORT_FIELDS = {
+  name: { expression: 'company_name', type: 'text', order: 'asc' },
+  revenue: { expression: 'revenue_numeric', type: 'numeric', order: 'desc' },
+  employees: { expression: 'employees_total', type: 'integer', order: 'desc' },
+  siteEmployees: { expression: 'employees_single_site', type: 'integer', order: 'desc' },
+  contacts: { expression: 'contact_count', type: 'integer', order: 'desc' },
+  city: { expression: 'city', type: 'text', order: 'asc' },
+  updated: { expression: 'updated_at', type: 'timestamptz', order: 'desc' },
+  relevance: { expression: 'ts_rank_cd(search_vector, search_query)', type: 'real', order: 'desc', requiresSearch: true },
+  position: { expression: 'list_items.position', type: 'double precision', order: 'asc', requiresList: true }
+};
+
+/**
+ * Normalize the sort and order query params.
+ * Defaults to relevance when searching, list order within a company list
+ * and name otherwise; relevance without a search term and list order
+ * outside a list fall back to name.
+ */
+function parseCompanySort(query = {}, filters = {}) {
+  const isKnownSort = Object.prototype.hasOwnProperty.call(SORT_FIELDS, query.sort);
+  let sort = isKnownSort ? query.sort : (filters.search ? 'relevance' : filters.list ? 'position' : 'name');
+  if ((SORT_FIELDS[sort].requiresSearch && !filters.search) || (SORT_FIELDS[sort].requiresList && !filters.list)) {
+    sort = 'name';
+  }
+
+  const requestedOrder = String(query.order || '').toLowerCase();
+  const order = ['asc', 'desc'].includes(requestedOrder) ? requestedOrder : SORT_FIELDS[sort].order;
+
+  return { sort, order };
+}
+
+// ts_headline options for search snippets: short fragments with <mark> highlights
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "';
+
+/**
+ * Escape LIKE wildcards so user input is matched literally
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Build the FROM, select columns, WHERE and ORDER BY parts for a filter spec.
+ * Values are appended to `params` so the clauses can be combined with
+ * other placeholders (LIMIT, OFFSET, ...) in the same query.
+ *
+ * Rows are ordered by the sort field with NULLs last and the company id as
+ * a tie-breaker, so pages are stable even when many rows share a value.
+ *
+ * Text search uses websearch_to_tsquery against the weighted search_vector,
+ * so "quoted phrases", -negation and OR work. A company name substring match
+ * is kept as a fallback so partially typed names still find results.
+ */
+function buildCompanyQuery(filters, params = [], sortSpec = parseCompanySort({}, filters)) {
+  const conditions = [];
+  const addParam = (value) => `$${params.push(value)}`;
+  let from = 'companies';
+  let columns = 'companies.*';
+
+  // A company list joins its items for list order and notes. Access is part
+  // of the query so a list id alone never exposes another team's list.
+  if (filters.list) {
+    const listId = addParam(filters.list.id);
+    const viewerId = addParam(filters.list.viewerId);
+    from += ` JOIN company_list_items list_items ON list_items.company_id = companies.id AND list_items.list_id = ${listId}::uuid`;
+    columns += ', list_items.position AS list_position, list_items.notes AS list_notes';
+    conditions.push(`EXISTS (SELECT 1 FROM company_lists l
+      LEFT JOIN company_list_shares s ON s.list_id = l.id AND s.user_id = ${viewerId}::uuid
+      WHERE l.id = list_items.list_id AND (l.owner_user_id = ${viewerId}::uuid OR s.user_id IS NOT NULL))`);
+  }
+
+  // A user's saved companies join their bookmarks for the notes and save time
+  if (filters.savedBy) {
+    from += ` JOIN user_saved_companies saved ON saved.company_id = companies.id AND saved.user_id = ${addParam(filters.savedBy)}::uuid`;
+    columns += ', saved.notes AS saved_notes, saved.created_at AS saved_at';
+  }
+
+  if (filters.search) {
+    const query = addParam(filters.search);
+    const nameTerm = addParam(`%${escapeLike(filters.search)}%`);
+    // After the list and saved joins, which must directly follow companies to reference it
+    from += `, websearch_to_tsquery('english', ${query}) AS search_query`;
+    columns += `, ts_rank_cd(search_vector, search_query) AS relevance_score` +
+      `, ts_headline('english', COALESCE(business_description, ''), search_query, '${HEADLINE_OPTIONS}') AS search_snippet`;
+    conditions.push(`(search_vector @@ search_query OR company_name ILIKE ${nameTerm})`);
+  }
+
+  if (filters.industry.length > 0) {
+    conditions.push(`industry = ANY(${addParam(filters.industry)})`);
+  }
+
+  // Range filters use the partial indexes on revenue_numeric and employees_total
+  const ranges = [
+    ['revenue_numeric', filters.revenueMin, filters.revenueMax],
+    ['employees_total', filters.employeesMin, filters.employeesMax],
+    ['employees_single_site', filters.siteEmployeesMin, filters.siteEmployeesMax]
+  ];
+
+  ranges.forEach(([column, min, max]) => {
+    if (min !== null) {
+      conditions.push(`${column} >= ${addParam(min)}`);
+    }
+    if (max !== null) {
+      conditions.push(`${column} <= ${addParam(max)}`);
+    }
+  });
+
+  if (filters.state.length > 0) {
+    conditions.push(`state = ANY(${addParam(filters.state)})`);
+  }
+
+  if (filters.city.length > 0) {
+    conditions.push(`LOWER(city) = ANY(${addParam(filters.city.map(city => city.toLowerCase()))})`);
+  }
+
+  if (filters.postalCode.length > 0) {
+    conditions.push(`LEFT(postal_code, 5) = ANY(${addParam(filters.postalCode)})`);
+  }
+
+  if (filters.isHeadquarters !== null) {
+    conditions.push(`COALESCE(is_headquarters, false) = ${addParam(filters.isHeadquarters)}`);
+  }
+
+  if (filters.ownershipType.length > 0) {
+    conditions.push(`ownership_type = ANY(${addParam(filters.ownershipType)})`);
+  }
+
+  if (filters.entityType.length > 0) {
+    conditions.push(`entity_type = ANY(${addParam(filters.entityType)})`);
+  }
+
+  if (filters.hasWebsite !== null) {
+    conditions.push(filters.hasWebsite
+      ? `(website IS NOT NULL AND website <> '')`
+      : `(website IS NULL OR website = '')`);
+  }
+
+  if (filters.hasContacts !== null) {
+    conditions.push(filters.hasContacts
+      ? 'COALESCE(contact_count, 0) > 0'
+      : 'COALESCE(contact_count, 0) = 0');
+  }
+
+  // Explicit selections, e.g. bulk actions on ticked rows or on
+  // "all matching" minus the rows that were unticked
+  if (filters.ids !== null) {
+    conditions.push(`companies.id = ANY(${addParam(filters.ids)}::uuid[])`);
+  }
+
+  if (filters.excludeIds.length > 0) {
+    conditions.push(`companies.id <> ALL(${addParam(filters.excludeIds)}::uuid[])`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const sortField = SORT_FIELDS[sortSpec.sort];
+  const direction = sortSpec.order === 'asc' ? 'ASC' : 'DESC';
+  const orderBy = `${sortField.expression} ${direction} NULLS LAST, companies.id ASC`;
+  columns += `, (${sortField.expression})::text AS sort_value`;
+
+  return { from, columns, where, orderBy };
+}
+
+/**
+ * Encode the position after a row as an opaque cursor token
+ */
+function encodeCursor(sortSpec, row) {
+  const payload = { s: sortSpec.sort, o: sortSpec.order, v: row.sort_value, id: row.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor token, returning null if it is malformed or was issued
+ * for a different sort than the current request
+ */
+function decodeCursor(token, sortSpec) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    const validValue = payload.v === null || typeof payload.v === 'string';
+    if (payload.s !== sortSpec.sort || payload.o !== sortSpec.order || !validValue || !UUID_PATTERN.test(payload.id)) {
+      return null;
+    }
+    return { value: payload.v, id: payload.id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the keyset condition selecting rows after a cursor.
+ * Mirrors the ORDER BY from buildCompanyQuery: sort value with NULLs last,
+ * then id ascending.
+ */
+function buildCursorCondition(sortSpec, cursor, params) {
+  const addParam = (value) => `$${params.push(value)}`;
+  const { expression, type } = SORT_FIELDS[sortSpec.sort];
+  const id = addParam(cursor.id);
+
+  if (cursor.value === null) {
+    return `(${expression} IS NULL AND companies.id > ${id}::uuid)`;
+  }
+
+  const value = `${addParam(cursor.value)}::${type}`;
+  const comparison = sortSpec.order === 'asc' ? '>' : '<';
+  return `(${expression} ${comparison} ${value} OR (${expression} = ${value} AND companies.id > ${id}::uuid) OR ${expression} IS NULL)`;
+}
+
+// Size buckets for facet counts. Bounds are inclusive on both ends so each
+// bucket maps directly onto the *Min/*Max filter params.
+const REVENUE_BUCKETS = [
+  { key: 'under-1m', label: 'Under $1M', max: 999999.99 },
+  { key: '1m-10m', label: '$1M – $10M', min: 1000000, max: 9999999.99 },
+  { key: '10m-50m', label: '$10M – $50M', min: 10000000, max: 49999999.99 },
+  { key: '50m-100m', label: '$50M – $100M', min: 50000000, max: 99999999.99 },
+  { key: '100m-plus', label: '$100M+', min: 100000000 }
+];
+
+const EMPLOYEE_BUCKETS = [
+  { key: '1-9', label: '1 – 9', min: 1, max: 9 },
+  { key: '10-49', label: '10 – 49', min: 10, max: 49 },
+  { key: '50-249', label: '50 – 249', min: 50, max: 249 },
+  { key: '250-999', label: '250 – 999', min: 250, max: 999 },
+  { key: '1000-plus', label: '1,000+', min: 1000 }
+];
+
+// Facets counted per distinct column value, keyed by filter name
+const VALUE_FACETS = {
+  industry: { column: 'industry' },
+  state: { column: 'state' },
+  city: { column: 'city', limit: 100 },
+  ownershipType: { column: 'ownership_type' },
+  entityType: { column: 'entity_type' }
+};
+
+/**
+ * Copy a filter spec with the given filters cleared
+ */
+function withoutFilters(filters, keys) {
+  const copy = { ...filters };
+  keys.forEach(key => {
+    copy[key] = Array.isArray(filters[key]) ? [] : null;
+  });
+  return copy;
+}
+
+/**
+ * Turn a filter spec and sort back into /api/companies query params,
+ * dropping empty values. Used to store saved search criteria; the result
+ * can be fed straight back into parseCompanyFilters / parseCompanySort.
+ */
+function serializeCompanyFilters(filters, sortSpec) {
+  const criteria = {};
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) return;
+    criteria[key] = value;
+  });
+  if (sortSpec) {
+    criteria.sort = sortSpec.sort;
+    criteria.order = sortSpec.order;
+  }
+  return criteria;
+}
+
+/**
+ * Add a condition to a (possibly empty) WHERE clause
+ */
+function appendCondition(where, condition) {
+  return where ? `${where} AND ${condition}` : `WHERE ${condition}`;
+}
+
+/**
+ * Build the SQL for a bucketed range facet as a single row of counts
+ */
+function buildBucketQuery(filters, column, buckets) {
+  const params = [];
+  const { from, where } = buildCompanyQuery(filters, params);
+  const counts = buckets.map(bucket => {
+    const bounds = [];
+    if (bucket.min !== undefined) bounds.push(`${column} >= ${bucket.min}`);
+    if (bucket.max !== undefined) bounds.push(`${column} <= ${bucket.max}`);
+    return `COUNT(*) FILTER (WHERE ${bounds.join(' AND ')})::int AS "${bucket.key}"`;
+  });
+
+  return {
+    text: `SELECT ${counts.join(', ')} FROM ${from} ${where}`,
+    values: params,
+    format: (rows) => buckets.map(bucket => ({ ...bucket, count: rows[0][bucket.key] }))
+  };
+}
+
+/**
+ * Build one query per facet.
+ * Each facet ignores its own filter so the UI can show counts for the
+ * alternatives, e.g. other industries while one industry is selected.
+ */
+function buildFacetQueries(filters) {
+  const queries = {};
+
+  Object.entries(VALUE_FACETS).forEach(([key, { column, limit }]) => {
+    const params = [];
+    const { from, where } = buildCompanyQuery(withoutFilters(filters, [key]), params);
+    queries[key] = {
+      text: `SELECT ${column} AS value, COUNT(*)::int AS count FROM ${from} ` +
+        `${appendCondition(where, `${column} IS NOT NULL AND ${column} <> ''`)} ` +
+        `GROUP BY ${column} ORDER BY count DESC, ${column}${limit ? ` LIMIT ${limit}` : ''}`,
+      values: params,
+      format: (rows) => rows
+    };
+  });
+
+  const hqParams = [];
+  const hqQuery = buildCompanyQuery(withoutFilters(filters, ['isHeadquarters']), hqParams);
+  queries.isHeadquarters = {
+    text: `SELECT COALESCE(is_headquarters, false) AS value, COUNT(*)::int AS count FROM ${hqQuery.from} ${hqQuery.where} GROUP BY 1 ORDER BY 1 DESC`,
+    values: hqParams,
+    format: (rows) => rows
+  };
+
+  queries.revenue = buildBucketQuery(
+    withoutFilters(filters, ['revenueMin', 'revenueMax']), 'revenue_numeric', REVENUE_BUCKETS
+  );
+  queries.employees = buildBucketQuery(
+    withoutFilters(filters, ['employeesMin', 'employeesMax']), 'employees_total', EMPLOYEE_BUCKETS
+  );
+
+  return queries;
+}
+
+// Type-ahead needs 3 characters before the trigram indexes can narrow the scan
+const MIN_SUGGEST_LENGTH = 3;
+
+/**
+ * Build the type-ahead queries for /api/companies/suggest.
+ * ILIKE '%term%' is served by the gin_trgm_ops indexes on company_name,
+ * tradestyle and city; prefix matches rank first, then trigram similarity.
+ */
+function buildSuggestQueries(term, limit) {
+  const values = [`%${escapeLike(term)}%`, `${escapeLike(term)}%`, term, limit];
+  const suggest = (column, extraColumns) =>
+    `SELECT id, ${column} AS value, ${extraColumns} FROM companies WHERE ${column} ILIKE $1 ` +
+    `ORDER BY ${column} ILIKE $2 DESC, similarity(${column}, $3) DESC, ${column} LIMIT $4`;
+
+  return {
+    companies: {
+      text: suggest('company_name', 'city, state'),
+      values,
+      format: (rows) => rows.map(row => ({ id: row.id, name: row.value, city: row.city || '', state: row.state || '' }))
+    },
+    tradestyles: {
+      text: suggest('tradestyle', 'company_name, city, state'),
+      values,
+      format: (rows) => rows.map(row => ({
+        id: row.id, name: row.value, companyName: row.company_name, city: row.city || '', state: row.state || ''
+      }))
+    },
+    cities: {
+      text: `SELECT city AS value, state, COUNT(*)::int AS count FROM companies WHERE city ILIKE $1 ` +
+        `GROUP BY city, state ORDER BY city ILIKE $2 DESC, count DESC, city LIMIT $3`,
+      values: [values[0], values[1], limit],
+      format: (rows) => rows.map(row => ({ city: row.value, state: row.state || '', count: row.count }))
+    }
+  };
+}
+
+/**
+ * Map a companies row to the API response shape
+ */
+function formatCompany(company) {
+  return {
+    id: company.id,
+    dunsNumber: company.duns_number,
+    name: company.company_name,
+    tradestyle: company.tradestyle || '',
+    address: company.address_line_1 || '',
+    city: company.city || '',
+    state: company.state || '',
+    postalCode: company.postal_code || '',
+    phone: company.phone || '',
+    url: company.website || '',
+    favicon_url: company.favicon_url || '',
+    sales: company.revenue_formatted || '',
+    employees: company.employees_total?.toString() || '',
+    description: company.business_description || '',
+    industry: company.industry || '',
+    isHeadquarters: company.is_headquarters || false,
+    ownership: company.ownership_type || '',
+    entity_type: company.entity_type || '',
+    revenue_numeric: company.revenue_numeric || 0,
+    employeesSite: company.employees_single_site?.toString() || '',
+    approxAnnualRevenue: company.approx_annual_revenue || '',
+    contactCount: company.contact_count || 0,
+    primaryContactName: company.primary_contact_name || '',
+    primaryContactTitle: company.primary_contact_title || '',
+    ...(company.relevance_score !== undefined && {
+      relevanceScore: Math.round(company.relevance_score * 1000) / 1000,
+      searchSnippet: company.search_snippet || ''
+    })
+  };
+}
+
+module.exports = {
+  UUID_PATTERN,
+  parseCompanyFilters,
+  parseCompanySort,
+  buildCompanyQuery,
+  buildCursorCondition,
+  encodeCursor,
+  decodeCursor,
+  appendCondition,
+  serializeCompanyFilters,
+  buildFacetQueries,
+  MIN_SUGGEST_LENGTH,
+  buildSuggestQueries,
+  formatCompany
+};
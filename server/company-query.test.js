@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCompanyFilters, buildCompanyQuery } = require('./company-query');
+
+const USER_ID = '11111111-1111-1111-1111-111111111111';
+
+test('saved companies can be searched', () => {
+  const filters = { ...parseCompanyFilters({ search: 'plumbing' }), savedBy: USER_ID };
+  const params = [];
+  const { from, columns } = buildCompanyQuery(filters, params);
+
+  // Joins must directly follow companies: after the comma-joined search
+  // query they could no longer reference it
+  const [joined, ...rest] = from.split(',');
+  assert.match(joined, /^companies JOIN user_saved_companies saved ON saved\.company_id = companies\.id/);
+  assert.match(rest.join(','), /websearch_to_tsquery/);
+  assert.doesNotMatch(rest.join(','), /JOIN/);
+
+  const userParam = joined.match(/saved\.user_id = \$(\d+)/)[1];
+  assert.equal(params[userParam - 1], USER_ID);
+  assert.match(columns, /saved\.notes AS saved_notes/);
+});
+
+test('saved and list joins both precede the search query', () => {
+  const filters = {
+    ...parseCompanyFilters({ search: 'acme' }),
+    savedBy: USER_ID,
+    list: { id: '22222222-2222-2222-2222-222222222222', viewerId: USER_ID }
+  };
+  const { from } = buildCompanyQuery(filters, []);
+  const [joined] = from.split(',');
+  assert.match(joined, /JOIN company_list_items list_items/);
+  assert.match(joined, /JOIN user_saved_companies saved/);
+});
+
+test('saved companies are never selected from the query string', () => {
+  assert.equal(parseCompanyFilters({ savedBy: USER_ID }).savedBy, null);
+});
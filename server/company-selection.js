@@ -0,0 +1,92 @@
+/**
+ * Company selection helpers
+ * Bulk actions take either explicit company ids or a filter spec that is
+ * resolved server-side, so "select all matching" covers every match and
+ * not just the loaded page
+ */
+
+const { UUID_PATTERN, parseCompanyFilters, buildCompanyQuery } = require('./company-query');
+
+const MAX_SELECTION_IDS = 10000;
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS = 10;
+
+const isIdList = (value) => Array.isArray(value)
+  && value.length <= MAX_SELECTION_IDS
+  && value.every(id => typeof id === 'string' && UUID_PATTERN.test(id));
+
+/**
+ * Validate a selection body, either { ids: [...] } or
+ * { filter: {...}, excludeIds?: [...] } where filter takes the same params
+ * as /api/companies plus `list`, a company list id the viewer can see.
+ * Returns { filters } or { error }.
+ */
+function parseCompanySelection(body, viewerId) {
+  const { ids, filter, excludeIds = [] } = body || {};
+
+  if (ids !== undefined) {
+    if (!isIdList(ids) || ids.length === 0) {
+      return { error: `ids must be a list of 1 to ${MAX_SELECTION_IDS} company ids` };
+    }
+    return { filters: parseCompanyFilters({ ids }) };
+  }
+
+  if (filter !== null && typeof filter === 'object' && !Array.isArray(filter)) {
+    if (!isIdList(excludeIds)) {
+      return { error: `excludeIds must be a list of at most ${MAX_SELECTION_IDS} company ids` };
+    }
+    const filters = { ...parseCompanyFilters(filter), excludeIds };
+    if (filter.list !== undefined) {
+      if (!(typeof filter.list === 'string' && UUID_PATTERN.test(filter.list))) {
+        return { error: 'filter.list must be a company list id' };
+      }
+      filters.list = { id: filter.list, viewerId };
+    }
+    return { filters };
+  }
+
+  return { error: 'Either ids or filter is required' };
+}
+
+/**
+ * Whether a parsed selection narrows the companies at all. A filter with
+ * no criteria (excluded ids aside) selects every company in the table.
+ */
+function hasSelectionCriteria(filters) {
+  return Object.entries(filters).some(([key, value]) => key !== 'excludeIds'
+    && (Array.isArray(value) ? value.length > 0 : value !== null && value !== ''));
+}
+
+/**
+ * SQL selecting the ids (as company_id) of every selected company,
+ * for use as a subquery
+ */
+function buildSelectionQuery(filters, params) {
+  const { from, where } = buildCompanyQuery(filters, params);
+  return `SELECT companies.id AS company_id FROM ${from} ${where}`;
+}
+
+/**
+ * Normalize tags to trimmed lowercase, without duplicates.
+ * Returns { tags } or { error }.
+ */
+function parseTags(value) {
+  const list = Array.isArray(value) ? value : [value];
+  const tags = [...new Set(list
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean))];
+
+  if (tags.length === 0 || tags.length > MAX_TAGS || tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Give 1 to ${MAX_TAGS} tags of at most ${MAX_TAG_LENGTH} characters` };
+  }
+  return { tags };
+}
+
+module.exports = {
+  MAX_SELECTION_IDS,
+  parseCompanySelection,
+  hasSelectionCriteria,
+  buildSelectionQuery,
+  parseTags
+};
@@ -10,12 +10,78 @@ const cors = require('cors');
 const { Pool } = require('pg');
 const dotenv = require('dotenv');
 const SitemapService = require('./sitemap-service');
+const { createSitemapCache } = require('./sitemap-cache');
+const {
+  UUID_PATTERN,
+  parseCompanyFilters,
+  parseCompanySort,
+  buildCompanyQuery,
+  buildCursorCondition,
+  encodeCursor,
+  decodeCursor,
+  appendCondition,
+  serializeCompanyFilters,
+  buildFacetQueries,
+  MIN_SUGGEST_LENGTH,
+  buildSuggestQueries,
+  formatCompany
+} = require('./company-query');
+const {
+  EXPORT_FORMATS,
+  resolveExportColumns,
+  buildExportRow,
+  createExportWriter
+} = require('./company-export');
+const {
+  LIST_PERMISSIONS,
+  LIST_COLUMNS,
+  LIST_FROM,
+  LIST_ACCESS,
+  canEditList,
+  parseListInput,
+  parseListItemInput,
+  parseListPermission,
+  formatList,
+  formatListShare
+} = require('./company-lists');
+const {
+  parseCompanySelection,
+  hasSelectionCriteria,
+  buildSelectionQuery,
+  parseTags
+} = require('./company-selection');
+const {
+  parseCredentials,
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  hashRefreshToken,
+  generateRefreshToken,
+  formatUser,
+  requireAuth
+} = require('./auth');
+const {
+  TASK_STATUSES,
+  OPEN_ORDER,
+  COMPLETED_ORDER,
+  TASK_COLUMNS,
+  TASK_FROM,
+  parseToday,
+  parseTaskInput,
+  formatTask
+} = require('./task-query');
+const {
+  parseInteraction,
+  encodeActivityCursor,
+  decodeActivityCursor,
+  ACTIVITY_COLUMNS,
+  ACTIVITY_FROM,
+  formatInteraction
+} = require('./activity');
 
 // Load environment variables
 dotenv.config();
 
-// Initialize sitemap service
-const sitemapService = new SitemapService();
 const app = express();
 const PORT = process.env.PORT || 3001;
 
@@ -36,6 +102,12 @@ const dbConfig = {
 // Initialize database connection
 const pool = new Pool(dbConfig);
 
+// Initialize sitemap service; SITEMAP_CACHE picks where crawls are kept
+// (postgres by default, or memory / redis)
+const sitemapService = new SitemapService({
+  cache: createSitemapCache(process.env.SITEMAP_CACHE || 'postgres', { pool })
+});
+
 // Test database connection on startup
 async function initializeDatabase() {
   try {
@@ -132,95 +204,271 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Get all companies with pagination and filtering
-app.get('/api/companies', async (req, res) => {
+// Authentication
+// Access tokens are short-lived JWTs sent as `Authorization: Bearer`.
+// Refresh tokens are opaque, stored hashed in user_refresh_tokens and
+// rotated on every refresh; logout revokes the presented refresh token.
+async function issueTokens(user) {
+  const { token, tokenHash, expiresAt } = generateRefreshToken();
+  await pool.query(
+    'INSERT INTO user_refresh_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+    [user.id, tokenHash, expiresAt]
+  );
+
+  return {
+    user: formatUser(user),
+    accessToken: signAccessToken(user),
+    refreshToken: token,
+    refreshTokenExpiresAt: expiresAt.toISOString()
+  };
+}
+
+app.post('/api/auth/register', async (req, res) => {
+  const credentials = parseCredentials(req.body, { requireStrongPassword: true });
+  if (credentials.error) {
+    return res.status(400).json({ error: 'Invalid registration', message: credentials.error });
+  }
+
   try {
-    const {
-      page = 1,
-      limit = 50,
-      search = '',
-      industry = ''
-    } = req.query;
+    const passwordHash = await hashPassword(credentials.password);
+    const result = await pool.query(
+      `INSERT INTO users (email, password_hash, first_name, last_name)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (email) DO NOTHING
+       RETURNING id, email, first_name, last_name`,
+      [credentials.email, passwordHash, credentials.firstName, credentials.lastName]
+    );
 
-    // Build SQL query with filters
-    let query = 'SELECT * FROM companies WHERE 1=1';
-    const params = [];
-    let paramCount = 0;
-
-    if (search) {
-      paramCount++;
-      query += ` AND (company_name ILIKE $${paramCount} OR city ILIKE $${paramCount} OR industry ILIKE $${paramCount})`;
-      params.push(`%${search}%`);
-    }
-
-    if (industry) {
-      paramCount++;
-      query += ` AND industry = $${paramCount}`;
-      params.push(industry);
-    }
-
-    // Add pagination
-    const offset = (page - 1) * limit;
-    query += ` ORDER BY company_name LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`;
-    params.push(limit, offset);
-
-    const result = await pool.query(query, params);
-    const companies = result.rows.map(company => ({
-      name: company.company_name,
-      tradestyle: company.tradestyle || '',
-      address: company.address_line_1 || '',
-      city: company.city || '',
-      state: company.state || '',
-      postalCode: company.postal_code || '',
-      phone: company.phone || '',
-      url: company.website || '',
-      favicon_url: company.favicon_url || '',
-      sales: company.revenue_formatted || '',
-      employees: company.employees_total?.toString() || '',
-      description: company.business_description || '',
-      industry: company.industry || '',
-      isHeadquarters: company.is_headquarters || false,
-      ownership: company.ownership_type || '',
-      entity_type: company.entity_type || '',
-      revenue_numeric: company.revenue_numeric || 0,
-      employeesSite: company.employees_single_site?.toString() || '',
-      approxAnnualRevenue: company.approx_annual_revenue || ''
-    }));
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        error: 'Email already registered',
+        message: 'An account with this email already exists'
+      });
+    }
+
+    res.status(201).json(await issueTokens(result.rows[0]));
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({
+      error: 'Failed to register',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  const credentials = parseCredentials(req.body);
+  if (credentials.error) {
+    return res.status(400).json({ error: 'Invalid login', message: credentials.error });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT id, email, first_name, last_name, password_hash, is_active FROM users WHERE email = $1',
+      [credentials.email]
+    );
+    const user = result.rows[0];
+    const valid = user && user.is_active && await verifyPassword(credentials.password, user.password_hash);
+
+    if (!valid) {
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        message: 'Email or password is incorrect'
+      });
+    }
+
+    res.json(await issueTokens(user));
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      error: 'Failed to log in',
+      message: error.message
+    });
+  }
+});
 
-    // Get total count for pagination
-    let countQuery = 'SELECT COUNT(*) FROM companies WHERE 1=1';
-    const countParams = [];
-    let countParamCount = 0;
+app.post('/api/auth/refresh', async (req, res) => {
+  const refreshToken = typeof req.body?.refreshToken === 'string' ? req.body.refreshToken : '';
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Invalid refresh', message: 'refreshToken is required' });
+  }
+
+  try {
+    // Revoking and reading in one statement means a token can only be used once
+    const result = await pool.query(
+      `UPDATE user_refresh_tokens rt
+       SET revoked_at = CURRENT_TIMESTAMP
+       FROM users u
+       WHERE rt.token_hash = $1
+         AND rt.revoked_at IS NULL
+         AND rt.expires_at > CURRENT_TIMESTAMP
+         AND u.id = rt.user_id
+         AND u.is_active = true
+       RETURNING u.id, u.email, u.first_name, u.last_name`,
+      [hashRefreshToken(refreshToken)]
+    );
 
-    if (search) {
-      countParamCount++;
-      countQuery += ` AND (company_name ILIKE $${countParamCount} OR city ILIKE $${countParamCount} OR industry ILIKE $${countParamCount})`;
-      countParams.push(`%${search}%`);
+    if (result.rows.length === 0) {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        message: 'Refresh token is expired or has been revoked'
+      });
     }
 
-    if (industry) {
-      countParamCount++;
-      countQuery += ` AND industry = $${countParamCount}`;
-      countParams.push(industry);
+    res.json(await issueTokens(result.rows[0]));
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({
+      error: 'Failed to refresh token',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  const refreshToken = typeof req.body?.refreshToken === 'string' ? req.body.refreshToken : '';
+
+  try {
+    if (refreshToken) {
+      await pool.query(
+        'UPDATE user_refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE token_hash = $1 AND revoked_at IS NULL',
+        [hashRefreshToken(refreshToken)]
+      );
     }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      error: 'Failed to log out',
+      message: error.message
+    });
+  }
+});
 
-    const countResult = await pool.query(countQuery, countParams);
-    const totalCount = parseInt(countResult.rows[0].count);
+app.get('/api/auth/me', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, email, first_name, last_name FROM users WHERE id = $1 AND is_active = true',
+      [req.user.id]
+    );
 
-    res.json({
-      companies,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: totalCount,
-        pages: Math.ceil(totalCount / limit)
-      },
-      filters: {
-        search,
-        industry
-      }
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid token', message: 'Account no longer exists' });
+    }
+
+    res.json({ user: formatUser(result.rows[0]) });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user',
+      message: error.message
     });
+  }
+});
+
+// Total counts are cached briefly so scrolling through pages of the same
+// filter does not repeat the COUNT(*) for every page
+const COUNT_CACHE_TTL = 60 * 1000;
+const COUNT_CACHE_MAX_ENTRIES = 500;
+const countCache = new Map();
+
+async function countCompanies(from, where, params, useCache = true) {
+  const cacheKey = `${from} ${where} ${JSON.stringify(params)}`;
+  const cached = countCache.get(cacheKey);
+  if (useCache && cached && Date.now() - cached.timestamp < COUNT_CACHE_TTL) {
+    return cached.count;
+  }
+
+  const result = await pool.query(`SELECT COUNT(*) FROM ${from} ${where}`, params);
+  const count = parseInt(result.rows[0].count);
+  if (!useCache) {
+    return count;
+  }
 
+  countCache.delete(cacheKey);
+  countCache.set(cacheKey, { count, timestamp: Date.now() });
+  if (countCache.size > COUNT_CACHE_MAX_ENTRIES) {
+    countCache.delete(countCache.keys().next().value);
+  }
+
+  return count;
+}
+
+/**
+ * Send one page of companies for the /api/companies filter, sort and
+ * pagination params. `scope` narrows the list for per-user views:
+ * { filters?: extra filters, format(row) -> object }.
+ * Scoped counts are not cached since the underlying list changes often.
+ */
+async function sendCompanyPage(req, res, scope = null) {
+  const { page, limit = 50, cursor, includeTotal } = req.query;
+  const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+  const pageNumber = page !== undefined ? Math.max(parseInt(page) || 1, 1) : null;
+
+  // Build SQL query with filters
+  const filters = { ...parseCompanyFilters(req.query), ...scope?.filters };
+  const sort = parseCompanySort(req.query, filters);
+  const params = [];
+  const { from, columns, where, orderBy } = buildCompanyQuery(filters, params, sort);
+
+  let cursorPosition = null;
+  if (cursor) {
+    cursorPosition = decodeCursor(cursor, sort);
+    if (!cursorPosition) {
+      return res.status(400).json({ 
+        error: 'Invalid cursor',
+        message: 'Cursor is malformed or was issued for a different sort order' 
+      });
+    }
+  }
+
+  const shouldCount = !cursor || includeTotal === 'true';
+  const countPromise = shouldCount ? countCompanies(from, where, [...params], !scope) : Promise.resolve(null);
+
+  // Fetch one extra row to know whether another page exists
+  let pageWhere = where;
+  let offsetClause = '';
+  if (cursorPosition) {
+    pageWhere = appendCondition(where, buildCursorCondition(sort, cursorPosition, params));
+  } else if (pageNumber) {
+    offsetClause = ` OFFSET $${params.push((pageNumber - 1) * pageSize)}`;
+  }
+  const query = `SELECT ${columns} FROM ${from} ${pageWhere} ORDER BY ${orderBy} LIMIT $${params.push(pageSize + 1)}${offsetClause}`;
+
+  const [result, totalCount] = await Promise.all([
+    pool.query(query, params),
+    countPromise
+  ]);
+
+  const hasMore = result.rows.length > pageSize;
+  const rows = result.rows.slice(0, pageSize);
+  const companies = rows.map(scope ? scope.format : formatCompany);
+  const nextCursor = hasMore ? encodeCursor(sort, rows[rows.length - 1]) : null;
+
+  res.json({
+    companies,
+    pagination: {
+      limit: pageSize,
+      total: totalCount,
+      hasMore,
+      nextCursor,
+      ...(pageNumber && {
+        page: pageNumber,
+        pages: totalCount !== null ? Math.ceil(totalCount / pageSize) : null
+      })
+    },
+    filters,
+    sort
+  });
+}
+
+// Get all companies with filtering and keyset (cursor) pagination.
+// Pass the returned nextCursor as `cursor` to fetch the following page.
+// The total is only computed for the first page unless includeTotal=true.
+// The legacy `page` param still pages with OFFSET when no cursor is given.
+app.get('/api/companies', async (req, res) => {
+  try {
+    await sendCompanyPage(req, res);
   } catch (error) {
     console.error('Error fetching companies:', error);
     res.status(500).json({ 
@@ -230,42 +478,217 @@ app.get('/api/companies', async (req, res) => {
   }
 });
 
-// Get single company by name
-app.get('/api/companies/:name', async (req, res) => {
+// Get facet counts for the current filters (industry, location, ownership, size buckets)
+app.get('/api/companies/facets', (req, res) => sendCompanyFacets(req, res));
+
+// `scope` is as for sendCompanyPage; only its filters apply here
+async function sendCompanyFacets(req, res, scope = null) {
   try {
-    const { name } = req.params;
-    const decodedName = decodeURIComponent(name);
-    
-    // Find company in database
-    const result = await pool.query('SELECT * FROM companies WHERE company_name = $1', [decodedName]);
+    const filters = { ...parseCompanyFilters(req.query), ...scope?.filters };
+    const facetQueries = buildFacetQueries(filters);
+
+    const totalParams = [];
+    const { from, where } = buildCompanyQuery(filters, totalParams);
+
+    const facetNames = Object.keys(facetQueries);
+    const [total, ...facetResults] = await Promise.all([
+      countCompanies(from, where, totalParams, !scope),
+      ...facetNames.map(name => pool.query(facetQueries[name].text, facetQueries[name].values))
+    ]);
+
+    const facets = {};
+    facetNames.forEach((name, index) => {
+      facets[name] = facetQueries[name].format(facetResults[index].rows);
+    });
+
+    res.json({
+      facets,
+      total,
+      filters
+    });
+
+  } catch (error) {
+    console.error('Error fetching facets:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch facets',
+      message: error.message 
+    });
+  }
+}
+
+// Type-ahead suggestions for the search box: company names, tradestyles and
+// cities containing ?q= (at least MIN_SUGGEST_LENGTH characters)
+const SUGGEST_DEFAULT_LIMIT = 5;
+const SUGGEST_MAX_LIMIT = 10;
+
+app.get('/api/companies/suggest', async (req, res) => {
+  const term = String(req.query.q || '').trim();
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || SUGGEST_DEFAULT_LIMIT, 1), SUGGEST_MAX_LIMIT);
+
+  if (term.length < MIN_SUGGEST_LENGTH) {
+    return res.json({ query: term, suggestions: { companies: [], tradestyles: [], cities: [] } });
+  }
+
+  try {
+    const suggestQueries = buildSuggestQueries(term, limit);
+    const names = Object.keys(suggestQueries);
+    const results = await Promise.all(
+      names.map(name => pool.query(suggestQueries[name].text, suggestQueries[name].values))
+    );
+
+    const suggestions = {};
+    names.forEach((name, index) => {
+      suggestions[name] = suggestQueries[name].format(results[index].rows);
+    });
+
+    res.json({ query: term, suggestions });
+  } catch (error) {
+    console.error('Error fetching suggestions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch suggestions',
+      message: error.message
+    });
+  }
+});
+
+// Export every company matching the /api/companies filters (not just one page)
+// as CSV, XLSX or JSON Lines. ?columns= picks columns from the export catalog
+// and ?includeContacts=true writes one row per contact. Requires sign-in.
+const EXPORT_BATCH_SIZE = 1000;
+
+app.get('/api/companies/export', requireAuth, (req, res) => {
+  const filters = parseCompanyFilters(req.query);
+  return sendCompanyExport(req, res, filters, parseCompanySort(req.query, filters), req.query);
+});
+
+// Export a bulk selection: { ids } or { filter, excludeIds } plus the same
+// format, columns (list or comma-separated) and includeContacts options
+app.post('/api/companies/export', requireAuth, (req, res) => {
+  const selection = parseCompanySelection(req.body, req.user.id);
+  if (selection.error) {
+    return res.status(400).json({ error: 'Invalid selection', message: selection.error });
+  }
+  const sort = parseCompanySort(req.body.filter || {}, selection.filters);
+  return sendCompanyExport(req, res, selection.filters, sort, req.body);
+});
+
+async function sendCompanyExport(req, res, filters, sort, options) {
+  const format = Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, options.format) ? options.format : 'csv';
+  const includeContacts = options.includeContacts === 'true' || options.includeContacts === true;
+  const requestedColumns = String(options.columns || '').split(',').map(column => column.trim()).filter(Boolean);
+  const columns = resolveExportColumns(requestedColumns, includeContacts);
+
+  let aborted = false;
+  res.on('close', () => {
+    aborted = !res.writableFinished;
+  });
+
+  // Walk the result set in keyset batches so memory use stays flat
+  const fetchBatch = async (cursorPosition) => {
+    const params = [];
+    const query = buildCompanyQuery(filters, params, sort);
+    const where = cursorPosition
+      ? appendCondition(query.where, buildCursorCondition(sort, cursorPosition, params))
+      : query.where;
+    const result = await pool.query(
+      `SELECT ${query.columns} FROM ${query.from} ${where} ORDER BY ${query.orderBy} LIMIT $${params.push(EXPORT_BATCH_SIZE)}`,
+      params
+    );
+    return result.rows;
+  };
+
+  const fetchContacts = async (companies) => {
+    const contactsByDuns = new Map();
+    const result = await pool.query(
+      'SELECT * FROM contacts WHERE duns_number = ANY($1) ORDER BY duns_number, is_primary DESC, title_priority ASC',
+      [companies.map(company => company.duns_number)]
+    );
+    result.rows.forEach(contact => {
+      if (!contactsByDuns.has(contact.duns_number)) {
+        contactsByDuns.set(contact.duns_number, []);
+      }
+      contactsByDuns.get(contact.duns_number).push(contact);
+    });
+    return contactsByDuns;
+  };
+
+  try {
+    // Run the first query before writing anything so errors can still be reported as JSON
+    let rows = await fetchBatch(null);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="companies-${date}.${EXPORT_FORMATS[format].extension}"`);
+    const writer = await createExportWriter(format, res, columns);
+
+    while (rows.length > 0 && !aborted) {
+      const contactsByDuns = includeContacts ? await fetchContacts(rows) : null;
+
+      for (const company of rows) {
+        const contacts = contactsByDuns?.get(company.duns_number) || [];
+        if (contacts.length === 0) {
+          await writer.writeRow(buildExportRow(columns, company));
+        }
+        for (const contact of contacts) {
+          await writer.writeRow(buildExportRow(columns, company, contact));
+        }
+      }
+
+      if (rows.length < EXPORT_BATCH_SIZE) {
+        break;
+      }
+      const lastRow = rows[rows.length - 1];
+      rows = await fetchBatch({ value: lastRow.sort_value, id: lastRow.id });
+    }
+
+    if (!aborted) {
+      await writer.end();
+    }
+
+  } catch (error) {
+    console.error('Error exporting companies:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ 
+        error: 'Failed to export companies',
+        message: error.message 
+      });
+    } else {
+      // Cut the download short rather than leave a silently truncated file
+      res.destroy(error);
+    }
+  }
+}
+
+// Company routes are keyed by UUID (/by-id/:id) or D-U-N-S number (/by-duns/:duns)
+const companyRoutes = (suffix = '') => [
+  `/api/companies/by-id/:id${suffix}`,
+  `/api/companies/by-duns/:duns${suffix}`
+];
+
+// Look up a company row from the :id or :duns route param
+async function findCompany(params, columns = '*') {
+  if (params.id !== undefined) {
+    if (!UUID_PATTERN.test(params.id)) {
+      return null;
+    }
+    const result = await pool.query(`SELECT ${columns} FROM companies WHERE id = $1`, [params.id]);
+    return result.rows[0] || null;
+  }
+
+  const result = await pool.query(`SELECT ${columns} FROM companies WHERE duns_number = $1`, [params.duns]);
+  return result.rows[0] || null;
+}
+
+// Get single company by id or DUNS
+app.get(companyRoutes(), async (req, res) => {
+  try {
+    const company = await findCompany(req.params);
     
-    if (result.rows.length === 0) {
+    if (!company) {
       return res.status(404).json({ error: 'Company not found' });
     }
     
-    const company = result.rows[0];
-    const formattedCompany = {
-      name: company.company_name,
-      tradestyle: company.tradestyle || '',
-      address: company.address_line_1 || '',
-      city: company.city || '',
-      state: company.state || '',
-      postalCode: company.postal_code || '',
-      phone: company.phone || '',
-      url: company.website || '',
-      sales: company.revenue_formatted || '',
-      employees: company.employees_total?.toString() || '',
-      description: company.business_description || '',
-      industry: company.industry || '',
-      isHeadquarters: company.is_headquarters || false,
-      ownership: company.ownership_type || '',
-      entity_type: company.entity_type || '',
-      revenue_numeric: company.revenue_numeric || 0,
-      employeesSite: company.employees_single_site?.toString() || '',
-      approxAnnualRevenue: company.approx_annual_revenue || ''
-    };
-    
-    res.json(formattedCompany);
+    res.json(formatCompany(company));
 
   } catch (error) {
     console.error('Error fetching company:', error);
@@ -276,28 +699,23 @@ app.get('/api/companies/:name', async (req, res) => {
   }
 });
 
-// Get contacts for a specific company
-app.get('/api/companies/:name/contacts', async (req, res) => {
+// Get contacts for a specific company (signed-in users only)
+app.get(companyRoutes('/contacts'), requireAuth, async (req, res) => {
   try {
-    const { name } = req.params;
-    const decodedName = decodeURIComponent(name);
+    const company = await findCompany(req.params, 'duns_number');
     
-    // First get the company to get its duns_number
-    const companyResult = await pool.query('SELECT duns_number FROM companies WHERE company_name = $1', [decodedName]);
-    
-    if (companyResult.rows.length === 0) {
+    if (!company) {
       return res.status(404).json({ error: 'Company not found' });
     }
     
-    const dunsNumber = companyResult.rows[0].duns_number;
-    
     // Get contacts for this company using duns_number
     const contactsResult = await pool.query(
       'SELECT * FROM contacts WHERE duns_number = $1 ORDER BY is_primary DESC, title_priority ASC',
-      [dunsNumber]
+      [company.duns_number]
     );
     
     const contacts = contactsResult.rows.map(contact => ({
+      id: contact.id,
       firstName: contact.first_name || '',
       lastName: contact.last_name || '',
       fullName: contact.full_name || '',
@@ -322,91 +740,47 @@ app.get('/api/companies/:name/contacts', async (req, res) => {
   }
 });
 
-// Get unique industries for filter dropdown
-app.get('/api/industries', async (req, res) => {
-  try {
-    // Get unique industries from database
-    const result = await pool.query('SELECT DISTINCT industry FROM companies WHERE industry IS NOT NULL AND industry != \'\' ORDER BY industry');
-    const industries = result.rows.map(row => ({
-      value: row.industry,
-      label: row.industry
-    }));
-    
-    res.json(industries);
+// Sitemap pages come from a background crawl queue, so these routes answer
+// straight away with what is cached (or found so far)
+const SITEMAP_HEARTBEAT_MS = 15000;
 
-  } catch (error) {
-    console.error('Error fetching industries:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch industries',
-      message: error.message 
-    });
+const parseSitemapLimit = (value) => Math.min(Math.max(parseInt(value) || 10, 1), 50);
+
+// The company's website and name, or null after sending a 404
+async function findSitemapCompany(req, res) {
+  const company = await findCompany(req.params, 'company_name, website');
+  if (!company) {
+    res.status(404).json({ error: 'Company not found' });
+    return null;
   }
-});
+  return company;
+}
 
-// Get database statistics
-app.get('/api/stats', async (req, res) => {
-  try {
-    // Calculate stats from database
-    const [companiesResult, contactsResult, industriesResult, headquartersResult, revenueResult, employeesResult] = await Promise.all([
-      pool.query('SELECT COUNT(*) FROM companies'),
-      pool.query('SELECT COUNT(*) FROM contacts'),
-      pool.query('SELECT COUNT(DISTINCT industry) FROM companies WHERE industry IS NOT NULL AND industry != \'\''),
-      pool.query('SELECT COUNT(*) FROM companies WHERE is_headquarters = true'),
-      pool.query('SELECT AVG(revenue_numeric) FROM companies WHERE revenue_numeric > 0'),
-      pool.query('SELECT AVG(employees_total) FROM companies WHERE employees_total > 0')
-    ]);
+const NO_WEBSITE_RESULT = {
+  pages: [],
+  error: 'No website URL available for this company',
+  totalFound: 0,
+  subdomainsChecked: 0,
+  crawling: false,
+  progress: null
+};
 
-    const stats = {
-      totalCompanies: parseInt(companiesResult.rows[0].count),
-      totalContacts: parseInt(contactsResult.rows[0].count),
-      totalIndustries: parseInt(industriesResult.rows[0].count),
-      headquartersCount: parseInt(headquartersResult.rows[0].count),
-      averageRevenue: parseFloat(revenueResult.rows[0].avg) || 0,
-      averageEmployees: parseFloat(employeesResult.rows[0].avg) || 0
-    };
+// Get sitemap pages for a company. ?refresh=true starts a recrawl; while
+// crawling is true, /sitemap/events streams the rest.
+app.get(companyRoutes('/sitemap'), async (req, res) => {
+  try {
+    const limit = parseSitemapLimit(req.query.limit);
+    const company = await findSitemapCompany(req, res);
+    if (!company) return;
 
-    res.json(stats);
+    if (!company.website) {
+      return res.json(NO_WEBSITE_RESULT);
+    }
 
-  } catch (error) {
-    console.error('Error fetching stats:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch statistics',
-      message: error.message 
+    const lookup = await sitemapService.lookup(company.website, company.company_name, {
+      refresh: req.query.refresh === 'true'
     });
-  }
-});
-
-// Get sitemap pages for a company
-app.get('/api/companies/:name/sitemap', async (req, res) => {
-  try {
-    const { name } = req.params;
-    const { limit = 10 } = req.query;
-    const decodedName = decodeURIComponent(name);
-    
-    // Get company details first
-    const companyResult = await pool.query('SELECT company_name, website FROM companies WHERE company_name = $1', [decodedName]);
-    
-    if (companyResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Company not found' });
-    }
-    
-    const company = companyResult.rows[0];
-    const companyUrl = company.website;
-    const companyName = company.company_name;
-    
-    if (!companyUrl) {
-      return res.json({ 
-        pages: [], 
-        error: 'No website URL available for this company',
-        totalFound: 0,
-        subdomainsChecked: 0
-      });
-    }
-    
-    // Get relevant sitemap pages
-    const result = await sitemapService.getRelevantPages(companyUrl, companyName, parseInt(limit));
-    
-    res.json(result);
+    res.json(sitemapService.summarize(lookup, limit));
 
   } catch (error) {
     console.error('Error fetching sitemap:', error);
@@ -420,27 +794,1720 @@ app.get('/api/companies/:name/sitemap', async (req, res) => {
   }
 });
 
-// Clear sitemap cache (useful for testing)
-app.post('/api/sitemap/clear-cache', (req, res) => {
+// Server-Sent Events for a company's sitemap crawl: 'progress' with the
+// pages found so far as the crawl advances, then 'done' with the final
+// result (straight away when nothing is being crawled) or 'failed'
+app.get(companyRoutes('/sitemap/events'), async (req, res) => {
+  let lookup;
   try {
-    sitemapService.clearCache();
-    res.json({ 
-      success: true, 
-      message: 'Sitemap cache cleared successfully' 
-    });
+    const company = await findSitemapCompany(req, res);
+    if (!company) return;
+    lookup = company.website
+      ? await sitemapService.lookup(company.website, company.company_name)
+      : null;
   } catch (error) {
-    console.error('Error clearing cache:', error);
-    res.status(500).json({ 
-      error: 'Failed to clear cache',
+    console.error('Error starting sitemap events:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch sitemap',
+      message: error.message
+    });
+  }
+
+  const limit = parseSitemapLimit(req.query.limit);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const job = lookup && lookup.job;
+  if (!job) {
+    send('done', lookup ? sitemapService.summarize(lookup, limit) : NO_WEBSITE_RESULT);
+    return res.end();
+  }
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SITEMAP_HEARTBEAT_MS);
+  const onUpdate = () => send('progress', sitemapService.summarize(lookup, limit));
+  const onDone = (entry) => {
+    send('done', sitemapService.summarize({ entry, job: null, error: null }, limit));
+    close();
+  };
+  const onFailed = (error) => {
+    send('failed', { error: 'Sitemap crawl failed', message: error.message });
+    close();
+  };
+  const stopListening = () => {
+    clearInterval(heartbeat);
+    job.off('update', onUpdate);
+    job.off('done', onDone);
+    job.off('failed', onFailed);
+  };
+  const close = () => {
+    stopListening();
+    res.end();
+  };
+
+  job.on('update', onUpdate);
+  job.on('done', onDone);
+  job.on('failed', onFailed);
+  // The crawl carries on for other viewers (and the cache) after a disconnect
+  req.on('close', stopListening);
+  onUpdate();
+  // Finished before we started listening
+  if (job.status === 'done' || job.status === 'failed') {
+    job.promise.then(onDone, onFailed);
+  }
+});
+
+/**
+ * Record a user interaction for the activity timeline.
+ * Fire-and-forget: a failed insert is logged but never fails the request.
+ */
+function recordInteraction(userId, companyId, type, data = {}) {
+  pool.query(
+    'INSERT INTO user_interactions (user_id, company_id, interaction_type, interaction_data) VALUES ($1, $2, $3, $4)',
+    [userId, companyId, type, data]
+  ).catch(error => console.error('Error recording interaction:', error.message));
+}
+
+// Company notes: private to the signed-in user, newest first.
+// updated_at is maintained by the trigger_user_company_notes_updated_at trigger.
+const MAX_NOTE_LENGTH = 20000;
+
+function formatNote(row) {
+  return {
+    id: row.id,
+    companyId: row.company_id,
+    text: row.note_text,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    edited: row.updated_at > row.created_at
+  };
+}
+
+// Returns the trimmed note text, or null when it is missing or too long
+function parseNoteText(body) {
+  const text = typeof body?.text === 'string' ? body.text.trim() : '';
+  return text && text.length <= MAX_NOTE_LENGTH ? text : null;
+}
+
+const invalidNoteResponse = {
+  error: 'Invalid note',
+  message: `Note text is required and must be at most ${MAX_NOTE_LENGTH} characters`
+};
+
+app.get(companyRoutes('/notes'), requireAuth, async (req, res) => {
+  try {
+    const company = await findCompany(req.params, 'id');
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM user_company_notes
+       WHERE user_id = $1 AND company_id = $2
+       ORDER BY created_at DESC, id`,
+      [req.user.id, company.id]
+    );
+
+    res.json({ notes: result.rows.map(formatNote) });
+  } catch (error) {
+    console.error('Error fetching notes:', error);
+    res.status(500).json({
+      error: 'Failed to fetch notes',
+      message: error.message
+    });
+  }
+});
+
+app.post(companyRoutes('/notes'), requireAuth, async (req, res) => {
+  const text = parseNoteText(req.body);
+  if (!text) {
+    return res.status(400).json(invalidNoteResponse);
+  }
+
+  try {
+    const company = await findCompany(req.params, 'id');
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO user_company_notes (user_id, company_id, note_text)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [req.user.id, company.id, text]
+    );
+
+    recordInteraction(req.user.id, company.id, 'note', { action: 'created', noteId: result.rows[0].id });
+    res.status(201).json(formatNote(result.rows[0]));
+  } catch (error) {
+    console.error('Error creating note:', error);
+    res.status(500).json({
+      error: 'Failed to create note',
+      message: error.message
+    });
+  }
+});
+
+app.patch(companyRoutes('/notes/:noteId'), requireAuth, async (req, res) => {
+  const text = parseNoteText(req.body);
+  if (!text) {
+    return res.status(400).json(invalidNoteResponse);
+  }
+  if (!UUID_PATTERN.test(req.params.noteId)) {
+    return res.status(404).json({ error: 'Note not found' });
+  }
+
+  try {
+    const company = await findCompany(req.params, 'id');
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const result = await pool.query(
+      `UPDATE user_company_notes SET note_text = $1
+       WHERE id = $2 AND user_id = $3 AND company_id = $4
+       RETURNING *`,
+      [text, req.params.noteId, req.user.id, company.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    recordInteraction(req.user.id, company.id, 'note', { action: 'updated', noteId: req.params.noteId });
+    res.json(formatNote(result.rows[0]));
+  } catch (error) {
+    console.error('Error updating note:', error);
+    res.status(500).json({
+      error: 'Failed to update note',
+      message: error.message
+    });
+  }
+});
+
+app.delete(companyRoutes('/notes/:noteId'), requireAuth, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.noteId)) {
+    return res.status(404).json({ error: 'Note not found' });
+  }
+
+  try {
+    const company = await findCompany(req.params, 'id');
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const result = await pool.query(
+      'DELETE FROM user_company_notes WHERE id = $1 AND user_id = $2 AND company_id = $3',
+      [req.params.noteId, req.user.id, company.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    recordInteraction(req.user.id, company.id, 'note', { action: 'deleted', noteId: req.params.noteId });
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    res.status(500).json({
+      error: 'Failed to delete note',
+      message: error.message
+    });
+  }
+});
+
+// Company tags and owners (team-wide, unlike notes and saved companies)
+// Bulk routes take a selection: { ids } or { filter, excludeIds }.
+const invalidSelection = (res, message) => res.status(400).json({ error: 'Invalid selection', message });
+
+// Bulk tagging, owner changes, saves and list additions touch at most this
+// many companies per request
+const MAX_BATCH_UPDATES = 1000;
+
+// Number of companies a parsed selection covers
+async function countSelection(filters) {
+  const params = [];
+  const result = await pool.query(
+    `SELECT COUNT(*) FROM (${buildSelectionQuery(filters, params)}) selected`,
+    params
+  );
+  return parseInt(result.rows[0].count);
+}
+
+function formatOwner(row) {
+  if (!row.owner_user_id) {
+    return null;
+  }
+  return {
+    ...formatUser({ id: row.owner_user_id, email: row.owner_email, first_name: row.owner_first_name, last_name: row.owner_last_name }),
+    assignedAt: row.assigned_at
+  };
+}
+
+app.get(companyRoutes('/assignment'), requireAuth, async (req, res) => {
+  try {
+    const company = await findCompany(req.params, 'id');
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const [ownerResult, tagsResult] = await Promise.all([
+      pool.query(
+        `SELECT o.owner_user_id, o.assigned_at, u.email AS owner_email,
+                u.first_name AS owner_first_name, u.last_name AS owner_last_name
+         FROM company_owners o JOIN users u ON u.id = o.owner_user_id
+         WHERE o.company_id = $1`,
+        [company.id]
+      ),
+      pool.query('SELECT tag FROM company_tags WHERE company_id = $1 ORDER BY tag', [company.id])
+    ]);
+
+    res.json({
+      owner: ownerResult.rows[0] ? formatOwner(ownerResult.rows[0]) : null,
+      tags: tagsResult.rows.map(row => row.tag)
+    });
+  } catch (error) {
+    console.error('Error fetching company assignment:', error);
+    res.status(500).json({
+      error: 'Failed to fetch company assignment',
+      message: error.message
+    });
+  }
+});
+
+app.delete(companyRoutes('/tags/:tag'), requireAuth, async (req, res) => {
+  try {
+    const company = await findCompany(req.params, 'id');
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    await pool.query(
+      'DELETE FROM company_tags WHERE company_id = $1 AND tag = $2',
+      [company.id, req.params.tag.trim().toLowerCase()]
+    );
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error removing company tag:', error);
+    res.status(500).json({
+      error: 'Failed to remove tag',
+      message: error.message
+    });
+  }
+});
+
+// Add tags to every selected company: { ...selection, tags: [...] }
+app.post('/api/companies/batch/tags', requireAuth, async (req, res) => {
+  const selection = parseCompanySelection(req.body, req.user.id);
+  if (selection.error) {
+    return invalidSelection(res, selection.error);
+  }
+  if (!hasSelectionCriteria(selection.filters)) {
+    return invalidSelection(res, 'Select companies or filter them before tagging');
+  }
+  const { tags, error: tagError } = parseTags(req.body.tags);
+  if (tagError) {
+    return res.status(400).json({ error: 'Invalid tags', message: tagError });
+  }
+
+  try {
+    if (await countSelection(selection.filters) > MAX_BATCH_UPDATES) {
+      return invalidSelection(res, `At most ${MAX_BATCH_UPDATES} companies can be tagged at a time`);
+    }
+
+    const params = [req.user.id, tags];
+    const result = await pool.query(
+      `INSERT INTO company_tags (company_id, tag, created_by)
+       SELECT selected.company_id, t.tag, $1::uuid
+       FROM (${buildSelectionQuery(selection.filters, params)}) selected
+       CROSS JOIN unnest($2::text[]) AS t(tag)
+       ON CONFLICT (company_id, tag) DO NOTHING`,
+      params
+    );
+    res.json({ affected: result.rowCount, tags });
+  } catch (error) {
+    console.error('Error tagging companies:', error);
+    res.status(500).json({
+      error: 'Failed to tag companies',
+      message: error.message
+    });
+  }
+});
+
+// Assign (or with ownerId: null, unassign) the owner of every selected company
+app.post('/api/companies/batch/owner', requireAuth, async (req, res) => {
+  const selection = parseCompanySelection(req.body, req.user.id);
+  if (selection.error) {
+    return invalidSelection(res, selection.error);
+  }
+  if (!hasSelectionCriteria(selection.filters)) {
+    return invalidSelection(res, 'Select companies or filter them before changing owners');
+  }
+  const { ownerId } = req.body;
+  if (ownerId !== null && !(typeof ownerId === 'string' && UUID_PATTERN.test(ownerId))) {
+    return res.status(400).json({ error: 'Invalid owner', message: 'ownerId must be a user id or null' });
+  }
+
+  try {
+    if (await countSelection(selection.filters) > MAX_BATCH_UPDATES) {
+      return invalidSelection(res, `Owners can be changed for at most ${MAX_BATCH_UPDATES} companies at a time`);
+    }
+
+    if (ownerId === null) {
+      const params = [];
+      const result = await pool.query(
+        `DELETE FROM company_owners WHERE company_id IN (${buildSelectionQuery(selection.filters, params)})`,
+        params
+      );
+      return res.json({ affected: result.rowCount, owner: null });
+    }
+
+    const ownerResult = await pool.query(
+      'SELECT id, email, first_name, last_name FROM users WHERE id = $1 AND is_active = true',
+      [ownerId]
+    );
+    if (ownerResult.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid owner', message: 'User not found' });
+    }
+
+    const params = [ownerId, req.user.id];
+    const result = await pool.query(
+      `INSERT INTO company_owners (company_id, owner_user_id, assigned_by)
+       SELECT selected.company_id, $1::uuid, $2::uuid
+       FROM (${buildSelectionQuery(selection.filters, params)}) selected
+       ON CONFLICT (company_id) DO UPDATE
+         SET owner_user_id = EXCLUDED.owner_user_id,
+             assigned_by = EXCLUDED.assigned_by,
+             assigned_at = CURRENT_TIMESTAMP`,
+      params
+    );
+    res.json({ affected: result.rowCount, owner: formatUser(ownerResult.rows[0]) });
+  } catch (error) {
+    console.error('Error assigning company owner:', error);
+    res.status(500).json({
+      error: 'Failed to assign owner',
+      message: error.message
+    });
+  }
+});
+
+// Legacy name-keyed routes. Names are not unique and can contain slashes,
+// so these only resolve the name and redirect to the matching id route.
+const redirectByName = (suffix) => async (req, res) => {
+  try {
+    const { name } = req.params;
+    const result = await pool.query(
+      'SELECT id, duns_number, company_name, city FROM companies WHERE company_name = $1 ORDER BY duns_number',
+      [name]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    if (result.rows.length > 1) {
+      return res.status(300).json({
+        error: 'Multiple companies match this name',
+        matches: result.rows.map(company => ({
+          id: company.id,
+          dunsNumber: company.duns_number,
+          name: company.company_name,
+          city: company.city || ''
+        }))
+      });
+    }
+
+    const queryIndex = req.originalUrl.indexOf('?');
+    const queryString = queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : '';
+    res.redirect(302, `/api/companies/by-id/${result.rows[0].id}${suffix}${queryString}`);
+
+  } catch (error) {
+    console.error('Error resolving company name:', error);
+    res.status(500).json({ 
+      error: 'Failed to resolve company',
+      message: error.message 
+    });
+  }
+};
+
+app.get('/api/companies/:name', redirectByName(''));
+app.get('/api/companies/:name/contacts', redirectByName('/contacts'));
+app.get('/api/companies/:name/sitemap', redirectByName('/sitemap'));
+app.get('/api/companies/:name/sitemap/events', redirectByName('/sitemap/events'));
+
+// Saved companies (per-user bookmarks with an optional note)
+// The list accepts the same filter, sort and cursor params as /api/companies.
+const savedCompaniesScope = (userId) => ({
+  filters: { savedBy: userId },
+  format: (row) => ({
+    ...formatCompany(row),
+    saved: { notes: row.saved_notes, savedAt: row.saved_at }
+  })
+});
+
+app.get('/api/saved-companies', requireAuth, async (req, res) => {
+  try {
+    await sendCompanyPage(req, res, savedCompaniesScope(req.user.id));
+  } catch (error) {
+    console.error('Error fetching saved companies:', error);
+    res.status(500).json({
+      error: 'Failed to fetch saved companies',
+      message: error.message
+    });
+  }
+});
+
+// Ids of every saved company, so lists can mark saved cards without a lookup per card
+app.get('/api/saved-companies/ids', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT company_id FROM user_saved_companies WHERE user_id = $1',
+      [req.user.id]
+    );
+    res.json({ ids: result.rows.map(row => row.company_id) });
+  } catch (error) {
+    console.error('Error fetching saved company ids:', error);
+    res.status(500).json({
+      error: 'Failed to fetch saved companies',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/saved-companies/:companyId', requireAuth, async (req, res) => {
+  const { companyId } = req.params;
+
+  if (!UUID_PATTERN.test(companyId)) {
+    return res.status(404).json({ error: 'Saved company not found' });
+  }
+
+  try {
+    const result = await pool.query(
+      'SELECT company_id, notes, created_at FROM user_saved_companies WHERE user_id = $1 AND company_id = $2',
+      [req.user.id, companyId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Saved company not found' });
+    }
+
+    const saved = result.rows[0];
+    res.json({ companyId: saved.company_id, notes: saved.notes, savedAt: saved.created_at });
+  } catch (error) {
+    console.error('Error fetching saved company:', error);
+    res.status(500).json({
+      error: 'Failed to fetch saved company',
+      message: error.message
+    });
+  }
+});
+
+// Save a company, or update the note on an already saved company.
+// Omitting `notes` keeps the existing note; null or '' clears it.
+app.put('/api/saved-companies/:companyId', requireAuth, async (req, res) => {
+  const { companyId } = req.params;
+  const notesProvided = req.body !== undefined && req.body !== null && 'notes' in req.body;
+  const notes = typeof req.body?.notes === 'string' && req.body.notes.trim() ? req.body.notes.trim() : null;
+
+  if (!UUID_PATTERN.test(companyId)) {
+    return res.status(404).json({ error: 'Company not found' });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO user_saved_companies (user_id, company_id, notes)
+       SELECT $1, id, $3 FROM companies WHERE id = $2
+       ON CONFLICT (user_id, company_id) DO UPDATE
+         SET notes = CASE WHEN $4 THEN EXCLUDED.notes ELSE user_saved_companies.notes END
+       RETURNING company_id, notes, created_at`,
+      [req.user.id, companyId, notes, notesProvided]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const saved = result.rows[0];
+    res.json({ companyId: saved.company_id, notes: saved.notes, savedAt: saved.created_at });
+  } catch (error) {
+    console.error('Error saving company:', error);
+    res.status(500).json({
+      error: 'Failed to save company',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/saved-companies/:companyId', requireAuth, async (req, res) => {
+  const { companyId } = req.params;
+
+  if (!UUID_PATTERN.test(companyId)) {
+    return res.status(404).json({ error: 'Company not found' });
+  }
+
+  try {
+    await pool.query(
+      'DELETE FROM user_saved_companies WHERE user_id = $1 AND company_id = $2',
+      [req.user.id, companyId]
+    );
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error removing saved company:', error);
+    res.status(500).json({
+      error: 'Failed to remove saved company',
+      message: error.message
+    });
+  }
+});
+
+// Save every company in a selection: { ids } or { filter, excludeIds }.
+// Already saved companies keep their notes.
+app.post('/api/saved-companies/batch', requireAuth, async (req, res) => {
+  const selection = parseCompanySelection(req.body, req.user.id);
+  if (selection.error) {
+    return invalidSelection(res, selection.error);
+  }
+  if (!hasSelectionCriteria(selection.filters)) {
+    return invalidSelection(res, 'Select companies or filter them before saving');
+  }
+
+  try {
+    if (await countSelection(selection.filters) > MAX_BATCH_UPDATES) {
+      return invalidSelection(res, `At most ${MAX_BATCH_UPDATES} companies can be saved at a time`);
+    }
+
+    const params = [req.user.id];
+    const result = await pool.query(
+      `INSERT INTO user_saved_companies (user_id, company_id)
+       SELECT $1::uuid, selected.company_id FROM (${buildSelectionQuery(selection.filters, params)}) selected
+       ON CONFLICT (user_id, company_id) DO NOTHING`,
+      params
+    );
+    res.json({ affected: result.rowCount });
+  } catch (error) {
+    console.error('Error saving companies:', error);
+    res.status(500).json({
+      error: 'Failed to save companies',
+      message: error.message
+    });
+  }
+});
+
+// UI preferences (e.g. the company view and table columns), stored as
+// small JSON values per user and key
+const PREFERENCE_KEY_PATTERN = /^[a-zA-Z][\w.-]{0,99}$/;
+const MAX_PREFERENCE_BYTES = 8192;
+
+app.get('/api/preferences', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT preference_key, preference_value FROM user_preferences WHERE user_id = $1',
+      [req.user.id]
+    );
+
+    const preferences = {};
+    result.rows.forEach(row => {
+      preferences[row.preference_key] = row.preference_value;
+    });
+    res.json({ preferences });
+  } catch (error) {
+    console.error('Error fetching preferences:', error);
+    res.status(500).json({
+      error: 'Failed to fetch preferences',
+      message: error.message
+    });
+  }
+});
+
+app.put('/api/preferences/:key', requireAuth, async (req, res) => {
+  const { key } = req.params;
+  const value = req.body?.value;
+
+  if (!PREFERENCE_KEY_PATTERN.test(key) || value === undefined || JSON.stringify(value).length > MAX_PREFERENCE_BYTES) {
+    return res.status(400).json({
+      error: 'Invalid preference',
+      message: `A value of at most ${MAX_PREFERENCE_BYTES} bytes is required`
+    });
+  }
+
+  try {
+    await pool.query(
+      `INSERT INTO user_preferences (user_id, preference_key, preference_value)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, preference_key)
+       DO UPDATE SET preference_value = EXCLUDED.preference_value, updated_at = CURRENT_TIMESTAMP`,
+      [req.user.id, key, JSON.stringify(value)]
+    );
+
+    res.json({ key, value });
+  } catch (error) {
+    console.error('Error saving preference:', error);
+    res.status(500).json({
+      error: 'Failed to save preference',
+      message: error.message
+    });
+  }
+});
+
+// Saved searches. search_criteria holds /api/companies query params
+// (search, industry, other filters, sort, order), normalized on save.
+// Companies created after last_run_at count as new matches; running a
+// search returns their ids and moves last_run_at forward.
+const MAX_SAVED_SEARCH_NAME_LENGTH = 255;
+const MAX_NEW_MATCH_IDS = 500;
+
+// Only an explicit sort is kept, so loading the search leaves the default
+function normalizeSearchCriteria(criteria) {
+  const filters = parseCompanyFilters(criteria);
+  return serializeCompanyFilters(filters, criteria.sort ? parseCompanySort(criteria, filters) : null);
+}
+
+function parseSavedSearchName(body) {
+  const name = typeof body?.name === 'string' ? body.name.trim() : '';
+  return name && name.length <= MAX_SAVED_SEARCH_NAME_LENGTH ? name : null;
+}
+
+// Count (or list, with `limit`) companies matching criteria created after `since`
+async function findNewMatches(criteria, since, limit = null) {
+  if (!since) {
+    return limit ? [] : 0;
+  }
+  const params = [];
+  const { from, where } = buildCompanyQuery(parseCompanyFilters(criteria), params);
+  const newWhere = appendCondition(where, `companies.created_at > $${params.push(since)}`);
+
+  if (!limit) {
+    return countCompanies(from, newWhere, params, false);
+  }
+  const result = await pool.query(
+    `SELECT companies.id FROM ${from} ${newWhere} ORDER BY companies.created_at DESC LIMIT $${params.push(limit)}`,
+    params
+  );
+  return result.rows.map(row => row.id);
+}
+
+function formatSavedSearch(row, newMatches = null) {
+  return {
+    id: row.id,
+    name: row.search_name,
+    criteria: row.search_criteria,
+    createdAt: row.created_at,
+    lastRunAt: row.last_run_at,
+    lastResultCount: row.last_result_count,
+    newMatches
+  };
+}
+
+app.get('/api/saved-searches', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM user_saved_searches WHERE user_id = $1 ORDER BY search_name',
+      [req.user.id]
+    );
+    const newMatches = await Promise.all(
+      result.rows.map(row => findNewMatches(row.search_criteria, row.last_run_at))
+    );
+
+    res.json({
+      savedSearches: result.rows.map((row, index) => formatSavedSearch(row, newMatches[index]))
+    });
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({
+      error: 'Failed to fetch saved searches',
+      message: error.message
+    });
+  }
+});
+
+// Saving counts as the first run: only companies added afterwards are new
+app.post('/api/saved-searches', requireAuth, async (req, res) => {
+  const name = parseSavedSearchName(req.body);
+  const criteria = req.body?.criteria;
+
+  if (!name || typeof criteria !== 'object' || criteria === null || Array.isArray(criteria)) {
+    return res.status(400).json({
+      error: 'Invalid saved search',
+      message: `A name (up to ${MAX_SAVED_SEARCH_NAME_LENGTH} characters) and a criteria object are required`
+    });
+  }
+
+  try {
+    const normalized = normalizeSearchCriteria(criteria);
+    const params = [];
+    const { from, where } = buildCompanyQuery(parseCompanyFilters(normalized), params);
+    const resultCount = await countCompanies(from, where, params);
+
+    const result = await pool.query(
+      `INSERT INTO user_saved_searches (user_id, search_name, search_criteria, last_run_at, last_result_count)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP, $4)
+       RETURNING *`,
+      [req.user.id, name, normalized, resultCount]
+    );
+
+    res.status(201).json(formatSavedSearch(result.rows[0], 0));
+  } catch (error) {
+    console.error('Error saving search:', error);
+    res.status(500).json({
+      error: 'Failed to save search',
+      message: error.message
+    });
+  }
+});
+
+// Rename a saved search
+app.patch('/api/saved-searches/:searchId', requireAuth, async (req, res) => {
+  const name = parseSavedSearchName(req.body);
+
+  if (!name) {
+    return res.status(400).json({
+      error: 'Invalid saved search',
+      message: `Name is required and must be at most ${MAX_SAVED_SEARCH_NAME_LENGTH} characters`
+    });
+  }
+  if (!UUID_PATTERN.test(req.params.searchId)) {
+    return res.status(404).json({ error: 'Saved search not found' });
+  }
+
+  try {
+    const result = await pool.query(
+      'UPDATE user_saved_searches SET search_name = $1 WHERE id = $2 AND user_id = $3 RETURNING *',
+      [name, req.params.searchId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const row = result.rows[0];
+    res.json(formatSavedSearch(row, await findNewMatches(row.search_criteria, row.last_run_at)));
+  } catch (error) {
+    console.error('Error renaming saved search:', error);
+    res.status(500).json({
+      error: 'Failed to rename saved search',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/saved-searches/:searchId', requireAuth, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.searchId)) {
+    return res.status(404).json({ error: 'Saved search not found' });
+  }
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM user_saved_searches WHERE id = $1 AND user_id = $2',
+      [req.params.searchId, req.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({
+      error: 'Failed to delete saved search',
+      message: error.message
+    });
+  }
+});
+
+// Re-run a saved search: returns the criteria to apply, the ids of companies
+// added since the previous run (newest first, capped) and resets the baseline
+app.post('/api/saved-searches/:searchId/run', requireAuth, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.searchId)) {
+    return res.status(404).json({ error: 'Saved search not found' });
+  }
+
+  try {
+    const existing = await pool.query(
+      'SELECT * FROM user_saved_searches WHERE id = $1 AND user_id = $2',
+      [req.params.searchId, req.user.id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const search = existing.rows[0];
+    const params = [];
+    const { from, where } = buildCompanyQuery(parseCompanyFilters(search.search_criteria), params);
+    const [resultCount, newMatches, newCompanyIds] = await Promise.all([
+      countCompanies(from, where, params, false),
+      findNewMatches(search.search_criteria, search.last_run_at),
+      findNewMatches(search.search_criteria, search.last_run_at, MAX_NEW_MATCH_IDS)
+    ]);
+
+    const updated = await pool.query(
+      `UPDATE user_saved_searches SET last_run_at = CURRENT_TIMESTAMP, last_result_count = $1
+       WHERE id = $2 RETURNING *`,
+      [resultCount, search.id]
+    );
+
+    recordInteraction(req.user.id, null, 'search', { query: search.search_criteria.search || '', savedSearchId: search.id, name: search.search_name });
+
+    res.json({
+      savedSearch: formatSavedSearch(updated.rows[0], 0),
+      newSince: search.last_run_at,
+      newMatches,
+      newCompanyIds
+    });
+  } catch (error) {
+    console.error('Error running saved search:', error);
+    res.status(500).json({
+      error: 'Failed to run saved search',
+      message: error.message
+    });
+  }
+});
+
+// Company lists (e.g. sales territories) shared across the team. Everyone a
+// list is shared with can view it; its owner and 'edit' sharees can rename
+// it and change its companies; only the owner deletes it or manages sharing.
+// Item routes take a selection: { ids } or { filter, excludeIds }.
+async function findList(listId, userId) {
+  if (!UUID_PATTERN.test(listId)) {
+    return null;
+  }
+  const result = await pool.query(
+    `SELECT ${LIST_COLUMNS} FROM ${LIST_FROM} WHERE l.id = $2 AND ${LIST_ACCESS}`,
+    [userId, listId]
+  );
+  return result.rows[0] || null;
+}
+
+// Load the :listId list, or send 404 (unknown or not shared with the user)
+// or 403 (shared without the required permission) and return null
+async function loadList(req, res, required = 'view') {
+  const list = await findList(req.params.listId, req.user.id);
+  if (!list) {
+    res.status(404).json({ error: 'List not found' });
+    return null;
+  }
+  if (required === 'owner' && list.permission !== 'owner') {
+    res.status(403).json({ error: 'Forbidden', message: 'Only the list owner can do this' });
+    return null;
+  }
+  if (required === 'edit' && !canEditList(list)) {
+    res.status(403).json({ error: 'Forbidden', message: 'This list is shared with you read-only' });
+    return null;
+  }
+  return list;
+}
+
+const touchList = (listId) =>
+  pool.query('UPDATE company_lists SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [listId]);
+
+const listScope = (listId, viewerId) => ({
+  filters: { list: { id: listId, viewerId } },
+  format: (row) => ({
+    ...formatCompany(row),
+    listItem: { notes: row.list_notes }
+  })
+});
+
+async function findListShares(listId) {
+  const result = await pool.query(
+    `SELECT s.user_id, s.permission, s.created_at, u.email AS user_email,
+            u.first_name AS user_first_name, u.last_name AS user_last_name
+     FROM company_list_shares s JOIN users u ON u.id = s.user_id
+     WHERE s.list_id = $1
+     ORDER BY u.first_name, u.last_name, u.email`,
+    [listId]
+  );
+  return result.rows.map(formatListShare);
+}
+
+const invalidList = (res, message) => res.status(400).json({ error: 'Invalid list', message });
+
+app.get('/api/lists', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${LIST_COLUMNS} FROM ${LIST_FROM} WHERE ${LIST_ACCESS} ORDER BY l.list_name, l.created_at`,
+      [req.user.id]
+    );
+    res.json({ lists: result.rows.map(formatList) });
+  } catch (error) {
+    console.error('Error fetching lists:', error);
+    res.status(500).json({
+      error: 'Failed to fetch lists',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/lists', requireAuth, async (req, res) => {
+  const { values, error: validationError } = parseListInput(req.body || {});
+  if (validationError) {
+    return invalidList(res, validationError);
+  }
+
+  try {
+    const result = await pool.query(
+      'INSERT INTO company_lists (owner_user_id, list_name, description) VALUES ($1, $2, $3) RETURNING id',
+      [req.user.id, values.name, values.description ?? null]
+    );
+    res.status(201).json({ ...formatList(await findList(result.rows[0].id, req.user.id)), shares: [] });
+  } catch (error) {
+    console.error('Error creating list:', error);
+    res.status(500).json({
+      error: 'Failed to create list',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/lists/:listId', requireAuth, async (req, res) => {
+  try {
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    res.json({ ...formatList(list), shares: await findListShares(list.id) });
+  } catch (error) {
+    console.error('Error fetching list:', error);
+    res.status(500).json({
+      error: 'Failed to fetch list',
+      message: error.message
+    });
+  }
+});
+
+// Rename or change the description
+app.patch('/api/lists/:listId', requireAuth, async (req, res) => {
+  const { values, error: validationError } = parseListInput(req.body || {}, { partial: true });
+  if (validationError) {
+    return invalidList(res, validationError);
+  }
+  if (Object.keys(values).length === 0) {
+    return invalidList(res, 'No fields to update');
+  }
+
+  try {
+    const list = await loadList(req, res, 'edit');
+    if (!list) return;
+
+    const columns = { name: 'list_name', description: 'description' };
+    const params = [list.id];
+    const assignments = Object.keys(values).map(key => `${columns[key]} = $${params.push(values[key])}`);
+    await pool.query(
+      `UPDATE company_lists SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      params
+    );
+
+    res.json({ ...formatList(await findList(list.id, req.user.id)), shares: await findListShares(list.id) });
+  } catch (error) {
+    console.error('Error updating list:', error);
+    res.status(500).json({
+      error: 'Failed to update list',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/lists/:listId', requireAuth, async (req, res) => {
+  try {
+    const list = await loadList(req, res, 'owner');
+    if (!list) return;
+
+    await pool.query('DELETE FROM company_lists WHERE id = $1', [list.id]);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting list:', error);
+    res.status(500).json({
+      error: 'Failed to delete list',
+      message: error.message
+    });
+  }
+});
+
+// The list's companies with the /api/companies filter, sort and cursor params
+// applied on top. Sorts by list order unless another sort is given.
+app.get('/api/lists/:listId/companies', requireAuth, async (req, res) => {
+  try {
+    const list = await loadList(req, res);
+    if (!list) return;
+
+    await sendCompanyPage(req, res, listScope(list.id, req.user.id));
+  } catch (error) {
+    console.error('Error fetching list companies:', error);
+    res.status(500).json({
+      error: 'Failed to fetch list companies',
+      message: error.message
+    });
+  }
+});
+
+// Facet counts within the list (access is checked by the query itself)
+app.get('/api/lists/:listId/facets', requireAuth, (req, res) => {
+  if (!UUID_PATTERN.test(req.params.listId)) {
+    return res.status(404).json({ error: 'List not found' });
+  }
+  return sendCompanyFacets(req, res, listScope(req.params.listId, req.user.id));
+});
+
+// Share with a teammate, or change their permission: { permission: 'view' | 'edit' }
+app.put('/api/lists/:listId/shares/:userId', requireAuth, async (req, res) => {
+  const permission = parseListPermission(req.body?.permission);
+  if (!permission) {
+    return invalidList(res, `permission must be one of ${LIST_PERMISSIONS.join(', ')}`);
+  }
+
+  try {
+    const list = await loadList(req, res, 'owner');
+    if (!list) return;
+
+    const { userId } = req.params;
+    if (userId === list.owner_user_id) {
+      return invalidList(res, 'The owner already has full access');
+    }
+    const userResult = UUID_PATTERN.test(userId)
+      ? await pool.query('SELECT id FROM users WHERE id = $1 AND is_active = true', [userId])
+      : { rows: [] };
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await pool.query(
+      `INSERT INTO company_list_shares (list_id, user_id, permission) VALUES ($1, $2, $3)
+       ON CONFLICT (list_id, user_id) DO UPDATE SET permission = EXCLUDED.permission`,
+      [list.id, userId, permission]
+    );
+    res.json({ shares: await findListShares(list.id) });
+  } catch (error) {
+    console.error('Error sharing list:', error);
+    res.status(500).json({
+      error: 'Failed to share list',
+      message: error.message
+    });
+  }
+});
+
+// Stop sharing with a user; sharees can also remove themselves (leave the list)
+app.delete('/api/lists/:listId/shares/:userId', requireAuth, async (req, res) => {
+  try {
+    const list = await loadList(req, res, req.params.userId === req.user.id ? 'view' : 'owner');
+    if (!list) return;
+
+    if (UUID_PATTERN.test(req.params.userId)) {
+      await pool.query(
+        'DELETE FROM company_list_shares WHERE list_id = $1 AND user_id = $2',
+        [list.id, req.params.userId]
+      );
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error unsharing list:', error);
+    res.status(500).json({
+      error: 'Failed to update sharing',
+      message: error.message
+    });
+  }
+});
+
+// Add the selected companies to the end of the list, in name order.
+// Companies already on the list keep their place and notes.
+app.post('/api/lists/:listId/items', requireAuth, async (req, res) => {
+  const selection = parseCompanySelection(req.body, req.user.id);
+  if (selection.error) {
+    return invalidSelection(res, selection.error);
+  }
+  if (!hasSelectionCriteria(selection.filters)) {
+    return invalidSelection(res, 'Select companies or filter them before adding them to a list');
+  }
+
+  try {
+    const list = await loadList(req, res, 'edit');
+    if (!list) return;
+    if (await countSelection(selection.filters) > MAX_BATCH_UPDATES) {
+      return invalidSelection(res, `At most ${MAX_BATCH_UPDATES} companies can be added to a list at a time`);
+    }
+
+    const params = [list.id, req.user.id];
+    const result = await pool.query(
+      `INSERT INTO company_list_items (list_id, company_id, position, added_by)
+       SELECT $1::uuid, c.id,
+              COALESCE((SELECT MAX(position) FROM company_list_items WHERE list_id = $1::uuid), 0)
+                + ROW_NUMBER() OVER (ORDER BY c.company_name, c.id),
+              $2::uuid
+       FROM (${buildSelectionQuery(selection.filters, params)}) selected
+       JOIN companies c ON c.id = selected.company_id
+       ON CONFLICT (list_id, company_id) DO NOTHING`,
+      params
+    );
+    await touchList(list.id);
+    res.json({ affected: result.rowCount });
+  } catch (error) {
+    console.error('Error adding companies to list:', error);
+    res.status(500).json({
+      error: 'Failed to add companies to list',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/lists/:listId/items/remove', requireAuth, async (req, res) => {
+  const selection = parseCompanySelection(req.body, req.user.id);
+  if (selection.error) {
+    return invalidSelection(res, selection.error);
+  }
+
+  try {
+    const list = await loadList(req, res, 'edit');
+    if (!list) return;
+
+    const params = [list.id];
+    const result = await pool.query(
+      `DELETE FROM company_list_items
+       WHERE list_id = $1 AND company_id IN (${buildSelectionQuery(selection.filters, params)})`,
+      params
+    );
+    await touchList(list.id);
+    res.json({ affected: result.rowCount });
+  } catch (error) {
+    console.error('Error removing companies from list:', error);
+    res.status(500).json({
+      error: 'Failed to remove companies from list',
+      message: error.message
+    });
+  }
+});
+
+// Positions are floats so a move only rewrites the moved item; when two
+// neighbours get too close the whole list is renumbered first
+const MIN_POSITION_GAP = 1e-9;
+
+async function renumberListItems(listId) {
+  await pool.query(
+    `UPDATE company_list_items i SET position = r.rn
+     FROM (SELECT company_id, ROW_NUMBER() OVER (ORDER BY position, company_id) AS rn
+           FROM company_list_items WHERE list_id = $1) r
+     WHERE i.list_id = $1 AND i.company_id = r.company_id`,
+    [listId]
+  );
+}
+
+// New position for companyId right after afterCompanyId (or first when null),
+// or null when afterCompanyId is not on the list
+async function findMovePosition(listId, companyId, afterCompanyId, renumbered = false) {
+  const result = afterCompanyId === null
+    ? await pool.query(
+      `SELECT NULL::double precision AS after_position, MIN(position) AS next_position
+       FROM company_list_items WHERE list_id = $1 AND company_id <> $2`,
+      [listId, companyId]
+    )
+    : await pool.query(
+      `SELECT a.position AS after_position,
+              (SELECT MIN(n.position) FROM company_list_items n
+               WHERE n.list_id = $1 AND n.position > a.position AND n.company_id <> $2) AS next_position
+       FROM company_list_items a WHERE a.list_id = $1 AND a.company_id = $3`,
+      [listId, companyId, afterCompanyId]
+    );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const { after_position: after, next_position: next } = result.rows[0];
+  if (after === null) {
+    return next === null ? 1 : next - 1;
+  }
+  if (next === null) {
+    return after + 1;
+  }
+  if (next - after < MIN_POSITION_GAP && !renumbered) {
+    await renumberListItems(listId);
+    return findMovePosition(listId, companyId, afterCompanyId, true);
+  }
+  return (after + next) / 2;
+}
+
+// Update an item's notes and/or move it: { notes, afterCompanyId }
+app.patch('/api/lists/:listId/items/:companyId', requireAuth, async (req, res) => {
+  const { companyId } = req.params;
+  const { values, error: validationError } = parseListItemInput(req.body || {});
+  if (validationError) {
+    return invalidList(res, validationError);
+  }
+  if (values.afterCompanyId === companyId) {
+    return invalidList(res, 'A company cannot be moved after itself');
+  }
+  if (!UUID_PATTERN.test(companyId)) {
+    return res.status(404).json({ error: 'Company not on this list' });
+  }
+
+  try {
+    const list = await loadList(req, res, 'edit');
+    if (!list) return;
+
+    const params = [list.id, companyId];
+    const assignments = [];
+    if ('notes' in values) {
+      assignments.push(`notes = $${params.push(values.notes)}`);
+    }
+    if ('afterCompanyId' in values) {
+      const position = await findMovePosition(list.id, companyId, values.afterCompanyId);
+      if (position === null) {
+        return invalidList(res, 'afterCompanyId is not on this list');
+      }
+      assignments.push(`position = $${params.push(position)}`);
+    }
+
+    const result = await pool.query(
+      `UPDATE company_list_items SET ${assignments.join(', ')}
+       WHERE list_id = $1 AND company_id = $2
+       RETURNING company_id, notes`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Company not on this list' });
+    }
+
+    await touchList(list.id);
+    res.json({ companyId: result.rows[0].company_id, notes: result.rows[0].notes });
+  } catch (error) {
+    console.error('Error updating list item:', error);
+    res.status(500).json({
+      error: 'Failed to update list item',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/lists/:listId/items/:companyId', requireAuth, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.companyId)) {
+    return res.status(404).json({ error: 'Company not on this list' });
+  }
+
+  try {
+    const list = await loadList(req, res, 'edit');
+    if (!list) return;
+
+    await pool.query(
+      'DELETE FROM company_list_items WHERE list_id = $1 AND company_id = $2',
+      [list.id, req.params.companyId]
+    );
+    await touchList(list.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error removing list item:', error);
+    res.status(500).json({
+      error: 'Failed to remove company from list',
+      message: error.message
+    });
+  }
+});
+
+// Tasks (follow-up queue), optionally linked to a company and contact.
+// ?status= overdue | today | upcoming | completed | open (default) and
+// ?today=YYYY-MM-DD so "due today" follows the user's local date.
+// Counts for every status are returned alongside the list.
+async function findTask(userId, taskId) {
+  if (!UUID_PATTERN.test(taskId)) {
+    return null;
+  }
+  const result = await pool.query(
+    `SELECT ${TASK_COLUMNS} FROM ${TASK_FROM} WHERE t.id = $1 AND t.user_id = $2`,
+    [taskId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+app.get('/api/tasks', requireAuth, async (req, res) => {
+  const status = Object.prototype.hasOwnProperty.call(TASK_STATUSES, req.query.status) ? req.query.status : 'open';
+  const { companyId } = req.query;
+
+  if (companyId !== undefined && !UUID_PATTERN.test(companyId)) {
+    return res.status(400).json({ error: 'Invalid company id' });
+  }
+
+  try {
+    // parseToday only returns strictly validated YYYY-MM-DD strings, so the
+    // date can be inlined (the list query for open/completed doesn't use it)
+    const todayParam = parseToday(req.query.today);
+    const today = todayParam ? `'${todayParam}'::date` : 'CURRENT_DATE';
+    const params = [req.user.id];
+    let where = 'WHERE t.user_id = $1';
+    if (companyId) {
+      where += ` AND t.company_id = $${params.push(companyId)}`;
+    }
+
+    const countColumns = Object.entries(TASK_STATUSES)
+      .map(([name, { condition }]) => `COUNT(*) FILTER (WHERE ${condition(today)}) AS "${name}"`)
+      .join(', ');
+    const orderBy = TASK_STATUSES[status].completed ? COMPLETED_ORDER : OPEN_ORDER;
+
+    const [tasksResult, countsResult] = await Promise.all([
+      pool.query(
+        `SELECT ${TASK_COLUMNS} FROM ${TASK_FROM}
+         ${where} AND ${TASK_STATUSES[status].condition(today)}
+         ORDER BY ${orderBy}
+         LIMIT 500`,
+        params
+      ),
+      pool.query(`SELECT ${countColumns} FROM user_tasks t ${where}`, params)
+    ]);
+
+    const counts = {};
+    Object.entries(countsResult.rows[0]).forEach(([name, count]) => {
+      counts[name] = parseInt(count);
+    });
+
+    res.json({
+      tasks: tasksResult.rows.map(formatTask),
+      counts,
+      status
+    });
+  } catch (error) {
+    console.error('Error fetching tasks:', error);
+    res.status(500).json({
+      error: 'Failed to fetch tasks',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/tasks', requireAuth, async (req, res) => {
+  const { values, error: validationError } = parseTaskInput(req.body || {});
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid task', message: validationError });
+  }
+
+  try {
+    // A contact implies its company; reject a contact from another company
+    let { companyId } = values;
+    if (values.contactId) {
+      const contactResult = await pool.query(
+        `SELECT co.id AS company_id FROM contacts ct
+         JOIN companies co ON co.duns_number = ct.duns_number
+         WHERE ct.id = $1`,
+        [values.contactId]
+      );
+      const contactCompanyId = contactResult.rows[0]?.company_id;
+      if (!contactCompanyId || (companyId && companyId !== contactCompanyId)) {
+        return res.status(400).json({ error: 'Invalid task', message: 'Contact not found for this company' });
+      }
+      companyId = contactCompanyId;
+    } else if (companyId) {
+      const company = await findCompany({ id: companyId }, 'id');
+      if (!company) {
+        return res.status(400).json({ error: 'Invalid task', message: 'Company not found' });
+      }
+    }
+
+    const result = await pool.query(
+      `INSERT INTO user_tasks (user_id, company_id, contact_id, task_title, task_description, due_date, priority)
+       VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 'medium'))
+       RETURNING id`,
+      [req.user.id, companyId, values.contactId, values.title, values.description ?? null, values.dueDate ?? null, values.priority ?? null]
+    );
+
+    const task = formatTask(await findTask(req.user.id, result.rows[0].id));
+    recordInteraction(req.user.id, companyId, 'task', { action: 'created', taskId: task.id, title: task.title, contactId: values.contactId });
+    res.status(201).json(task);
+  } catch (error) {
+    console.error('Error creating task:', error);
+    res.status(500).json({
+      error: 'Failed to create task',
+      message: error.message
+    });
+  }
+});
+
+// Create the same task on every selected company:
+// { ...selection, task: { title, description, dueDate, priority } }
+const MAX_BATCH_TASKS = 1000;
+
+app.post('/api/tasks/batch', requireAuth, async (req, res) => {
+  const selection = parseCompanySelection(req.body, req.user.id);
+  if (selection.error) {
+    return invalidSelection(res, selection.error);
+  }
+  if (!hasSelectionCriteria(selection.filters)) {
+    return invalidSelection(res, 'Select companies or filter them before creating tasks');
+  }
+  const { values, error: validationError } = parseTaskInput(req.body.task || {});
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid task', message: validationError });
+  }
+
+  try {
+    if (await countSelection(selection.filters) > MAX_BATCH_TASKS) {
+      return invalidSelection(res, `Tasks can be created for at most ${MAX_BATCH_TASKS} companies at a time`);
+    }
+
+    const params = [req.user.id, values.title, values.description ?? null, values.dueDate ?? null, values.priority ?? null];
+    const result = await pool.query(
+      `INSERT INTO user_tasks (user_id, company_id, task_title, task_description, due_date, priority)
+       SELECT $1::uuid, selected.company_id, $2::text, $3::text, $4::date, COALESCE($5::text, 'medium')
+       FROM (${buildSelectionQuery(selection.filters, params)}) selected`,
+      params
+    );
+    res.status(201).json({ affected: result.rowCount });
+  } catch (error) {
+    console.error('Error creating tasks:', error);
+    res.status(500).json({
+      error: 'Failed to create tasks',
+      message: error.message
+    });
+  }
+});
+
+// Update any of title, description, dueDate, priority and completed
+async function updateTask(req, res, values) {
+  const columns = {
+    title: 'task_title',
+    description: 'task_description',
+    dueDate: 'due_date',
+    priority: 'priority',
+    completed: 'is_completed'
+  };
+  const params = [req.params.taskId, req.user.id];
+  const assignments = Object.keys(values).map(key => `${columns[key]} = $${params.push(values[key])}`);
+
+  if (assignments.length === 0) {
+    return res.status(400).json({ error: 'Invalid task', message: 'No fields to update' });
+  }
+  if (!UUID_PATTERN.test(req.params.taskId)) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE user_tasks SET ${assignments.join(', ')} WHERE id = $1 AND user_id = $2 RETURNING id`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const task = formatTask(await findTask(req.user.id, req.params.taskId));
+    const action = values.completed === true ? 'completed' : values.completed === false ? 'reopened' : 'updated';
+    recordInteraction(req.user.id, task.company?.id ?? null, 'task', { action, taskId: task.id, title: task.title });
+    res.json(task);
+  } catch (error) {
+    console.error('Error updating task:', error);
+    res.status(500).json({
+      error: 'Failed to update task',
+      message: error.message
+    });
+  }
+}
+
+app.patch('/api/tasks/:taskId', requireAuth, (req, res) => {
+  const { values, error: validationError } = parseTaskInput(req.body || {}, { partial: true });
+  if (validationError) {
+    return res.status(400).json({ error: 'Invalid task', message: validationError });
+  }
+  return updateTask(req, res, values);
+});
+
+app.delete('/api/tasks/:taskId', requireAuth, async (req, res) => {
+  if (!UUID_PATTERN.test(req.params.taskId)) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM user_tasks WHERE id = $1 AND user_id = $2 RETURNING company_id, task_title',
+      [req.params.taskId, req.user.id]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const deleted = result.rows[0];
+    recordInteraction(req.user.id, deleted.company_id, 'task', { action: 'deleted', taskId: req.params.taskId, title: deleted.task_title });
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting task:', error);
+    res.status(500).json({
+      error: 'Failed to delete task',
+      message: error.message
+    });
+  }
+});
+
+// Activity: client-recorded interactions (views, searches, website and
+// LinkedIn clicks) plus the note/task events recorded above.
+app.post('/api/interactions', requireAuth, (req, res) => {
+  const interaction = parseInteraction(req.body || {});
+  if (interaction.error) {
+    return res.status(400).json({ error: 'Invalid interaction', message: interaction.error });
+  }
+
+  recordInteraction(req.user.id, interaction.companyId, interaction.type, interaction.data);
+  res.status(202).json({ recorded: true });
+});
+
+/**
+ * Send a newest-first page of interactions matching `condition`.
+ * ?cursor= continues from a previous page's nextCursor; ?type= filters by type.
+ */
+async function sendActivityPage(req, res, condition, params) {
+  const pageSize = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  let where = `WHERE ${condition}`;
+
+  if (req.query.type) {
+    where += ` AND i.interaction_type = $${params.push(String(req.query.type))}`;
+  }
+
+  if (req.query.cursor) {
+    const cursor = decodeActivityCursor(req.query.cursor);
+    if (!cursor) {
+      return res.status(400).json({ error: 'Invalid cursor', message: 'Cursor is malformed' });
+    }
+    const createdAt = `$${params.push(cursor.createdAt)}::timestamptz`;
+    where += ` AND (i.created_at < ${createdAt} OR (i.created_at = ${createdAt} AND i.id > $${params.push(cursor.id)}::uuid))`;
+  }
+
+  const result = await pool.query(
+    `SELECT ${ACTIVITY_COLUMNS} FROM ${ACTIVITY_FROM}
+     ${where}
+     ORDER BY i.created_at DESC, i.id ASC
+     LIMIT $${params.push(pageSize + 1)}`,
+    params
+  );
+
+  const hasMore = result.rows.length > pageSize;
+  const rows = result.rows.slice(0, pageSize);
+
+  res.json({
+    activity: rows.map(formatInteraction),
+    nextCursor: hasMore ? encodeActivityCursor(rows[rows.length - 1]) : null
+  });
+}
+
+// Everyone's activity on one company, so managers can see who touched the account
+app.get(companyRoutes('/activity'), requireAuth, async (req, res) => {
+  try {
+    const company = await findCompany(req.params, 'id');
+
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    await sendActivityPage(req, res, 'i.company_id = $1', [company.id]);
+  } catch (error) {
+    console.error('Error fetching company activity:', error);
+    res.status(500).json({
+      error: 'Failed to fetch activity',
+      message: error.message
+    });
+  }
+});
+
+// Active users, e.g. for picking a company owner
+app.get('/api/users', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, email, first_name, last_name FROM users
+       WHERE is_active = true
+       ORDER BY first_name, last_name, email`
+    );
+    res.json({ users: result.rows.map(formatUser) });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      error: 'Failed to fetch users',
+      message: error.message
+    });
+  }
+});
+
+// One user's activity across companies; `me` is the signed-in user.
+// Users can only read their own history, so any other id is not found.
+app.get('/api/users/:userId/activity', requireAuth, async (req, res) => {
+  const userId = req.params.userId === 'me' ? req.user.id : req.params.userId;
+
+  if (userId !== req.user.id) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  try {
+    await sendActivityPage(req, res, 'i.user_id = $1', [userId]);
+  } catch (error) {
+    console.error('Error fetching user activity:', error);
+    res.status(500).json({
+      error: 'Failed to fetch activity',
+      message: error.message
+    });
+  }
+});
+
+// Get unique industries for filter dropdown
+app.get('/api/industries', async (req, res) => {
+  try {
+    // Get unique industries from database
+    const result = await pool.query('SELECT DISTINCT industry FROM companies WHERE industry IS NOT NULL AND industry != \'\' ORDER BY industry');
+    const industries = result.rows.map(row => ({
+      value: row.industry,
+      label: row.industry
+    }));
+    
+    res.json(industries);
+
+  } catch (error) {
+    console.error('Error fetching industries:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch industries',
+      message: error.message 
+    });
+  }
+});
+
+// Get database statistics
+app.get('/api/stats', async (req, res) => {
+  try {
+    // Calculate stats from database
+    const [companiesResult, contactsResult, industriesResult, headquartersResult, revenueResult, employeesResult] = await Promise.all([
+      pool.query('SELECT COUNT(*) FROM companies'),
+      pool.query('SELECT COUNT(*) FROM contacts'),
+      pool.query('SELECT COUNT(DISTINCT industry) FROM companies WHERE industry IS NOT NULL AND industry != \'\''),
+      pool.query('SELECT COUNT(*) FROM companies WHERE is_headquarters = true'),
+      pool.query('SELECT AVG(revenue_numeric) FROM companies WHERE revenue_numeric > 0'),
+      pool.query('SELECT AVG(employees_total) FROM companies WHERE employees_total > 0')
+    ]);
+
+    const stats = {
+      totalCompanies: parseInt(companiesResult.rows[0].count),
+      totalContacts: parseInt(contactsResult.rows[0].count),
+      totalIndustries: parseInt(industriesResult.rows[0].count),
+      headquartersCount: parseInt(headquartersResult.rows[0].count),
+      averageRevenue: parseFloat(revenueResult.rows[0].avg) || 0,
+      averageEmployees: parseFloat(employeesResult.rows[0].avg) || 0
+    };
+
+    res.json(stats);
+
+  } catch (error) {
+    console.error('Error fetching stats:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch statistics',
       message: error.message 
     });
   }
 });
 
 // Get sitemap cache statistics
-app.get('/api/sitemap/cache-stats', (req, res) => {
+app.get('/api/sitemap/cache-stats', async (req, res) => {
   try {
-    const stats = sitemapService.getCacheStats();
+    const stats = await sitemapService.getCacheStats();
     res.json(stats);
   } catch (error) {
     console.error('Error getting cache stats:', error);
@@ -0,0 +1,166 @@
+/**
+ * Link crawl
+ * Most small-business sites have no sitemap at all. For those, the site is
+ * walked breadth-first from the homepage instead: same-origin links only,
+ * navigation links first, and capped by depth and page count so one crawl
+ * stays a few dozen requests.
+ */
+
+const { URL } = require('url');
+const { parseAttributes } = require('./sitemap-formats');
+
+// The homepage is depth 0, so this reaches pages linked from pages it links to
+const MAX_CRAWL_DEPTH = 2;
+const MAX_CRAWL_PAGES = 40;
+
+const ANCHOR_TAG_PATTERN = /<a\b[^>]*>/gi;
+const NAVIGATION_PATTERN = /<(nav|header)\b[\s\S]*?<\/\1>/gi;
+const TITLE_PATTERN = /<title\b[^>]*>([\s\S]*?)<\/title>/i;
+const META_TAG_PATTERN = /<meta\b[^>]*>/gi;
+// Files and assets, not pages
+const SKIPPED_EXTENSIONS = /\.(pdf|docx?|xlsx?|pptx?|zip|jpe?g|png|gif|svg|webp|ico|mp3|mp4|mov|css|js|json|xml|txt)$/i;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1] === 'x' || entity[1] === 'X'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+/**
+ * Absolute http(s) URL for a link, without its #fragment, or null when it
+ * isn't a page worth visiting
+ */
+const pageLink = (href, pageUrl) => {
+  try {
+    const url = new URL(decodeEntities(href.trim()), pageUrl);
+    if (!['http:', 'https:'].includes(url.protocol) || SKIPPED_EXTENSIONS.test(url.pathname)) {
+      return null;
+    }
+    url.hash = '';
+    return url.href;
+  } catch (error) {
+    return null;
+  }
+};
+
+const cleanText = (text, maxLength) => {
+  const clean = decodeEntities(text || '').replace(/\s+/g, ' ').trim().slice(0, maxLength);
+  return clean || null;
+};
+
+// Only web images, so a page can't put e.g. a javascript: URL in front of users
+const imageUrl = (src, pageUrl) => {
+  try {
+    const url = new URL(decodeEntities(src.trim()), pageUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * What a link preview shows for a page: its title (og:title, else
+ * <title>), description and og:image, each null when the page has none
+ */
+function parsePagePreview(html, pageUrl) {
+  // <meta property="og:..."> and <meta name="...">, keyed by either
+  const meta = {};
+  for (const tag of html.match(META_TAG_PATTERN) || []) {
+    const attrs = parseAttributes(tag);
+    const key = (attrs.property || attrs.name || '').toLowerCase();
+    if (key && attrs.content && !(key in meta)) meta[key] = attrs.content;
+  }
+  const titleMatch = html.match(TITLE_PATTERN);
+  const image = meta['og:image'] || meta['og:image:url'] || meta['twitter:image'];
+
+  return {
+    title: cleanText(meta['og:title'], 200) || cleanText(titleMatch && titleMatch[1], 200),
+    description: cleanText(meta.description || meta['og:description'], 500),
+    image: image ? imageUrl(image, pageUrl) : null
+  };
+}
+
+const anchorLinks = (html, pageUrl) => (html.match(ANCHOR_TAG_PATTERN) || [])
+  .map(tag => parseAttributes(tag).href)
+  .filter(Boolean)
+  .map(href => pageLink(href, pageUrl))
+  .filter(Boolean);
+
+/**
+ * A page's preview (see parsePagePreview) and the links on it, those in
+ * <nav> and <header> first
+ */
+function parseHtmlPage(html, pageUrl) {
+  const navigation = (html.match(NAVIGATION_PATTERN) || []).join('\n');
+  const links = [...new Set([...anchorLinks(navigation, pageUrl), ...anchorLinks(html, pageUrl)])];
+  return { ...parsePagePreview(html, pageUrl), links };
+}
+
+/**
+ * Breadth-first crawl from homepageUrl. fetchPage(url) resolves to
+ * { url, html } (url after redirects) or null when the URL isn't an HTML
+ * page. onPage is called with { url, title, description, image } for each
+ * page as it is read; the same pages are returned, in crawl order.
+ */
+async function crawlSite(homepageUrl, fetchPage, {
+  maxDepth = MAX_CRAWL_DEPTH,
+  maxPages = MAX_CRAWL_PAGES,
+  onPage = () => {}
+} = {}) {
+  const start = new URL(homepageUrl).href;
+  // The homepage may redirect to another origin (www, https); links to either count
+  const origins = new Set([new URL(start).origin]);
+  const queued = new Set([start]);
+  const read = new Set();
+  const pages = [];
+  let frontier = [start];
+
+  for (let depth = 0; frontier.length > 0; depth++) {
+    const results = await Promise.all(frontier.map(async url => {
+      const page = await fetchPage(url);
+      // Several links can redirect to the same page
+      if (!page || read.has(page.url)) return null;
+      const origin = new URL(page.url).origin;
+      if (depth === 0) {
+        origins.add(origin);
+      } else if (!origins.has(origin)) {
+        // Redirected off the site
+        return null;
+      }
+      read.add(page.url);
+
+      const { links, ...preview } = parseHtmlPage(page.html, page.url);
+      const result = { url: page.url, ...preview };
+      pages.push(result);
+      onPage(result);
+      return links;
+    }));
+
+    if (depth >= maxDepth) break;
+    frontier = [];
+    for (const links of results) {
+      for (const link of links || []) {
+        if (queued.size >= maxPages) break;
+        if (queued.has(link) || !origins.has(new URL(link).origin)) continue;
+        queued.add(link);
+        frontier.push(link);
+      }
+    }
+  }
+
+  return pages;
+}
+
+module.exports = {
+  MAX_CRAWL_DEPTH,
+  MAX_CRAWL_PAGES,
+  parsePagePreview,
+  parseHtmlPage,
+  crawlSite
+};
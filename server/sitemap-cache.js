@@ -0,0 +1,261 @@
+/**
+ * Sitemap cache backends
+ * Crawl results keyed by site and company name, each stored as
+ * { pages, totalFound, subdomainsChecked, crawledAt }. All backends share
+ * the same async interface (get, set, clear, stats) so SitemapService
+ * doesn't care where entries live. Entries are kept past their freshness so
+ * a stale result can be served while it is recrawled; maxAge is when they
+ * are dropped for good.
+ */
+
+const SITEMAP_CACHE_BACKENDS = ['memory', 'postgres', 'redis'];
+const DEFAULT_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * In-process LRU, for development or a single instance. Lost on restart.
+ */
+class MemorySitemapCache {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES, maxAge = DEFAULT_MAX_AGE } = {}) {
+    this.backend = 'memory';
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+    this.maxAge = maxAge;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.crawledAt.getTime() > this.maxAge) {
+      this.entries.delete(key);
+      return null;
+    }
+    // Re-insert so the Map's order tracks recent use
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async stats() {
+    return {
+      backend: this.backend,
+      size: this.entries.size,
+      entries: Array.from(this.entries.keys())
+    };
+  }
+}
+
+/**
+ * company_sitemap_crawls / company_sitemap_pages, shared by every instance
+ * and kept across restarts
+ */
+class PostgresSitemapCache {
+  constructor({ pool, maxAge = DEFAULT_MAX_AGE }) {
+    this.backend = 'postgres';
+    this.pool = pool;
+    this.maxAge = maxAge;
+  }
+
+  // Crawls from before this are expired
+  cutoff() {
+    return new Date(Date.now() - this.maxAge);
+  }
+
+  async get(key) {
+    const crawl = await this.pool.query(
+      `SELECT total_found, subdomains_checked, crawled_at
+       FROM company_sitemap_crawls
+       WHERE cache_key = $1 AND crawled_at > $2`,
+      [key, this.cutoff()]
+    );
+    if (crawl.rows.length === 0) return null;
+
+    const pages = await this.pool.query(
+      `SELECT url, title, category, lastmod, changefreq, priority, relevance_score, description, image_url
+       FROM company_sitemap_pages
+       WHERE cache_key = $1
+       ORDER BY rank`,
+      [key]
+    );
+
+    const { total_found, subdomains_checked, crawled_at } = crawl.rows[0];
+    return {
+      pages: pages.rows.map(row => ({
+        url: row.url,
+        title: row.title,
+        category: row.category,
+        lastmod: row.lastmod,
+        changefreq: row.changefreq,
+        priority: row.priority,
+        relevanceScore: row.relevance_score,
+        description: row.description,
+        image: row.image_url
+      })),
+      totalFound: total_found,
+      subdomainsChecked: subdomains_checked,
+      crawledAt: crawled_at
+    };
+  }
+
+  async set(key, entry) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `INSERT INTO company_sitemap_crawls (cache_key, total_found, subdomains_checked, crawled_at)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (cache_key) DO UPDATE SET
+           total_found = EXCLUDED.total_found,
+           subdomains_checked = EXCLUDED.subdomains_checked,
+           crawled_at = EXCLUDED.crawled_at`,
+        [key, entry.totalFound, entry.subdomainsChecked, entry.crawledAt]
+      );
+      await client.query('DELETE FROM company_sitemap_pages WHERE cache_key = $1', [key]);
+      if (entry.pages.length > 0) {
+        // One row per page, in rank order, from parallel arrays
+        await client.query(
+          `INSERT INTO company_sitemap_pages
+             (cache_key, rank, url, title, category, lastmod, changefreq, priority, relevance_score, description, image_url)
+           SELECT $1, page.rank, page.url, page.title, page.category, page.lastmod, page.changefreq, page.priority,
+                  page.relevance_score, page.description, page.image_url
+           FROM UNNEST($2::int[], $3::text[], $4::text[], $5::text[], $6::text[], $7::text[], $8::real[], $9::real[],
+                       $10::text[], $11::text[])
+             AS page(rank, url, title, category, lastmod, changefreq, priority, relevance_score, description, image_url)`,
+          [
+            key,
+            entry.pages.map((page, index) => index),
+            entry.pages.map(page => page.url),
+            entry.pages.map(page => page.title),
+            entry.pages.map(page => page.category),
+            entry.pages.map(page => page.lastmod),
+            entry.pages.map(page => page.changefreq),
+            entry.pages.map(page => page.priority),
+            entry.pages.map(page => page.relevanceScore),
+            entry.pages.map(page => page.description || null),
+            entry.pages.map(page => page.image || null)
+          ]
+        );
+      }
+      // Sites nobody has looked at in a while don't need to be kept
+      await client.query(
+        'DELETE FROM company_sitemap_crawls WHERE crawled_at <= $1',
+        [this.cutoff()]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async clear() {
+    await this.pool.query('DELETE FROM company_sitemap_crawls');
+  }
+
+  async stats() {
+    const result = await this.pool.query(
+      `SELECT COUNT(*)::int AS size,
+              (SELECT COUNT(*)::int FROM company_sitemap_pages) AS pages,
+              MIN(crawled_at) AS oldest_crawl,
+              MAX(crawled_at) AS newest_crawl
+       FROM company_sitemap_crawls`
+    );
+    const { size, pages, oldest_crawl, newest_crawl } = result.rows[0];
+    return { backend: this.backend, size, pages, oldestCrawl: oldest_crawl, newestCrawl: newest_crawl };
+  }
+}
+
+/**
+ * Redis (the docker-compose service), shared by every instance. Entries
+ * expire on their own after maxAge.
+ */
+class RedisSitemapCache {
+  constructor({ url, maxAge = DEFAULT_MAX_AGE, prefix = 'sitemap:' }) {
+    // Only loaded when selected, so the other backends work without it
+    const { createClient } = require('redis');
+    this.backend = 'redis';
+    this.prefix = prefix;
+    this.maxAge = maxAge;
+    this.client = createClient({ url });
+    this.client.on('error', error => console.error('Redis sitemap cache error:', error.message));
+    this.ready = this.client.connect();
+    // Surfaced by the first get or set instead of as an unhandled rejection
+    this.ready.catch(() => undefined);
+  }
+
+  async get(key) {
+    await this.ready;
+    const value = await this.client.get(this.prefix + key);
+    if (!value) return null;
+    const entry = JSON.parse(value);
+    return { ...entry, crawledAt: new Date(entry.crawledAt) };
+  }
+
+  async set(key, entry) {
+    await this.ready;
+    await this.client.set(this.prefix + key, JSON.stringify(entry), { PX: this.maxAge });
+  }
+
+  async keys() {
+    await this.ready;
+    const keys = [];
+    for await (const key of this.client.scanIterator({ MATCH: `${this.prefix}*`, COUNT: 500 })) {
+      keys.push(key);
+    }
+    return keys;
+  }
+
+  async clear() {
+    const keys = await this.keys();
+    if (keys.length > 0) {
+      await this.client.del(keys);
+    }
+  }
+
+  async stats() {
+    const keys = await this.keys();
+    return { backend: this.backend, size: keys.length };
+  }
+}
+
+/**
+ * Build the backend named by `backend` (SITEMAP_CACHE): 'memory',
+ * 'postgres' (needs options.pool) or 'redis' (REDIS_URL, or REDIS_HOST and
+ * REDIS_PORT as in docker-compose.yml)
+ */
+function createSitemapCache(backend = 'memory', options = {}) {
+  if (!SITEMAP_CACHE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown sitemap cache backend "${backend}", expected one of ${SITEMAP_CACHE_BACKENDS.join(', ')}`);
+  }
+  if (backend === 'postgres') {
+    return new PostgresSitemapCache(options);
+  }
+  if (backend === 'redis') {
+    const url = options.url || process.env.REDIS_URL
+      || `redis://${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`;
+    return new RedisSitemapCache({ ...options, url });
+  }
+  return new MemorySitemapCache(options);
+}
+
+module.exports = {
+  SITEMAP_CACHE_BACKENDS,
+  MemorySitemapCache,
+  PostgresSitemapCache,
+  RedisSitemapCache,
+  createSitemapCache
+};
@@ -0,0 +1,178 @@
+/**
+ * Sitemap formats
+ * Besides XML urlset/sitemapindex files, small sites often serve gzipped
+ * sitemaps (sitemap.xml.gz), plain-text sitemaps (one URL per line) or only
+ * an RSS/Atom feed linked from the homepage. These helpers turn each into
+ * plain entries: { url, title?, lastmod?, changefreq?, priority? }.
+ */
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { URL } = require('url');
+
+const gunzip = promisify(zlib.gunzip);
+
+// The sitemap protocol caps a file at 50MB uncompressed and 50,000 URLs
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+const MAX_SITEMAP_URLS = 50000;
+
+// Enough of the start of a body to tell whether it is a sitemap
+const SITEMAP_PROBE_BYTES = 16 * 1024;
+
+const FEED_TYPES = ['application/rss+xml', 'application/atom+xml'];
+const LINK_TAG_PATTERN = /<link\b[^>]*>/gi;
+const ATTRIBUTE_PATTERN = /([a-z:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+
+/**
+ * Attributes of an HTML start tag, keyed by lowercase name
+ */
+function parseAttributes(tag) {
+  const attrs = {};
+  for (const [, name, doubleQuoted, singleQuoted, bare] of tag.matchAll(ATTRIBUTE_PATTERN)) {
+    attrs[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare;
+  }
+  return attrs;
+}
+
+const isGzip = (buffer) => buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+
+/**
+ * Response body (a Buffer) as text, gunzipping it when it is gzip data.
+ * Servers often send .gz files as application/octet-stream without a
+ * Content-Encoding, so the bytes are checked rather than the headers.
+ * With `partial`, gzip data cut off mid-stream decodes as far as it goes.
+ */
+async function decodeSitemapBody(buffer, { partial = false } = {}) {
+  const options = partial
+    ? { maxOutputLength: MAX_SITEMAP_BYTES, finishFlush: zlib.constants.Z_SYNC_FLUSH }
+    : { maxOutputLength: MAX_SITEMAP_BYTES };
+  const data = isGzip(buffer) ? await gunzip(buffer, options) : buffer;
+  // Drop a byte order mark so the XML check below sees the first tag
+  return data.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+const looksLikeXml = (text) => text.trimStart().startsWith('<');
+
+// Root element of an XML sitemap, possibly namespace-prefixed
+const SITEMAP_ROOT_PATTERN = /<(?:[\w-]+:)?(?:urlset|sitemapindex)\b/i;
+
+/**
+ * Whether the start of a response body (a Buffer, see SITEMAP_PROBE_BYTES)
+ * is a sitemap: XML with a urlset or sitemapindex root, or text with an
+ * absolute URL on every line, either possibly gzipped. Sites often answer
+ * a missing /sitemap.xml with their HTML homepage and a 200, which this
+ * rejects.
+ */
+async function isSitemapBody(buffer) {
+  let text;
+  try {
+    text = await decodeSitemapBody(buffer, { partial: true });
+  } catch (error) {
+    // Corrupt or oversized gzip data
+    return false;
+  }
+  if (looksLikeXml(text)) {
+    // The root comes after at most an XML declaration, comments and a doctype
+    return SITEMAP_ROOT_PATTERN.test(text);
+  }
+  // The body may be cut off mid-line, so the last line can be a partial URL
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const whole = lines.length > 1 ? lines.slice(0, -1) : lines;
+  return whole.length > 0 && whole.every(line => /^https?:\/\/\S+$/i.test(line));
+}
+
+/**
+ * URLs from a plain-text sitemap, one absolute URL per line
+ */
+function parseTextSitemap(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => /^https?:\/\/\S+$/i.test(line))
+    .slice(0, MAX_SITEMAP_URLS)
+    .map(url => ({ url }));
+}
+
+// xml2js wraps every child in an array, and text with attributes in { _ }
+const textOf = (node) => {
+  const value = Array.isArray(node) ? node[0] : node;
+  if (value === undefined || value === null) return null;
+  const text = typeof value === 'object' ? value._ : value;
+  return typeof text === 'string' && text.trim() ? text.trim() : null;
+};
+
+// Feed dates (RFC 822 in RSS, RFC 3339 in Atom) as ISO strings, like sitemap lastmod
+const toIsoDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+const resolveUrl = (href, baseUrl) => {
+  try {
+    return new URL(href, baseUrl).href;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Entries for the items of a parsed (xml2js) RSS or Atom feed, with their
+ * titles and publication dates. Returns null when the document isn't a feed.
+ */
+function parseFeed(result, feedUrl) {
+  if (result.rss) {
+    const channel = (result.rss.channel || [])[0] || {};
+    return (channel.item || [])
+      .map(item => ({
+        url: resolveUrl(textOf(item.link) || textOf(item.guid) || '', feedUrl),
+        title: textOf(item.title),
+        lastmod: toIsoDate(textOf(item.pubDate) || textOf(item['dc:date']))
+      }))
+      .filter(entry => entry.url);
+  }
+
+  if (result.feed) {
+    return (result.feed.entry || [])
+      .map(entry => {
+        // Atom entries can link to several representations; the page is the alternate one
+        const links = (entry.link || []).map(link => link.$ || {});
+        const link = links.find(attrs => !attrs.rel || attrs.rel === 'alternate');
+        return {
+          url: link && link.href ? resolveUrl(link.href, feedUrl) : null,
+          title: textOf(entry.title),
+          lastmod: toIsoDate(textOf(entry.updated) || textOf(entry.published))
+        };
+      })
+      .filter(entry => entry.url);
+  }
+
+  return null;
+}
+
+/**
+ * RSS/Atom feed URLs advertised by <link rel="alternate"> tags in a page's HTML
+ */
+function findFeedLinks(html, pageUrl) {
+  const feeds = [];
+  for (const tag of html.match(LINK_TAG_PATTERN) || []) {
+    const attrs = parseAttributes(tag);
+    const rels = (attrs.rel || '').toLowerCase().split(/\s+/);
+    if (rels.includes('alternate') && FEED_TYPES.includes((attrs.type || '').toLowerCase()) && attrs.href) {
+      const url = resolveUrl(attrs.href.replace(/&amp;/g, '&'), pageUrl);
+      if (url && !feeds.includes(url)) feeds.push(url);
+    }
+  }
+  return feeds;
+}
+
+module.exports = {
+  MAX_SITEMAP_BYTES,
+  SITEMAP_PROBE_BYTES,
+  decodeSitemapBody,
+  looksLikeXml,
+  isSitemapBody,
+  parseTextSitemap,
+  parseFeed,
+  findFeedLinks,
+  parseAttributes
+};
@@ -0,0 +1,126 @@
+/**
+ * Sitemap crawl queue
+ * Crawls run as background jobs, a few at a time, so a sitemap request never
+ * waits on one. Each job reports progress and its best pages so far, which
+ * the API streams to the browser as Server-Sent Events.
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Returns limit(task), which runs the async task once fewer than
+ * `concurrency` tasks started through it are still running
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    if (active >= concurrency || waiting.length === 0) return;
+    active++;
+    const { task, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    waiting.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * One crawl. Emits 'update' as progress is made, then 'done' with the
+ * result or 'failed' with the error ('error' would throw without a listener).
+ */
+class CrawlJob extends EventEmitter {
+  constructor(key) {
+    super();
+    // Any number of browsers can be watching the same crawl
+    this.setMaxListeners(0);
+    this.key = key;
+    this.status = 'queued';
+    this.progress = {
+      hostsChecked: 0,
+      hostsTotal: 0,
+      sitemapsFound: 0,
+      sitemapsProcessed: 0,
+      // Pages read by the link crawl, for sites without a sitemap
+      pagesCrawled: 0,
+      pagesFound: 0
+    };
+    // Best pages found so far, in relevance order
+    this.pages = [];
+    this.promise = null;
+  }
+
+  update(progress, pages) {
+    Object.assign(this.progress, progress);
+    if (pages) {
+      this.pages = pages;
+    }
+    this.emit('update', this);
+  }
+}
+
+class SitemapCrawlQueue {
+  constructor({ concurrency = 2 } = {}) {
+    this.jobs = new Map();
+    this.limit = createLimiter(concurrency);
+  }
+
+  get(key) {
+    return this.jobs.get(key) || null;
+  }
+
+  /**
+   * Queue run(job) under key, or return the job already queued or running
+   * for it. job.promise settles with run's result.
+   */
+  enqueue(key, run) {
+    const existing = this.jobs.get(key);
+    if (existing) return existing;
+
+    const job = new CrawlJob(key);
+    this.jobs.set(key, job);
+
+    job.promise = this.limit(() => {
+      job.status = 'running';
+      job.emit('update', job);
+      return run(job);
+    })
+      .then(result => {
+        job.status = 'done';
+        job.emit('done', result);
+        return result;
+      }, error => {
+        job.status = 'failed';
+        job.emit('failed', error);
+        throw error;
+      })
+      .finally(() => this.jobs.delete(key));
+    // Reported through the 'failed' event and to whoever awaits the promise
+    job.promise.catch(() => undefined);
+
+    return job;
+  }
+
+  stats() {
+    const jobs = Array.from(this.jobs.values());
+    return {
+      queued: jobs.filter(job => job.status === 'queued').length,
+      running: jobs.filter(job => job.status === 'running').length
+    };
+  }
+}
+
+module.exports = {
+  createLimiter,
+  CrawlJob,
+  SitemapCrawlQueue
+};
@@ -1,72 +1,232 @@
 const axios = require('axios');
 const xml2js = require('xml2js');
 const { URL } = require('url');
+const { MemorySitemapCache } = require('./sitemap-cache');
+const { SitemapCrawlQueue, createLimiter } = require('./sitemap-queue');
+const {
+  MAX_SITEMAP_BYTES,
+  SITEMAP_PROBE_BYTES,
+  decodeSitemapBody,
+  looksLikeXml,
+  isSitemapBody,
+  parseTextSitemap,
+  parseFeed,
+  findFeedLinks
+} = require('./sitemap-formats');
+const { crawlSite, parsePagePreview } = require('./site-crawl');
+
+// Enough pages for the largest page the client asks for
+const CACHED_PAGE_COUNT = 50;
+
+// Pages that get their real title, description and image, enough for the
+// sitemap panel's first load
+const PREVIEW_PAGE_COUNT = 20;
+
+// Sitemap indexes can nest and point at thousands of files; stop reading after this many
+const MAX_SITEMAPS_PER_CRAWL = 200;
+
+// HTML pages are only read for their titles and links
+const MAX_HTML_BYTES = 5 * 1024 * 1024;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; SitemapBot/1.0)';
+
+const COMMON_SUBDOMAINS = [
+  'www', 'blog', 'news', 'support', 'help', 'docs', 'api',
+  'shop', 'store', 'careers', 'jobs', 'about', 'portal',
+  'app', 'my', 'customer', 'clients', 'partners'
+];
 
 class SitemapService {
-  constructor() {
-    this.cache = new Map();
-    this.cacheTimeout = 24 * 60 * 60 * 1000; // 24 hours
+  /**
+   * options.cache is a backend from sitemap-cache.js (in-memory by default);
+   * results older than options.staleAfter are served but recrawled in the
+   * background. At most options.crawlConcurrency sites are crawled at once,
+   * with at most options.requestConcurrency HTTP requests in flight overall.
+   */
+  constructor({
+    cache = new MemorySitemapCache(),
+    staleAfter = 24 * 60 * 60 * 1000,
+    crawlConcurrency = 2,
+    requestConcurrency = 8
+  } = {}) {
+    this.cache = cache;
+    this.staleAfter = staleAfter;
+    this.queue = new SitemapCrawlQueue({ concurrency: crawlConcurrency });
+    this.request = createLimiter(requestConcurrency);
+  }
+
+  /**
+   * Look up a company's sitemap pages without waiting on a crawl. Returns
+   * { entry, job, error }: the cached crawl (or null) and the crawl job
+   * running for it, if any. A job is started when nothing is cached, the
+   * cache is stale, or refresh is set.
+   */
+  async lookup(companyUrl, companyName, { refresh = false } = {}) {
+    if (!companyUrl || !companyName) {
+      return { entry: null, job: null, error: null };
+    }
+
+    // Normalize URL
+    const normalizedUrl = this.normalizeUrl(companyUrl);
+    if (!normalizedUrl) {
+      return { entry: null, job: null, error: 'Invalid URL provided' };
+    }
+
+    const cacheKey = `${normalizedUrl}_${companyName}`;
+    const entry = await this.readCache(cacheKey);
+    const stale = entry && Date.now() - entry.crawledAt.getTime() > this.staleAfter;
+    let job = this.queue.get(cacheKey);
+    if (!job && (!entry || stale || refresh)) {
+      job = this.crawl(cacheKey, normalizedUrl, companyName);
+    }
+
+    return { entry, job, error: null };
   }
 
   /**
-   * Main method to get relevant sitemap pages for a company
+   * The API response for a lookup: the cached pages, or while a first crawl
+   * runs the best pages it has found so far, plus the crawl's progress
    */
-  async getRelevantPages(companyUrl, companyName, limit = 10) {
+  summarize({ entry, job, error }, limit = 10) {
+    const partial = !entry && job && !error;
+    const pages = entry ? entry.pages : partial ? job.pages : [];
+    return {
+      pages: pages.slice(0, limit),
+      error: error || (job && job.status === 'failed' ? 'Sitemap crawl failed' : null),
+      totalFound: entry ? entry.totalFound : partial ? job.progress.pagesFound : 0,
+      subdomainsChecked: entry ? entry.subdomainsChecked : partial ? job.progress.sitemapsProcessed : 0,
+      crawledAt: entry ? entry.crawledAt : null,
+      crawling: Boolean(job && (job.status === 'queued' || job.status === 'running')),
+      progress: job ? { status: job.status, ...job.progress } : null
+    };
+  }
+
+  /**
+   * Cached entry for the key, or null. A failing backend counts as a miss
+   * so pages still load (just without the cache).
+   */
+  async readCache(cacheKey) {
     try {
-      if (!companyUrl || !companyName) {
-        return { pages: [], error: null };
-      }
+      return await this.cache.get(cacheKey);
+    } catch (error) {
+      console.error('Error reading sitemap cache:', error.message);
+      return null;
+    }
+  }
 
-      // Normalize URL
-      const normalizedUrl = this.normalizeUrl(companyUrl);
-      if (!normalizedUrl) {
-        return { pages: [], error: 'Invalid URL provided' };
-      }
+  /**
+   * Queue a crawl of the site, or return the one already queued for the key.
+   * job.promise resolves with the stored entry.
+   */
+  crawl(cacheKey, normalizedUrl, companyName) {
+    return this.queue.enqueue(cacheKey, job => this.runCrawl(job, normalizedUrl, companyName));
+  }
 
-      // Check cache first
-      const cacheKey = `${normalizedUrl}_${companyName}`;
-      if (this.cache.has(cacheKey)) {
-        const cached = this.cache.get(cacheKey);
-        if (Date.now() - cached.timestamp < this.cacheTimeout) {
-          return { pages: cached.pages.slice(0, limit), error: null };
+  /**
+   * Read every sitemap as it is discovered, keeping the job's best pages up
+   * to date, then store the result
+   */
+  async runCrawl(job, normalizedUrl, companyName) {
+    const seenSitemaps = new Set();
+    const seenPages = new Set();
+    // Previews of pages the link crawl has already read
+    const previews = new Map();
+    const reads = [];
+    let topPages = [];
+
+    const addPages = (pages) => {
+      const newPages = pages.filter(page => !seenPages.has(page.url) && seenPages.add(page.url));
+      topPages = [...topPages, ...this.scorePageRelevance(newPages, companyName)]
+        .sort((a, b) => b.relevanceScore - a.relevanceScore)
+        .slice(0, CACHED_PAGE_COUNT);
+    };
+
+    const readSitemap = (sitemapUrl) => {
+      if (seenSitemaps.has(sitemapUrl) || seenSitemaps.size >= MAX_SITEMAPS_PER_CRAWL) return;
+      seenSitemaps.add(sitemapUrl);
+      job.update({ sitemapsFound: seenSitemaps.size });
+
+      reads.push((async () => {
+        try {
+          const { pages, sitemaps } = await this.readSitemap(sitemapUrl);
+          // Child sitemaps of a sitemap index
+          sitemaps.forEach(readSitemap);
+
+          addPages(pages);
+        } catch (error) {
+          console.error(`Error extracting from sitemap ${sitemapUrl}:`, error.message);
         }
-        this.cache.delete(cacheKey);
-      }
+        job.update({
+          sitemapsProcessed: job.progress.sitemapsProcessed + 1,
+          pagesFound: seenPages.size
+        }, topPages);
+      })());
+    };
 
-      // Discover all sitemaps (main domain + subdomains)
-      const allSitemaps = await this.discoverAllSitemaps(normalizedUrl);
-      
-      // Extract and score all pages
-      const allPages = await this.extractAllPages(allSitemaps);
-      const scoredPages = this.scorePageRelevance(allPages, companyName);
-      
-      // Sort by relevance and take top results
-      const topPages = scoredPages
-        .sort((a, b) => b.relevanceScore - a.relevanceScore)
-        .slice(0, Math.max(limit, 20)); // Cache more than requested
+    job.update({ hostsTotal: 1 + COMMON_SUBDOMAINS.length });
+    await this.discoverAllSitemaps(normalizedUrl, {
+      onSitemaps: sitemapUrls => sitemapUrls.forEach(readSitemap),
+      onHostChecked: () => job.update({ hostsChecked: job.progress.hostsChecked + 1 })
+    });
 
-      // Cache results
-      this.cache.set(cacheKey, {
-        pages: topPages,
-        timestamp: Date.now()
+    // Reads add more reads for sitemap indexes, so keep going until none are left
+    for (let i = 0; i < reads.length; i++) {
+      await reads[i];
+    }
+
+    // No sitemap (or only empty ones): follow the homepage's links instead
+    if (seenPages.size === 0) {
+      await crawlSite(normalizedUrl, url => this.fetchHtmlPage(url), {
+        onPage: page => {
+          previews.set(page.url, page);
+          addPages([this.buildPage(page)]);
+          job.update({
+            pagesCrawled: job.progress.pagesCrawled + 1,
+            pagesFound: seenPages.size
+          }, topPages);
+        }
       });
+    }
 
-      return { 
-        pages: topPages.slice(0, limit), 
-        error: null,
-        totalFound: allPages.length,
-        subdomainsChecked: allSitemaps.length
-      };
+    topPages = await this.addPreviews(topPages, previews);
+    job.update({}, topPages);
 
+    const entry = {
+      pages: topPages,
+      totalFound: seenPages.size,
+      subdomainsChecked: seenSitemaps.size,
+      crawledAt: new Date()
+    };
+
+    try {
+      await this.cache.set(job.key, entry);
     } catch (error) {
-      console.error('Error getting relevant pages:', error);
-      return { 
-        pages: [], 
-        error: error.message,
-        totalFound: 0,
-        subdomainsChecked: 0
-      };
+      console.error('Error writing sitemap cache:', error.message);
     }
+    return entry;
+  }
+
+  /**
+   * Real titles (instead of ones guessed from the URL), descriptions and
+   * images for the top pages, from previews already read or the pages' HTML
+   */
+  async addPreviews(pages, previews = new Map()) {
+    return Promise.all(pages.map(async (page, index) => {
+      if (index >= PREVIEW_PAGE_COUNT) return page;
+      const preview = previews.get(page.url) || await this.fetchPreview(page.url);
+      if (!preview) return page;
+      return {
+        ...page,
+        title: preview.title || page.title,
+        description: preview.description,
+        image: preview.image
+      };
+    }));
+  }
+
+  async fetchPreview(url) {
+    const page = await this.fetchHtmlPage(url);
+    return page ? parsePagePreview(page.html, page.url) : null;
   }
 
   /**
@@ -85,38 +245,43 @@ class SitemapService {
   }
 
   /**
-   * Discover all sitemaps including subdomains
+   * Discover all sitemaps including subdomains. onSitemaps is called with
+   * each host's sitemaps as soon as they're found and onHostChecked after
+   * each host, so reading can start before discovery finishes.
    */
-  async discoverAllSitemaps(baseUrl) {
+  async discoverAllSitemaps(baseUrl, { onSitemaps = () => {}, onHostChecked = () => {} } = {}) {
     const sitemaps = [];
     const urlObj = new URL(baseUrl);
     const domain = urlObj.hostname;
 
-    // Common sitemap locations for main domain
-    const mainSitemaps = await this.findSitemapsForDomain(baseUrl);
+    // Common sitemap locations for main domain, plus any feeds its homepage
+    // links to (some small sites have a feed but no sitemap)
+    const mainSitemaps = [
+      ...await this.findSitemapsForDomain(baseUrl),
+      ...await this.findFeeds(baseUrl)
+    ];
     sitemaps.push(...mainSitemaps);
+    onSitemaps(mainSitemaps);
+    onHostChecked();
 
     // Discover and check common subdomains
-    const commonSubdomains = [
-      'www', 'blog', 'news', 'support', 'help', 'docs', 'api',
-      'shop', 'store', 'careers', 'jobs', 'about', 'portal',
-      'app', 'my', 'customer', 'clients', 'partners'
-    ];
-
-    const subdomainPromises = commonSubdomains.map(async (subdomain) => {
+    const subdomainPromises = COMMON_SUBDOMAINS.map(async (subdomain) => {
       const subdomainUrl = `https://${subdomain}.${domain}`;
       try {
         // Quick check if subdomain exists
-        const response = await axios.head(subdomainUrl, { 
+        const response = await this.request(() => axios.head(subdomainUrl, { 
           timeout: 5000,
           maxRedirects: 3
-        });
+        }));
         if (response.status === 200) {
           const subSitemaps = await this.findSitemapsForDomain(subdomainUrl);
+          onSitemaps(subSitemaps);
           return subSitemaps;
         }
       } catch (error) {
         // Subdomain doesn't exist or is not accessible
+      } finally {
+        onHostChecked();
       }
       return [];
     });
@@ -144,6 +309,8 @@ class SitemapService {
       '/sitemaps/sitemap.xml',
       '/wp-sitemap.xml', // WordPress
       '/sitemap-index.xml',
+      '/sitemap.xml.gz',
+      '/sitemap.txt', // Plain text, one URL per line
       '/robots.txt' // Check robots.txt for sitemap references
     ];
 
@@ -156,15 +323,9 @@ class SitemapService {
           const robotsSitemaps = await this.extractSitemapsFromRobots(sitemapUrl);
           sitemaps.push(...robotsSitemaps);
         } else {
-          // Try to fetch the sitemap directly
-          const response = await axios.get(sitemapUrl, {
-            timeout: 10000,
-            headers: {
-              'User-Agent': 'Mozilla/5.0 (compatible; SitemapBot/1.0)'
-            }
-          });
-          
-          if (response.status === 200 && response.data) {
+          // Check the start of the file; readSitemap downloads the rest
+          const body = await this.fetchStart(sitemapUrl, SITEMAP_PROBE_BYTES);
+          if (await isSitemapBody(body)) {
             sitemaps.push(sitemapUrl);
           }
         }
@@ -176,12 +337,44 @@ class SitemapService {
     return sitemaps;
   }
 
+  /**
+   * Up to maxBytes from the start of a URL's body, without downloading the
+   * rest. Throws for error responses like a full GET would.
+   */
+  async fetchStart(url, maxBytes) {
+    return this.request(async () => {
+      // axios' timeout stops at the headers; this also covers reading the body
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), 10000);
+      try {
+        const response = await axios.get(url, {
+          responseType: 'stream',
+          signal: controller.signal,
+          headers: {
+            'User-Agent': USER_AGENT
+          }
+        });
+        const chunks = [];
+        let length = 0;
+        // Leaving the loop early destroys the stream, closing the connection
+        for await (const chunk of response.data) {
+          chunks.push(chunk);
+          length += chunk.length;
+          if (length >= maxBytes) break;
+        }
+        return Buffer.concat(chunks).subarray(0, maxBytes);
+      } finally {
+        clearTimeout(timer);
+      }
+    });
+  }
+
   /**
    * Extract sitemap URLs from robots.txt
    */
   async extractSitemapsFromRobots(robotsUrl) {
     try {
-      const response = await axios.get(robotsUrl, { timeout: 5000 });
+      const response = await this.request(() => axios.get(robotsUrl, { timeout: 5000 }));
       const robotsContent = response.data;
       const sitemapMatches = robotsContent.match(/Sitemap:\s*(https?:\/\/[^\s]+)/gi);
       
@@ -195,78 +388,69 @@ class SitemapService {
   }
 
   /**
-   * Extract all pages from discovered sitemaps
+   * RSS/Atom feeds advertised on the homepage with <link rel="alternate">
    */
-  async extractAllPages(sitemapUrls) {
-    const allPages = [];
-    
-    const extractPromises = sitemapUrls.map(async (sitemapUrl) => {
-      try {
-        const pages = await this.extractPagesFromSitemap(sitemapUrl);
-        return pages;
-      } catch (error) {
-        console.error(`Error extracting from sitemap ${sitemapUrl}:`, error.message);
-        return [];
-      }
-    });
-
-    const results = await Promise.allSettled(extractPromises);
-    results.forEach(result => {
-      if (result.status === 'fulfilled') {
-        allPages.push(...result.value);
-      }
-    });
-
-    // Remove duplicates based on URL
-    const uniquePages = [];
-    const seenUrls = new Set();
-    
-    allPages.forEach(page => {
-      if (!seenUrls.has(page.url)) {
-        seenUrls.add(page.url);
-        uniquePages.push(page);
-      }
-    });
+  async findFeeds(baseUrl) {
+    const page = await this.fetchHtmlPage(baseUrl);
+    return page ? findFeedLinks(page.html, page.url) : [];
+  }
 
-    return uniquePages;
+  /**
+   * Fetch an HTML page: { url, html } with the URL redirects ended up at
+   * (relative links resolve against it), or null if it isn't HTML or can't
+   * be fetched
+   */
+  async fetchHtmlPage(url) {
+    try {
+      const response = await this.request(() => axios.get(url, {
+        timeout: 10000,
+        responseType: 'text',
+        maxContentLength: MAX_HTML_BYTES,
+        headers: {
+          'User-Agent': USER_AGENT
+        }
+      }));
+      const contentType = String(response.headers['content-type'] || '');
+      if (!contentType.includes('html') || typeof response.data !== 'string') return null;
+      return { url: response.request?.res?.responseUrl || url, html: response.data };
+    } catch (error) {
+      // Page not accessible
+      return null;
+    }
   }
 
   /**
-   * Extract pages from a single sitemap
+   * Read one sitemap (XML, gzipped XML or plain text) or RSS/Atom feed:
+   * returns { pages, sitemaps } where sitemaps are the child sitemaps
+   * listed by a sitemap index (not followed here)
    */
-  async extractPagesFromSitemap(sitemapUrl) {
+  async readSitemap(sitemapUrl) {
     try {
-      const response = await axios.get(sitemapUrl, {
+      const response = await this.request(() => axios.get(sitemapUrl, {
         timeout: 15000,
+        responseType: 'arraybuffer',
+        maxContentLength: MAX_SITEMAP_BYTES,
         headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; SitemapBot/1.0)'
+          'User-Agent': USER_AGENT
         }
-      });
+      }));
+      const body = await decodeSitemapBody(Buffer.from(response.data));
+
+      if (!looksLikeXml(body)) {
+        return { pages: parseTextSitemap(body).map(entry => this.buildPage(entry)), sitemaps: [] };
+      }
 
       const parser = new xml2js.Parser();
-      const result = await parser.parseStringPromise(response.data);
+      const result = await parser.parseStringPromise(body);
       
       const pages = [];
+      const sitemaps = [];
 
       // Handle sitemap index (contains references to other sitemaps)
       if (result.sitemapindex && result.sitemapindex.sitemap) {
-        const childSitemaps = result.sitemapindex.sitemap;
-        const childPromises = childSitemaps.map(async (sitemap) => {
+        result.sitemapindex.sitemap.forEach(sitemap => {
           if (sitemap.loc && sitemap.loc[0]) {
-            try {
-              const childPages = await this.extractPagesFromSitemap(sitemap.loc[0]);
-              return childPages;
-            } catch (error) {
-              return [];
-            }
-          }
-          return [];
-        });
-
-        const childResults = await Promise.allSettled(childPromises);
-        childResults.forEach(result => {
-          if (result.status === 'fulfilled') {
-            pages.push(...result.value);
+            sitemaps.push(sitemap.loc[0].trim());
           }
         });
       }
@@ -276,25 +460,43 @@ class SitemapService {
         const urls = result.urlset.url;
         urls.forEach(urlEntry => {
           if (urlEntry.loc && urlEntry.loc[0]) {
-            const page = {
+            pages.push(this.buildPage({
               url: urlEntry.loc[0],
               lastmod: urlEntry.lastmod ? urlEntry.lastmod[0] : null,
               changefreq: urlEntry.changefreq ? urlEntry.changefreq[0] : null,
-              priority: urlEntry.priority ? parseFloat(urlEntry.priority[0]) : null,
-              title: this.extractTitleFromUrl(urlEntry.loc[0]),
-              category: this.categorizeUrl(urlEntry.loc[0])
-            };
-            pages.push(page);
+              priority: urlEntry.priority ? parseFloat(urlEntry.priority[0]) : null
+            }));
           }
         });
       }
 
-      return pages;
+      // Feed items carry their real titles and publication dates
+      const feedEntries = parseFeed(result, sitemapUrl);
+      if (feedEntries) {
+        pages.push(...feedEntries.map(entry => this.buildPage(entry)));
+      }
+
+      return { pages, sitemaps };
     } catch (error) {
       throw new Error(`Failed to parse sitemap ${sitemapUrl}: ${error.message}`);
     }
   }
 
+  /**
+   * Page from a sitemap or feed entry or a crawled page, titled from the
+   * URL when it has no title of its own
+   */
+  buildPage({ url, title = null, lastmod = null, changefreq = null, priority = null }) {
+    return {
+      url,
+      lastmod,
+      changefreq,
+      priority,
+      title: title || this.extractTitleFromUrl(url),
+      category: this.categorizeUrl(url)
+    };
+  }
+
   /**
    * Score page relevance based on company name and URL patterns
    */
@@ -432,19 +634,20 @@ class SitemapService {
   }
 
   /**
-   * Clear cache (useful for testing or manual refresh)
+   * Clear the whole cache, for every instance sharing the backend. Not
+   * exposed over HTTP: single sites are recrawled with ?refresh=true.
    */
-  clearCache() {
-    this.cache.clear();
+  async clearCache() {
+    await this.cache.clear();
   }
 
   /**
    * Get cache statistics
    */
-  getCacheStats() {
+  async getCacheStats() {
     return {
-      size: this.cache.size,
-      entries: Array.from(this.cache.keys())
+      ...(await this.cache.stats()),
+      crawls: this.queue.stats()
     };
   }
 }
@@ -0,0 +1,126 @@
+/**
+ * Task query helpers
+ * Validation, status filters and response formatting for /api/tasks
+ */
+
+const { UUID_PATTERN } = require('./company-query');
+
+const TASK_PRIORITIES = ['low', 'medium', 'high'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TITLE_LENGTH = 255;
+
+// Status filters relative to the caller's "today" (their local date).
+// Undated open tasks count as upcoming.
+const TASK_STATUSES = {
+  open: { condition: () => 't.is_completed = false' },
+  overdue: { condition: (today) => `t.is_completed = false AND t.due_date < ${today}` },
+  today: { condition: (today) => `t.is_completed = false AND t.due_date = ${today}` },
+  upcoming: { condition: (today) => `t.is_completed = false AND (t.due_date > ${today} OR t.due_date IS NULL)` },
+  completed: { condition: () => 't.is_completed = true', completed: true }
+};
+
+// Completed tasks show the most recently finished first; open tasks by due date
+const OPEN_ORDER = `t.due_date ASC NULLS LAST, CASE t.priority WHEN 'high' THEN 0 WHEN 'medium' THEN 1 ELSE 2 END, t.created_at ASC`;
+const COMPLETED_ORDER = 't.updated_at DESC';
+
+// Rejects impossible dates such as 2025-02-30, which Date.parse would roll over
+const isValidDate = (value) => {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Parse the "today" query param (YYYY-MM-DD), or null to use the server date
+ */
+function parseToday(value) {
+  return typeof value === 'string' && isValidDate(value) ? value : null;
+}
+
+/**
+ * Validate a create (partial = false) or update (partial = true) body.
+ * Returns { values } with only the provided fields, or { error }.
+ */
+function parseTaskInput(body = {}, { partial = false } = {}) {
+  const values = {};
+  const has = (key) => body !== null && typeof body === 'object' && Object.prototype.hasOwnProperty.call(body, key);
+
+  if (has('title') || !partial) {
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      return { error: `Title is required and must be at most ${MAX_TITLE_LENGTH} characters` };
+    }
+    values.title = title;
+  }
+
+  if (has('description')) {
+    values.description = typeof body.description === 'string' && body.description.trim() ? body.description.trim() : null;
+  }
+
+  if (has('dueDate')) {
+    if (body.dueDate !== null && body.dueDate !== '' && !isValidDate(body.dueDate)) {
+      return { error: 'dueDate must be a YYYY-MM-DD date' };
+    }
+    values.dueDate = body.dueDate || null;
+  }
+
+  if (has('priority')) {
+    if (!TASK_PRIORITIES.includes(body.priority)) {
+      return { error: `priority must be one of ${TASK_PRIORITIES.join(', ')}` };
+    }
+    values.priority = body.priority;
+  }
+
+  if (has('completed')) {
+    if (typeof body.completed !== 'boolean') {
+      return { error: 'completed must be true or false' };
+    }
+    values.completed = body.completed;
+  }
+
+  // Links are only set on create; a task keeps its company and contact
+  if (!partial) {
+    for (const key of ['companyId', 'contactId']) {
+      if (has(key) && body[key] !== null && !UUID_PATTERN.test(body[key])) {
+        return { error: `${key} must be a valid id` };
+      }
+      values[key] = has(key) ? body[key] : null;
+    }
+  }
+
+  return { values };
+}
+
+// Columns for a task joined with its company and contact (aliases t, co, ct)
+const TASK_COLUMNS = `t.*, to_char(t.due_date, 'YYYY-MM-DD') AS due_date_text,
+  co.company_name, ct.full_name AS contact_name, ct.title AS contact_title`;
+
+const TASK_FROM = `user_tasks t
+  LEFT JOIN companies co ON co.id = t.company_id
+  LEFT JOIN contacts ct ON ct.id = t.contact_id`;
+
+function formatTask(row) {
+  return {
+    id: row.id,
+    title: row.task_title,
+    description: row.task_description,
+    dueDate: row.due_date_text,
+    priority: row.priority,
+    completed: row.is_completed,
+    company: row.company_id ? { id: row.company_id, name: row.company_name } : null,
+    contact: row.contact_id ? { id: row.contact_id, name: row.contact_name, title: row.contact_title } : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+module.exports = {
+  TASK_STATUSES,
+  OPEN_ORDER,
+  COMPLETED_ORDER,
+  TASK_COLUMNS,
+  TASK_FROM,
+  parseToday,
+  parseTaskInput,
+  formatTask
+};
@@ -1,44 +1,135 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
-import { BrowserRouter as Router, Routes, Route, useParams } from 'react-router-dom';
+import { useState, useEffect, useCallback, useMemo, useRef, Dispatch, SetStateAction } from 'react';
+import { BrowserRouter as Router, Routes, Route, Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import SearchBar from './components/SearchBar';
 import CompanyGrid from './components/CompanyGrid';
 import CompanyDetail from './components/CompanyDetail';
-import { Company, IndustryOption } from './lib/types';
+import AuthProvider from './components/AuthProvider';
+import LoginPage from './components/LoginPage';
+import SavedCompaniesPage from './components/SavedCompaniesPage';
+import SavedCompaniesProvider from './components/SavedCompaniesProvider';
+import SavedSearchNotice from './components/SavedSearchNotice';
+import BulkActionBar from './components/BulkActionBar';
+import ListBanner from './components/ListBanner';
+import ListsPage from './components/ListsPage';
+import TasksPage from './components/TasksPage';
+import UserMenu from './components/UserMenu';
+import { Company, CompanyFacets, CompanyFilters, CompanySort, IndustryOption } from './lib/types';
+import { buildCompanyParams, buildSearchCriteria, parseCompanyParams, parseSearchCriteria } from './lib/filters';
+import { getHomeHref, setHomeSearch } from './lib/home-link';
+import { EMPTY_SELECTION, SelectionControls, SelectionState, countSelected, isCompanySelected, selectCompanies, toCompanySelection } from './lib/selection';
+import { useScrollRestoration } from './hooks/use-scroll-restoration';
+import { useAuth } from './hooks/use-auth';
+import { useCompanyList } from './hooks/use-company-list';
+import { CompanyNameMatch, HttpError, SavedSearchRun, authFetch, getCompany, getCompanyByName, isCompanyId, prefetchCompanyDetail, trackInteraction } from './lib/api';
 // Removed unused CSV parsing imports - now using API
 import './App.css';
 
+type FilterState = ReturnType<typeof parseCompanyParams>;
+
 interface HomePageProps {
   filteredCompanies: Company[];
   industries: IndustryOption[];
+  facets: CompanyFacets | null;
   loading: boolean;
   loadingMore: boolean;
   hasMore: boolean;
   totalCompanies: number;
   searchQuery: string;
   selectedIndustry: string;
+  filters: CompanyFilters;
+  sort: CompanySort;
+  // Company list being browsed instead of all companies, '' for none
+  listId: string;
   handleSearch: (query: string) => void;
+  handleSubmitSearch: (query: string) => void;
   handleIndustryChange: (industry: string) => void;
+  handleFiltersChange: (filters: CompanyFilters) => void;
+  handleSortChange: (sort: CompanySort) => void;
   handleClearFilters: () => void;
+  handleRestoreFilters: (state: FilterState) => void;
+  handleListChange: (listId: string) => void;
+  // Reloads the companies, e.g. after some were taken off the list
+  refreshCompanies: () => void;
+  savedSearchRun: SavedSearchRun | null;
+  handleLoadSavedSearch: (run: SavedSearchRun) => void;
+  dismissSavedSearchRun: () => void;
+  selection: SelectionState;
+  setSelection: Dispatch<SetStateAction<SelectionState>>;
 }
 
-function HomePage({ filteredCompanies, industries, loading, loadingMore, hasMore, totalCompanies, searchQuery, selectedIndustry, handleSearch, handleIndustryChange, handleClearFilters }: HomePageProps) {
+function HomePage({ filteredCompanies, industries, facets, loading, loadingMore, hasMore, totalCompanies, searchQuery, selectedIndustry, filters, sort, listId, handleSearch, handleSubmitSearch, handleIndustryChange, handleFiltersChange, handleSortChange, handleClearFilters, handleRestoreFilters, handleListChange, refreshCompanies, savedSearchRun, handleLoadSavedSearch, dismissSavedSearchRun, selection, setSelection }: HomePageProps) {
+  const newCompanyIds = useMemo(() => new Set(savedSearchRun?.newCompanyIds), [savedSearchRun]);
+  const { user } = useAuth();
+  const { list, status: listStatus } = useCompanyList(listId);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const currentSearch = buildCompanyParams(searchQuery, selectedIndustry, filters, sort, listId).toString();
+  // Normalized so param order or stray params don't count as a change
+  const urlSearch = useMemo(() => {
+    const state = parseCompanyParams(searchParams);
+    return buildCompanyParams(state.searchQuery, state.selectedIndustry, state.filters, state.sort, state.listId).toString();
+  }, [searchParams]);
+
+  // The query string mirrors the filters and sort. When the URL changes
+  // (first render, a shared link) it wins; otherwise filter changes are
+  // written to it, replacing the entry so typing doesn't flood history.
+  const syncRef = useRef<{ url: string | null }>({ url: null });
+  useEffect(() => {
+    const previousUrl = syncRef.current.url;
+    syncRef.current.url = urlSearch;
+    if (urlSearch === currentSearch) return;
+
+    if (urlSearch !== previousUrl) {
+      handleRestoreFilters(parseCompanyParams(new URLSearchParams(urlSearch)));
+    } else {
+      setSearchParams(new URLSearchParams(currentSearch), { replace: true });
+    }
+  }, [urlSearch, currentSearch, handleRestoreFilters, setSearchParams]);
+
+  useEffect(() => {
+    setHomeSearch(currentSearch ? `?${currentSearch}` : '');
+  }, [currentSearch]);
+
+  // Loaded pages stay in App state, so coming back from a company only needs the scroll offset
+  useScrollRestoration(currentSearch, !loading);
+
+  // Bulk actions need an account, so signed-out visitors get no checkboxes
+  const selectionControls = useMemo<SelectionControls>(() => ({
+    isSelected: (companyId) => isCompanySelected(selection, companyId),
+    setSelected: (companyIds, selected) => setSelection(prev => selectCompanies(prev, companyIds, selected))
+  }), [selection, setSelection]);
+  const selectedCount = countSelected(selection, totalCompanies);
+  const searchCriteria = buildSearchCriteria(searchQuery, selectedIndustry, filters, sort);
+  const selectionCriteria = listId ? { ...searchCriteria, list: listId } : searchCriteria;
+
   return (
     <>
                   <header className="header">
               <h1>JUST WORK</h1>
+              <UserMenu />
             </header>
       
       <main className="main-content">
+        {listId && <ListBanner list={list} status={listStatus} onExit={() => handleListChange('')} />}
+
         <SearchBar 
           onSearch={handleSearch}
+          onSubmitSearch={handleSubmitSearch}
           onIndustryChange={handleIndustryChange}
+          onFiltersChange={handleFiltersChange}
+          onSortChange={handleSortChange}
           onClearFilters={handleClearFilters}
           industries={industries}
+          facets={facets}
           totalCompanies={totalCompanies}
           searchQuery={searchQuery}
           selectedIndustry={selectedIndustry}
+          filters={filters}
+          sort={sort}
+          onLoadSavedSearch={listId ? undefined : handleLoadSavedSearch}
+          listId={listId}
         />
         
+        {savedSearchRun && <SavedSearchNotice run={savedSearchRun} onDismiss={dismissSavedSearchRun} />}
         
         <CompanyGrid 
           companies={filteredCompanies}
@@ -46,7 +137,24 @@ function HomePage({ filteredCompanies, industries, loading, loadingMore, hasMore
           loadingMore={loadingMore}
           hasMore={hasMore}
           totalCompanies={totalCompanies}
+          newCompanyIds={newCompanyIds}
+          sort={sort}
+          onSortChange={handleSortChange}
+          selection={user ? selectionControls : undefined}
         />
+
+        {user && selectedCount > 0 && (
+          <BulkActionBar
+            selectedCount={selectedCount}
+            totalCompanies={totalCompanies}
+            allMatching={selection.allMatching}
+            selection={toCompanySelection(selection, selectionCriteria)}
+            currentList={list}
+            onSelectAllMatching={() => setSelection({ allMatching: true, ids: new Set() })}
+            onClear={() => setSelection(EMPTY_SELECTION)}
+            onRemovedFromList={refreshCompanies}
+          />
+        )}
       </main>
     </>
   );
@@ -56,30 +164,154 @@ interface DetailPageWrapperProps {
   companies: Company[];
 }
 
+type DetailStatus = 'loading' | 'ready' | 'not-found' | 'ambiguous' | 'error';
+
 function DetailPageWrapper({ companies }: DetailPageWrapperProps) {
-  const { id } = useParams<{ id: string }>();
-  const company = companies.find(c => c.name === decodeURIComponent(id || ''));
-  
-  if (!company) {
-    return <div className="loading-container">Company not found</div>;
+  const { id = '' } = useParams<{ id: string }>();
+  const navigate = useNavigate();
+  const [company, setCompany] = useState<Company | null>(null);
+  const [status, setStatus] = useState<DetailStatus>('loading');
+  const [nameMatches, setNameMatches] = useState<CompanyNameMatch[]>([]);
+  const [retryCount, setRetryCount] = useState<number>(0);
+
+  // The infinite-scroll list is only used to render instantly when we
+  // already have the company; the page always loads its own copy
+  const companiesRef = useRef(companies);
+  companiesRef.current = companies;
+
+  // Open each company at the top; the home page restores its own scroll
+  useEffect(() => {
+    window.scrollTo(0, 0);
+  }, [id]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const isId = isCompanyId(id);
+    const listedCompany = companiesRef.current.find(c => (isId ? c.id === id : c.name === id));
+
+    setCompany(listedCompany || null);
+    setStatus(listedCompany ? 'ready' : 'loading');
+    setNameMatches([]);
+
+    // Contacts and sitemap load in parallel with the company itself
+    if (isId) {
+      prefetchCompanyDetail(id);
+    }
+
+    const loadCompany = async () => {
+      try {
+        const data = isId ? await getCompany(id) : await getCompanyByName(id);
+        if (cancelled) return;
+
+        setCompany(data);
+        setStatus('ready');
+
+        // Old links used the company name as the key - move them to the id route
+        if (!isId) {
+          navigate(`/company/${data.id}`, { replace: true });
+        }
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Error fetching company:', error);
+
+        if (error instanceof HttpError && error.status === 404) {
+          setStatus('not-found');
+        } else if (error instanceof HttpError && error.status === 300) {
+          const data = error.data as { matches?: CompanyNameMatch[] } | null;
+          setNameMatches(data?.matches || []);
+          setStatus('ambiguous');
+        } else if (!listedCompany) {
+          setStatus('error');
+        }
+      }
+    };
+
+    loadCompany();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id, navigate, retryCount]);
+
+  if (status === 'ready' && company) {
+    return <CompanyDetail company={company} />;
   }
-  
-  return <CompanyDetail company={company} />;
+
+  if (status === 'not-found') {
+    return (
+      <div className="loading-container">
+        <p>Company not found</p>
+        <Link to={getHomeHref()}>Back to all companies</Link>
+      </div>
+    );
+  }
+
+  if (status === 'ambiguous') {
+    return (
+      <div className="loading-container">
+        <p>Several companies share this name:</p>
+        <ul>
+          {nameMatches.map(match => (
+            <li key={match.id}>
+              <Link to={`/company/${match.id}`}>
+                {match.name}{match.city ? ` (${match.city})` : ''}
+              </Link>
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  }
+
+  if (status === 'error') {
+    return (
+      <div className="loading-container">
+        <p>Failed to load company</p>
+        <button onClick={() => setRetryCount(count => count + 1)} className="clear-all-filters">
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  return <div className="loading-container">Loading company...</div>;
 }
 
 function App() {
   const [companies, setCompanies] = useState<Company[]>([]);
   const [filteredCompanies, setFilteredCompanies] = useState<Company[]>([]);
   const [industries, setIndustries] = useState<IndustryOption[]>([]);
+  const [facets, setFacets] = useState<CompanyFacets | null>(null);
   const [loading, setLoading] = useState<boolean>(true);
   const [loadingMore, setLoadingMore] = useState<boolean>(false);
-  const [searchQuery, setSearchQuery] = useState<string>('');
-  const [selectedIndustry, setSelectedIndustry] = useState<string>('');
-  const [currentPage, setCurrentPage] = useState<number>(1);
+  // Start from the query string so a refresh or shared link loads the right page first
+  const [initialState] = useState<FilterState>(() =>
+    parseCompanyParams(new URLSearchParams(window.location.pathname === '/' ? window.location.search : ''))
+  );
+  const [searchQuery, setSearchQuery] = useState<string>(initialState.searchQuery);
+  const [selectedIndustry, setSelectedIndustry] = useState<string>(initialState.selectedIndustry);
+  const [filters, setFilters] = useState<CompanyFilters>(initialState.filters);
+  const [sort, setSort] = useState<CompanySort>(initialState.sort);
+  const [listId, setListId] = useState<string>(initialState.listId);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
   const [hasMore, setHasMore] = useState<boolean>(true);
   const [totalCompanies, setTotalCompanies] = useState<number>(0);
+  const [savedSearchRun, setSavedSearchRun] = useState<SavedSearchRun | null>(null);
+  const [selection, setSelection] = useState<SelectionState>(EMPTY_SELECTION);
+
+  // Aborted whenever the list is reset, so a slow response for an old
+  // search (or a page of it) can't overwrite the current results
+  const listAbortRef = useRef<AbortController | null>(null);
+
+  // Pages are fetched with the opaque nextCursor returned by the API;
+  // a null cursor loads the first page (which also returns the total)
+  const fetchCompanies = useCallback(async (cursor: string | null, reset: boolean = false) => {
+    if (reset || !listAbortRef.current) {
+      listAbortRef.current?.abort();
+      listAbortRef.current = new AbortController();
+    }
+    const { signal } = listAbortRef.current;
 
-  const fetchCompanies = useCallback(async (page: number, reset: boolean = false) => {
     try {
       if (reset) {
         setLoading(true);
@@ -87,23 +319,17 @@ function App() {
         setLoadingMore(true);
       }
 
-      // Build query parameters - include search/industry filters for server-side filtering
-      const params = new URLSearchParams({
-        page: page.toString(),
-        limit: '200',
-      });
-
-      // Add search filter if present
-      if (searchQuery.trim()) {
-        params.append('search', searchQuery.trim());
-      }
-
-      // Add industry filter if present
-      if (selectedIndustry) {
-        params.append('industry', selectedIndustry);
+      // Build query parameters - include search/industry/structured filters for server-side filtering
+      const params = buildCompanyParams(searchQuery, selectedIndustry, filters, sort);
+      params.set('limit', '200');
+      if (cursor) {
+        params.set('cursor', cursor);
       }
 
-      const response = await fetch(`/api/companies?${params}`);
+      // Lists are private to their owner and sharees, so they need the session
+      const response = listId
+        ? await authFetch(`/api/lists/${listId}/companies?${params}`, { signal })
+        : await fetch(`/api/companies?${params}`, { signal });
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
@@ -117,27 +343,33 @@ function App() {
         setCompanies(prev => [...prev, ...newCompanies]);
       }
       
-      setTotalCompanies(data.pagination?.total || 0);
-      setHasMore(page < (data.pagination?.pages || 1));
+      // The total is only sent with the first page
+      if (data.pagination?.total !== null && data.pagination?.total !== undefined) {
+        setTotalCompanies(data.pagination.total);
+      }
+      setNextCursor(data.pagination?.nextCursor || null);
+      setHasMore(Boolean(data.pagination?.hasMore));
       
     } catch (error) {
+      if (signal.aborted) return;
       console.error('Error fetching companies:', error);
       if (reset) {
         setCompanies([]);
       }
     } finally {
-      setLoading(false);
-      setLoadingMore(false);
+      // A superseded request leaves the loading flags to the one that replaced it
+      if (!signal.aborted) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
     }
-  }, [searchQuery, selectedIndustry]);
+  }, [searchQuery, selectedIndustry, filters, sort, listId]);
 
   const loadMoreCompanies = useCallback(() => {
-    if (!loadingMore && hasMore) {
-      const nextPage = currentPage + 1;
-      setCurrentPage(nextPage);
-      fetchCompanies(nextPage, false);
+    if (!loadingMore && hasMore && nextCursor) {
+      fetchCompanies(nextCursor, false);
     }
-  }, [loadingMore, hasMore, currentPage, fetchCompanies, loading]);
+  }, [loadingMore, hasMore, nextCursor, fetchCompanies, loading]);
 
   useEffect(() => {
     const fetchIndustries = async () => {
@@ -155,21 +387,43 @@ function App() {
     fetchIndustries();
   }, []);
 
-  // Initial companies loading
-  // Initial data load
+  // Facet counts follow the same filters as the company list
   useEffect(() => {
-    fetchCompanies(1, true);
-  }, []);
+    const controller = new AbortController();
+    const fetchFacets = async () => {
+      try {
+        const params = buildCompanyParams(searchQuery, selectedIndustry, filters);
+        const response = listId
+          ? await authFetch(`/api/lists/${listId}/facets?${params}`, { signal: controller.signal })
+          : await fetch(`/api/companies/facets?${params}`, { signal: controller.signal });
+        if (response.ok) {
+          const data = await response.json();
+          setFacets(data.facets || null);
+        }
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.error('Error fetching facets:', error);
+        }
+      }
+    };
+
+    fetchFacets();
+    return () => controller.abort();
+  }, [searchQuery, selectedIndustry, filters, listId]);
 
-  // Reset pagination and reload data when filters change
+  // Load the first page on start, and again with reset pagination whenever
+  // the filters or sort change (fetchCompanies changes with them)
   useEffect(() => {
-    // Skip initial render (when both are empty initially)
-    if (searchQuery !== '' || selectedIndustry !== '' || companies.length > 0) {
-      setCurrentPage(1);
-      setHasMore(true);
-      fetchCompanies(1, true);
-    }
-  }, [searchQuery, selectedIndustry, fetchCompanies]);
+    setNextCursor(null);
+    setHasMore(true);
+    fetchCompanies(null, true);
+  }, [fetchCompanies]);
+
+  // A selection only makes sense for the filters it was made under (a new
+  // sort keeps it)
+  useEffect(() => {
+    setSelection(EMPTY_SELECTION);
+  }, [searchQuery, selectedIndustry, filters, listId]);
 
   // Client-side filtering effect
   // Since we're using server-side filtering, filteredCompanies is just companies
@@ -180,11 +434,11 @@ function App() {
   // Stable refs for IntersectionObserver to prevent recreation issues
   const observerRef = useRef<IntersectionObserver | null>(null);
   const loadMoreRef = useRef(loadMoreCompanies);
-  const stateRef = useRef({ hasMore, loadingMore, loading, currentPage });
+  const stateRef = useRef({ hasMore, loadingMore, loading, nextCursor });
 
   // Keep refs current
   loadMoreRef.current = loadMoreCompanies;
-  stateRef.current = { hasMore, loadingMore, loading, currentPage };
+  stateRef.current = { hasMore, loadingMore, loading, nextCursor };
 
   // Stable intersection callback that doesn't cause observer recreation
   const stableIntersectionCallback = useCallback((entries: IntersectionObserverEntry[]) => {
@@ -240,47 +494,121 @@ function App() {
 
 
 
+  // Editing the search drops the "new since last run" markers of a loaded saved search
   const handleSearch = (query: string) => {
     setSearchQuery(query);
+    setSavedSearchRun(null);
+  };
+
+  // Log searches the user settled on for their activity history. Not every
+  // searchQuery change: that includes typed prefixes and URL restores.
+  const loggedSearchRef = useRef<string>('');
+  const handleSubmitSearch = (query: string) => {
+    const term = query.trim();
+    if (!term || term === loggedSearchRef.current) return;
+    loggedSearchRef.current = term;
+    trackInteraction('search', null, { query: term });
   };
 
   const handleIndustryChange = (industry: string) => {
     setSelectedIndustry(industry);
+    setSavedSearchRun(null);
+  };
+
+  const handleFiltersChange = (newFilters: CompanyFilters) => {
+    setFilters(newFilters);
+    setSavedSearchRun(null);
+  };
+
+  const handleSortChange = (newSort: CompanySort) => {
+    setSort(newSort);
   };
 
   const handleClearFilters = () => {
     setSearchQuery('');
     setSelectedIndustry('');
+    setFilters({});
+    setSavedSearchRun(null);
+  };
+
+  const handleRestoreFilters = useCallback((state: FilterState) => {
+    setSearchQuery(state.searchQuery);
+    setSelectedIndustry(state.selectedIndustry);
+    setFilters(state.filters);
+    setSort(state.sort);
+    setListId(state.listId);
+    setSavedSearchRun(null);
+  }, []);
+
+  // Switching lists keeps the filters but drops a list-only sort
+  const handleListChange = (newListId: string) => {
+    setListId(newListId);
+    setSort(prev => (prev.sort === 'position' ? {} : prev));
+    setSavedSearchRun(null);
+  };
+
+  const refreshCompanies = () => {
+    fetchCompanies(null, true);
+  };
+
+  // Saved searches cover all companies, so loading one leaves the list
+  const handleLoadSavedSearch = (run: SavedSearchRun) => {
+    handleRestoreFilters({ ...parseSearchCriteria(run.savedSearch.criteria), listId: '' });
+    setSavedSearchRun(run);
   };
 
   return (
     <div className="app">
-      <Router>
-        <Routes>
-                    <Route
-            path="/"
-            element={
-              <HomePage
-                filteredCompanies={filteredCompanies}
-                industries={industries}
-                loading={loading}
-                loadingMore={loadingMore}
-                hasMore={hasMore}
-                totalCompanies={totalCompanies}
-                searchQuery={searchQuery}
-                selectedIndustry={selectedIndustry}
-                handleSearch={handleSearch}
-                handleIndustryChange={handleIndustryChange}
-                handleClearFilters={handleClearFilters}
+      <AuthProvider>
+        <SavedCompaniesProvider>
+          <Router>
+            <Routes>
+                        <Route
+                path="/"
+                element={
+                  <HomePage
+                    filteredCompanies={filteredCompanies}
+                    industries={industries}
+                    facets={facets}
+                    loading={loading}
+                    loadingMore={loadingMore}
+                    hasMore={hasMore}
+                    totalCompanies={totalCompanies}
+                    searchQuery={searchQuery}
+                    selectedIndustry={selectedIndustry}
+                    filters={filters}
+                    sort={sort}
+                    listId={listId}
+                    handleSearch={handleSearch}
+                    handleSubmitSearch={handleSubmitSearch}
+                    handleIndustryChange={handleIndustryChange}
+                    handleFiltersChange={handleFiltersChange}
+                    handleSortChange={handleSortChange}
+                    handleClearFilters={handleClearFilters}
+                    handleRestoreFilters={handleRestoreFilters}
+                    handleListChange={handleListChange}
+                    refreshCompanies={refreshCompanies}
+                    savedSearchRun={savedSearchRun}
+                    handleLoadSavedSearch={handleLoadSavedSearch}
+                    dismissSavedSearchRun={() => setSavedSearchRun(null)}
+                    selection={selection}
+                    setSelection={setSelection}
+                  />
+                }
               />
-            }
-          />
-          <Route 
-            path="/company/:id" 
-            element={<DetailPageWrapper companies={companies} />} 
-          />
-        </Routes>
-      </Router>
+              <Route 
+                path="/company/:id" 
+                element={<DetailPageWrapper companies={companies} />} 
+              />
+              <Route path="/login" element={<LoginPage />} />
+              <Route path="/saved" element={<SavedCompaniesPage industries={industries} />} />
+              <Route path="/tasks" element={<TasksPage />} />
+              <Route path="/lists" element={<ListsPage />} />
+              <Route path="/lists/:listId" element={<ListsPage />} />
+            </Routes>
+          </Router>
+        </SavedCompaniesProvider>
+      </AuthProvider>
     </div>
   );
 }
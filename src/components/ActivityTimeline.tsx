@@ -0,0 +1,136 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Activity, CheckSquare, Eye, ExternalLink, Linkedin, NotebookPen, RefreshCw, Search } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Interaction, InteractionType } from '../lib/types';
+import { getCompanyActivity } from '../lib/api';
+
+interface ActivityTimelineProps {
+  companyId: string;
+}
+
+const ICONS: Record<InteractionType, typeof Activity> = {
+  view: Eye,
+  search: Search,
+  external_link: ExternalLink,
+  linkedin_lookup: Linkedin,
+  note: NotebookPen,
+  task: CheckSquare
+};
+
+const text = (value: unknown) => (typeof value === 'string' ? value : '');
+
+const describe = (interaction: Interaction) => {
+  const { data } = interaction;
+  switch (interaction.type) {
+    case 'view':
+      return 'viewed the company';
+    case 'search':
+      return text(data.query) ? `searched for "${text(data.query)}"` : 'searched';
+    case 'external_link':
+      return text(data.url) ? `opened ${text(data.url)}` : 'opened the website';
+    case 'linkedin_lookup':
+      return text(data.contactName) ? `looked up ${text(data.contactName)} on LinkedIn` : 'looked up a contact on LinkedIn';
+    case 'note':
+      return `${text(data.action) || 'added'} a note`;
+    case 'task':
+      return `${text(data.action) || 'created'} task${text(data.title) ? ` "${text(data.title)}"` : ''}`;
+    default:
+      return interaction.type;
+  }
+};
+
+const formatTimestamp = (value: string) => new Date(value).toLocaleString(undefined, {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+// Who has touched this company and when, newest first, across all users
+const ActivityTimeline = ({ companyId }: ActivityTimelineProps) => {
+  const [activity, setActivity] = useState<Interaction[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [loadingMore, setLoadingMore] = useState<boolean>(false);
+  const [error, setError] = useState<string>('');
+
+  const loadFirstPage = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const data = await getCompanyActivity(companyId);
+      setActivity(data.activity);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Error fetching activity:', err);
+      setError('Failed to load activity');
+    } finally {
+      setLoading(false);
+    }
+  }, [companyId]);
+
+  useEffect(() => {
+    loadFirstPage();
+  }, [loadFirstPage]);
+
+  const loadMore = async () => {
+    if (!nextCursor) return;
+    setLoadingMore(true);
+    try {
+      const data = await getCompanyActivity(companyId, nextCursor);
+      setActivity(prev => [...prev, ...data.activity]);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error('Error fetching activity:', err);
+      setError('Failed to load activity');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  return (
+    <div className="activity-section">
+      <h3>
+        <Activity className="section-icon" />
+        Activity
+        <Button variant="ghost" size="sm" className="activity-refresh" onClick={loadFirstPage} disabled={loading} aria-label="Refresh activity">
+          <RefreshCw className="h-4 w-4" />
+        </Button>
+      </h3>
+
+      {error && <p className="notes-error">{error}</p>}
+
+      {loading ? (
+        <div className="contacts-loading">
+          <div className="spinner-small"></div>
+          <span>Loading activity...</span>
+        </div>
+      ) : activity.length === 0 ? (
+        <p className="notes-empty">No one has worked on this company yet.</p>
+      ) : (
+        <>
+          <ol className="activity-timeline">
+            {activity.map(interaction => {
+              const Icon = ICONS[interaction.type] || Activity;
+              return (
+                <li key={interaction.id} className={`activity-item ${interaction.type}`}>
+                  <span className="activity-icon"><Icon size={14} /></span>
+                  <div className="activity-content">
+                    <span className="activity-user" title={interaction.user.email}>{interaction.user.name}</span>{' '}
+                    {describe(interaction)}
+                    <div className="activity-time">{formatTimestamp(interaction.createdAt)}</div>
+                  </div>
+                </li>
+              );
+            })}
+          </ol>
+          {nextCursor && (
+            <Button variant="outline" size="sm" onClick={loadMore} disabled={loadingMore}>
+              {loadingMore ? 'Loading…' : 'Show older activity'}
+            </Button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ActivityTimeline;
@@ -0,0 +1,50 @@
+import { ReactNode, useEffect, useMemo, useState } from 'react';
+import { AuthContext, AuthContextValue } from '../hooks/use-auth';
+import { AuthUser } from '../lib/types';
+import * as api from '../lib/api';
+
+const AuthProvider = ({ children }: { children: ReactNode }) => {
+  const [user, setUser] = useState<AuthUser | null>(() => api.getAuthSession()?.user ?? null);
+  const [status, setStatus] = useState<AuthContextValue['status']>(() => (api.getAuthSession() ? 'loading' : 'anonymous'));
+
+  // Keep state in sync with the fetch layer, which signs out when a refresh fails
+  useEffect(() => api.onAuthChange(session => {
+    setUser(session?.user ?? null);
+    setStatus(session ? 'authenticated' : 'anonymous');
+  }), []);
+
+  // Confirm a stored session is still valid (refreshing it if needed)
+  useEffect(() => {
+    if (!api.getAuthSession()) return;
+
+    api.getCurrentUser()
+      .then(({ user: currentUser }) => {
+        setUser(currentUser);
+        setStatus('authenticated');
+      })
+      .catch(error => {
+        if (error instanceof api.HttpError && error.status === 401) {
+          api.setAuthSession(null);
+        } else {
+          // Offline or server error: trust the stored session for now
+          setStatus('authenticated');
+        }
+      });
+  }, []);
+
+  const value = useMemo<AuthContextValue>(() => ({
+    user,
+    status,
+    login: async (email, password) => {
+      await api.login(email, password);
+    },
+    register: async (details) => {
+      await api.register(details);
+    },
+    logout: api.logout
+  }), [user, status]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
@@ -0,0 +1,271 @@
+import { FormEvent, useState } from 'react';
+import { ListChecks, ListMinus, ListPlus, Star, Tag, UserPlus, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { useSavedCompanies } from '../hooks/use-saved-companies';
+import { AuthUser, BulkActionResult, CompanyList, CompanySelection } from '../lib/types';
+import { HttpError, addToList, assignCompanyOwner, createCompanyTasks, createList, getLists, getUsers, removeFromList, saveCompanies, tagCompanies } from '../lib/api';
+import { formatUserName } from '../lib/users';
+import ExportMenu from './ExportMenu';
+import TaskForm from './TaskForm';
+
+interface BulkActionBarProps {
+  selectedCount: number;
+  totalCompanies: number;
+  allMatching: boolean;
+  selection: CompanySelection;
+  // The list being browsed; editors get a remove action
+  currentList?: CompanyList | null;
+  onSelectAllMatching: () => void;
+  onClear: () => void;
+  onRemovedFromList?: () => void;
+}
+
+const plural = (count: number, noun: string) => `${count.toLocaleString()} ${noun}${count === 1 ? '' : 's'}`;
+
+// Actions for the ticked companies, shown while anything is selected
+const BulkActionBar = ({ selectedCount, totalCompanies, allMatching, selection, currentList, onSelectAllMatching, onClear, onRemovedFromList }: BulkActionBarProps) => {
+  const { reload: reloadSaved } = useSavedCompanies();
+  const [busy, setBusy] = useState<boolean>(false);
+  const [message, setMessage] = useState<string>('');
+  const [openAction, setOpenAction] = useState<'tag' | 'owner' | 'tasks' | 'list' | null>(null);
+  const [tagInput, setTagInput] = useState<string>('');
+  const [users, setUsers] = useState<AuthUser[] | null>(null);
+  const [ownerId, setOwnerId] = useState<string>('');
+  const [lists, setLists] = useState<CompanyList[] | null>(null);
+  const [newListName, setNewListName] = useState<string>('');
+
+  const run = async (action: () => Promise<BulkActionResult>, describe: (affected: number) => string) => {
+    setBusy(true);
+    setMessage('');
+    try {
+      const { affected } = await action();
+      setMessage(describe(affected));
+      setOpenAction(null);
+      return true;
+    } catch (error) {
+      console.error('Bulk action failed:', error);
+      // Rejected selections (e.g. too many companies) say why
+      const reason = error instanceof HttpError ? (error.data as { message?: string } | null)?.message : undefined;
+      setMessage(reason || 'That didn’t work, please try again');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = () => run(async () => {
+    const result = await saveCompanies(selection);
+    reloadSaved();
+    return result;
+  }, affected => `Saved ${plural(affected, 'company')}`);
+
+  const handleTag = (event: FormEvent) => {
+    event.preventDefault();
+    const tags = tagInput.split(',').map(tag => tag.trim()).filter(Boolean);
+    if (tags.length === 0) return;
+    run(() => tagCompanies(selection, tags), affected => `Added ${plural(affected, 'tag')}`)
+      .then(done => {
+        if (done) setTagInput('');
+      });
+  };
+
+  const openOwner = (open: boolean) => {
+    setOpenAction(open ? 'owner' : null);
+    if (open && !users) {
+      getUsers()
+        .then(data => setUsers(data.users))
+        .catch(error => console.error('Error fetching users:', error));
+    }
+  };
+
+  const handleAssign = (event: FormEvent) => {
+    event.preventDefault();
+    run(
+      () => assignCompanyOwner(selection, ownerId || null),
+      affected => (ownerId ? `Assigned ${plural(affected, 'company')}` : `Unassigned ${plural(affected, 'company')}`)
+    );
+  };
+
+  // Lists the user can add to, other than the one being browsed
+  const openLists = (open: boolean) => {
+    setOpenAction(open ? 'list' : null);
+    if (open) {
+      getLists()
+        .then(data => setLists(data.lists.filter(list => list.permission !== 'view' && list.id !== currentList?.id)))
+        .catch(error => console.error('Error fetching lists:', error));
+    }
+  };
+
+  const handleAddToList = (list: Pick<CompanyList, 'id' | 'name'>) =>
+    run(() => addToList(list.id, selection), affected => `Added ${plural(affected, 'company')} to ${list.name}`);
+
+  const handleCreateList = async (event: FormEvent) => {
+    event.preventDefault();
+    const name = newListName.trim();
+    if (!name) return;
+    setBusy(true);
+    try {
+      const list = await createList(name);
+      setNewListName('');
+      await handleAddToList(list);
+    } catch (error) {
+      console.error('Error creating list:', error);
+      setMessage('That didn’t work, please try again');
+      setBusy(false);
+    }
+  };
+
+  const handleRemoveFromList = async () => {
+    if (!currentList) return;
+    if (!window.confirm(`Remove ${plural(selectedCount, 'company')} from ${currentList.name}?`)) return;
+    const done = await run(
+      () => removeFromList(currentList.id, selection),
+      affected => `Removed ${plural(affected, 'company')} from ${currentList.name}`
+    );
+    if (done) {
+      onClear();
+      onRemovedFromList?.();
+    }
+  };
+
+  return (
+    <div className="bulk-action-bar" role="region" aria-label="Selected companies">
+      <div className="bulk-action-summary">
+        <strong>{plural(selectedCount, 'company')} selected</strong>
+        {!allMatching && totalCompanies > selectedCount && (
+          <button type="button" className="bulk-select-all" onClick={onSelectAllMatching}>
+            Select all {totalCompanies.toLocaleString()} matching
+          </button>
+        )}
+        {message && <span className="bulk-action-message" role="status">{message}</span>}
+      </div>
+
+      <div className="bulk-action-buttons">
+        <Button variant="outline" size="sm" onClick={handleSave} disabled={busy}>
+          <Star className="h-4 w-4 mr-1" />
+          Save
+        </Button>
+
+        <ExportMenu totalCompanies={selectedCount} selection={selection} />
+
+        <Popover open={openAction === 'tag'} onOpenChange={(open) => setOpenAction(open ? 'tag' : null)}>
+          <PopoverTrigger asChild>
+            <Button variant="outline" size="sm" disabled={busy}>
+              <Tag className="h-4 w-4 mr-1" />
+              Tag
+            </Button>
+          </PopoverTrigger>
+          <PopoverContent align="end" side="top" className="w-72">
+            <form className="bulk-action-form" onSubmit={handleTag}>
+              <Input
+                value={tagInput}
+                onChange={(e) => setTagInput(e.target.value)}
+                placeholder="Tags, separated by commas"
+                aria-label="Tags"
+                autoFocus
+              />
+              <Button type="submit" size="sm" disabled={busy || !tagInput.trim()}>
+                Add tags
+              </Button>
+            </form>
+          </PopoverContent>
+        </Popover>
+
+        <Popover open={openAction === 'owner'} onOpenChange={openOwner}>
+          <PopoverTrigger asChild>
+            <Button variant="outline" size="sm" disabled={busy}>
+              <UserPlus className="h-4 w-4 mr-1" />
+              Assign owner
+            </Button>
+          </PopoverTrigger>
+          <PopoverContent align="end" side="top" className="w-72">
+            <form className="bulk-action-form" onSubmit={handleAssign}>
+              <select
+                className="sort-select"
+                value={ownerId}
+                onChange={(e) => setOwnerId(e.target.value)}
+                aria-label="Owner"
+                disabled={!users}
+              >
+                <option value="">{users ? 'No owner (unassign)' : 'Loading users…'}</option>
+                {users?.map(user => (
+                  <option key={user.id} value={user.id}>{formatUserName(user)}</option>
+                ))}
+              </select>
+              <Button type="submit" size="sm" disabled={busy || !users}>
+                {ownerId ? 'Assign' : 'Unassign'}
+              </Button>
+            </form>
+          </PopoverContent>
+        </Popover>
+
+        <Popover open={openAction === 'tasks'} onOpenChange={(open) => setOpenAction(open ? 'tasks' : null)}>
+          <PopoverTrigger asChild>
+            <Button variant="outline" size="sm" disabled={busy}>
+              <ListChecks className="h-4 w-4 mr-1" />
+              Create tasks
+            </Button>
+          </PopoverTrigger>
+          <PopoverContent align="end" side="top" className="w-80">
+            <TaskForm
+              submitLabel={`Add ${plural(selectedCount, 'task')}`}
+              onSubmit={async ({ title, description, dueDate, priority }) => {
+                const { affected } = await createCompanyTasks(selection, { title, description, dueDate, priority });
+                setMessage(`Created ${plural(affected, 'task')}`);
+                setOpenAction(null);
+              }}
+              onCancel={() => setOpenAction(null)}
+            />
+          </PopoverContent>
+        </Popover>
+
+        <Popover open={openAction === 'list'} onOpenChange={openLists}>
+          <PopoverTrigger asChild>
+            <Button variant="outline" size="sm" disabled={busy}>
+              <ListPlus className="h-4 w-4 mr-1" />
+              Add to list
+            </Button>
+          </PopoverTrigger>
+          <PopoverContent align="end" side="top" className="w-72">
+            <div className="bulk-list-options">
+              {!lists && <span className="bulk-list-empty">Loading lists…</span>}
+              {lists?.length === 0 && <span className="bulk-list-empty">No other lists you can edit</span>}
+              {lists?.map(list => (
+                <button key={list.id} type="button" className="bulk-list-option" onClick={() => handleAddToList(list)} disabled={busy}>
+                  {list.name}
+                  <span>{plural(list.companyCount, 'company')}</span>
+                </button>
+              ))}
+            </div>
+            <form className="bulk-action-form" onSubmit={handleCreateList}>
+              <Input
+                value={newListName}
+                onChange={(e) => setNewListName(e.target.value)}
+                placeholder="New list name"
+                aria-label="New list name"
+              />
+              <Button type="submit" size="sm" disabled={busy || !newListName.trim()}>
+                Create and add
+              </Button>
+            </form>
+          </PopoverContent>
+        </Popover>
+
+        {currentList && currentList.permission !== 'view' && (
+          <Button variant="outline" size="sm" onClick={handleRemoveFromList} disabled={busy}>
+            <ListMinus className="h-4 w-4 mr-1" />
+            Remove from list
+          </Button>
+        )}
+
+        <button type="button" className="bulk-action-clear" onClick={onClear} aria-label="Clear selection">
+          <X size={16} />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,48 @@
+import { Columns3 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { DEFAULT_TABLE_COLUMNS, TABLE_COLUMNS, TableColumnKey } from '../lib/table-columns';
+
+interface ColumnChooserProps {
+  columns: TableColumnKey[];
+  onChange: (columns: TableColumnKey[]) => void;
+}
+
+const ColumnChooser = ({ columns, onChange }: ColumnChooserProps) => {
+  // Keep display order regardless of the order columns were ticked
+  const toggleColumn = (key: TableColumnKey, checked: boolean) => {
+    onChange(TABLE_COLUMNS.map(column => column.key).filter(column => (column === key ? checked : columns.includes(column))));
+  };
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button variant="outline" size="sm" className="flex items-center gap-2">
+          <Columns3 className="h-4 w-4" />
+          Columns
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-56 space-y-2">
+        {TABLE_COLUMNS.map(column => (
+          <div key={column.key} className="flex items-center gap-2">
+            <Checkbox
+              id={`table-column-${column.key}`}
+              checked={columns.includes(column.key)}
+              onCheckedChange={(checked) => toggleColumn(column.key, checked === true)}
+            />
+            <Label htmlFor={`table-column-${column.key}`} className="text-sm font-normal cursor-pointer">
+              {column.label}
+            </Label>
+          </div>
+        ))}
+        <Button variant="ghost" size="sm" className="w-full" onClick={() => onChange(DEFAULT_TABLE_COLUMNS)}>
+          Reset to default
+        </Button>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default ColumnChooser;
@@ -0,0 +1,71 @@
+import { useEffect, useState } from 'react';
+import { Tag, UserRound, X } from 'lucide-react';
+import { CompanyAssignment } from '../lib/types';
+import { getCompanyAssignment, removeCompanyTag } from '../lib/api';
+import { formatUserName } from '../lib/users';
+
+interface CompanyAssignmentInfoProps {
+  companyId: string;
+}
+
+// Team-wide owner and tags, set from the bulk actions on the company list
+const CompanyAssignmentInfo = ({ companyId }: CompanyAssignmentInfoProps) => {
+  const [assignment, setAssignment] = useState<CompanyAssignment | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setAssignment(null);
+
+    getCompanyAssignment(companyId)
+      .then(data => {
+        if (!cancelled) setAssignment(data);
+      })
+      .catch(error => console.error('Error fetching company assignment:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [companyId]);
+
+  const handleRemoveTag = async (tag: string) => {
+    setAssignment(prev => prev && { ...prev, tags: prev.tags.filter(t => t !== tag) });
+    try {
+      await removeCompanyTag(companyId, tag);
+    } catch (error) {
+      console.error('Error removing tag:', error);
+      setAssignment(prev => prev && { ...prev, tags: [...prev.tags, tag].sort() });
+    }
+  };
+
+  if (!assignment || (!assignment.owner && assignment.tags.length === 0)) {
+    return null;
+  }
+
+  const { owner, tags } = assignment;
+
+  return (
+    <div className="company-assignment">
+      {owner && (
+        <span className="company-owner">
+          <UserRound size={14} />
+          Owner: {formatUserName(owner)}
+        </span>
+      )}
+      {tags.length > 0 && (
+        <span className="company-tags">
+          <Tag size={14} />
+          {tags.map(tag => (
+            <span key={tag} className="company-tag">
+              {tag}
+              <button type="button" onClick={() => handleRemoveTag(tag)} aria-label={`Remove tag ${tag}`}>
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default CompanyAssignmentInfo;
@@ -1,11 +1,18 @@
 import { Company } from '../lib/types';
 import { useState } from 'react';
+import { Checkbox } from '@/components/ui/checkbox';
+import HighlightedSnippet from './HighlightedSnippet';
+import SaveCompanyButton from './SaveCompanyButton';
 
 interface CompanyCardProps {
   company: Company;
+  isNew?: boolean;
+  selected?: boolean;
+  // Shows a selection checkbox when set
+  onSelectedChange?: (selected: boolean) => void;
 }
 
-const CompanyCard = ({ company }: CompanyCardProps) => {
+const CompanyCard = ({ company, isNew = false, selected = false, onSelectedChange }: CompanyCardProps) => {
   const [logoError, setLogoError] = useState(false);
   const [logoLoading, setLogoLoading] = useState(true);
   
@@ -21,7 +28,21 @@ const CompanyCard = ({ company }: CompanyCardProps) => {
   };
 
   return (
-    <div className="company-card">
+    <div className={`company-card ${selected ? 'selected' : ''}`}>
+      {onSelectedChange && (
+        <Checkbox
+          className="company-card-select"
+          checked={selected}
+          aria-label={`Select ${company.name}`}
+          onClick={(event) => {
+            // Cards are wrapped in a link to the detail page, and a prevented
+            // click also skips the checkbox's own toggle, so toggle here
+            event.preventDefault();
+            event.stopPropagation();
+            onSelectedChange(!selected);
+          }}
+        />
+      )}
       <div className="company-logo-container-top-right">
         {company.favicon_url && company.favicon_url.trim() !== '' && !logoError ? (
           <img 
@@ -38,10 +59,12 @@ const CompanyCard = ({ company }: CompanyCardProps) => {
           </div>
         )}
       </div>
+      <SaveCompanyButton companyId={company.id} companyName={company.name} />
       <div className="company-header">
         <div className="company-title-section">
           <h2 className="company-name">{company.name}</h2>
           {company.isHeadquarters && <span className="hq-badge">HQ</span>}
+          {isNew && <span className="new-badge">New</span>}
         </div>
       </div>
       <div className="company-industry">{company.industry}</div>
@@ -58,8 +81,16 @@ const CompanyCard = ({ company }: CompanyCardProps) => {
           </div>
         )}
       </div>
+      {company.saved?.notes && (
+        <div className="saved-note">{company.saved.notes}</div>
+      )}
+      {company.listItem?.notes && (
+        <div className="saved-note list-note">{company.listItem.notes}</div>
+      )}
       <div className="company-description">
-        {company.description && company.description.length > 300 
+        {company.searchSnippet && company.searchSnippet.includes('<mark>') ? (
+          <HighlightedSnippet snippet={company.searchSnippet} />
+        ) : company.description && company.description.length > 300 
           ? `${company.description.substring(0, 300)}...` 
           : company.description}
       </div>
@@ -0,0 +1,91 @@
+import { useLayoutEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Company } from '../lib/types';
+import { SelectionControls } from '../lib/selection';
+import { useWindowRows } from '../hooks/use-window-rows';
+import CompanyCard from './CompanyCard';
+
+interface CompanyCardGridProps {
+  companies: Company[];
+  newCompanyIds?: Set<string>;
+  selection?: SelectionControls;
+}
+
+// Mirrors .company-grid: minmax(350px, 1fr) columns with a 2rem gap, one
+// column on small screens
+const MIN_CARD_WIDTH = 350;
+const GRID_GAP = 32;
+const MOBILE_QUERY = '(max-width: 768px)';
+const ESTIMATED_ROW_HEIGHT = 340 + GRID_GAP;
+
+// Reused on remount so the first render already has the right rows and the
+// saved row measurements (and with them the scroll position) apply
+let lastColumnCount = 1;
+
+const countColumns = (width: number) => {
+  if (window.matchMedia(MOBILE_QUERY).matches) return 1;
+  return Math.max(1, Math.floor((width + GRID_GAP) / (MIN_CARD_WIDTH + GRID_GAP)));
+};
+
+// Card grid rendered a row at a time, with only the rows near the viewport mounted
+const CompanyCardGrid = ({ companies, newCompanyIds, selection }: CompanyCardGridProps) => {
+  const [columnCount, setColumnCount] = useState<number>(lastColumnCount);
+  const rowCount = Math.ceil(companies.length / columnCount);
+  const { listRef, virtualizer } = useWindowRows<HTMLDivElement>({
+    count: rowCount,
+    estimateSize: ESTIMATED_ROW_HEIGHT,
+    cacheKey: `cards:${columnCount}:${companies[0]?.id ?? ''}`
+  });
+
+  useLayoutEffect(() => {
+    const list = listRef.current;
+    if (!list) return;
+    const update = () => {
+      lastColumnCount = countColumns(list.clientWidth);
+      setColumnCount(lastColumnCount);
+    };
+    update();
+    const observer = new ResizeObserver(update);
+    observer.observe(list);
+    return () => observer.disconnect();
+  }, [listRef]);
+
+  const scrollMargin = virtualizer.options.scrollMargin;
+
+  return (
+    <div ref={listRef} className="company-grid-virtual" style={{ height: virtualizer.getTotalSize() }}>
+      {virtualizer.getVirtualItems().map(row => {
+        const rowCompanies = companies.slice(row.index * columnCount, (row.index + 1) * columnCount);
+        return (
+          <div
+            key={row.key}
+            data-index={row.index}
+            ref={virtualizer.measureElement}
+            className="company-grid company-grid-row"
+            style={{
+              gridTemplateColumns: `repeat(${columnCount}, minmax(0, 1fr))`,
+              transform: `translateY(${row.start - scrollMargin}px)`
+            }}
+          >
+            {rowCompanies.map(company => (
+              <Link
+                key={company.id}
+                to={`/company/${company.id}`}
+                style={{ textDecoration: 'none', color: 'inherit' }}
+              >
+                <CompanyCard
+                  company={company}
+                  isNew={newCompanyIds?.has(company.id)}
+                  selected={selection?.isSelected(company.id)}
+                  onSelectedChange={selection && ((selected) => selection.setSelected([company.id], selected))}
+                />
+              </Link>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default CompanyCardGrid;
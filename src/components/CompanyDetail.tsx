@@ -1,9 +1,19 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Company, Contact } from '../lib/types';
-import { Link } from 'react-router-dom';
-import { ArrowLeft, User, Mail, Phone, ExternalLink, Linkedin } from 'lucide-react';
+import { getCompanyContacts, trackInteraction } from '../lib/api';
+import { useAuth } from '../hooks/use-auth';
+import { useSavedCompanies } from '../hooks/use-saved-companies';
+import { Link, useLocation } from 'react-router-dom';
+import { ArrowLeft, User, Mail, Phone, ExternalLink, Linkedin, CalendarPlus } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import CompanySitemap from './CompanySitemap';
+import CompanyNotes from './CompanyNotes';
+import CompanyAssignmentInfo from './CompanyAssignmentInfo';
+import TaskForm from './TaskForm';
+import ActivityTimeline from './ActivityTimeline';
+import SaveCompanyButton from './SaveCompanyButton';
+import SavedCompanyNote from './SavedCompanyNote';
+import { getHomeHref } from '../lib/home-link';
 import './CompanyDetail.css';
 
 interface CompanyDetailProps {
@@ -11,12 +21,17 @@ interface CompanyDetailProps {
 }
 
 const CompanyDetail = ({ company }: CompanyDetailProps) => {
+  const { user, status: authStatus } = useAuth();
+  const { isSaved } = useSavedCompanies();
+  const location = useLocation();
   const [contacts, setContacts] = useState<Contact[]>([]);
   const [contactsLoading, setContactsLoading] = useState<boolean>(true);
   const [contactsError, setContactsError] = useState<string>('');
   const [totalContacts, setTotalContacts] = useState<number>(0);
   const [selectedContact, setSelectedContact] = useState<Contact | null>(null);
   const [isModalOpen, setIsModalOpen] = useState<boolean>(false);
+  const [showFollowUpForm, setShowFollowUpForm] = useState<boolean>(false);
+  const [followUpAdded, setFollowUpAdded] = useState<boolean>(false);
   const [logoError, setLogoError] = useState(false);
   const [logoLoading, setLogoLoading] = useState(true);
 
@@ -30,17 +45,20 @@ const CompanyDetail = ({ company }: CompanyDetailProps) => {
   };
 
   useEffect(() => {
+    // Contacts are only served to signed-in users
+    if (authStatus !== 'authenticated') {
+      setContacts([]);
+      setTotalContacts(0);
+      setContactsLoading(authStatus === 'loading');
+      return;
+    }
+
     const fetchContacts = async () => {
       try {
         setContactsLoading(true);
         setContactsError('');
         
-        const response = await fetch(`/api/companies/${encodeURIComponent(company.name)}/contacts`);
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const data = await response.json();
+        const data = await getCompanyContacts(company.id);
         setContacts(data.contacts || []);
         setTotalContacts(data.totalContacts || 0);
         
@@ -55,7 +73,16 @@ const CompanyDetail = ({ company }: CompanyDetailProps) => {
     };
 
     fetchContacts();
-  }, [company.name]);
+  }, [company.id, authStatus, user?.id]);
+
+  // Record one view per company page visit (the ref also absorbs StrictMode's
+  // double effect run in development)
+  const trackedViewRef = useRef<string | null>(null);
+  useEffect(() => {
+    if (!user || trackedViewRef.current === company.id) return;
+    trackedViewRef.current = company.id;
+    trackInteraction('view', company.id);
+  }, [company.id, user]);
 
   const openContactModal = (contact: Contact) => {
     setSelectedContact(contact);
@@ -65,6 +92,8 @@ const CompanyDetail = ({ company }: CompanyDetailProps) => {
   const closeContactModal = () => {
     setSelectedContact(null);
     setIsModalOpen(false);
+    setShowFollowUpForm(false);
+    setFollowUpAdded(false);
   };
 
   const getLinkedInSearchUrl = (contact: Contact) => {
@@ -76,7 +105,7 @@ const CompanyDetail = ({ company }: CompanyDetailProps) => {
       <header className="header">
         <div className="header-content">
           <Button asChild variant="outline" size="icon" className="back-button">
-            <Link to="/" aria-label="Back to Catalog">
+            <Link to={getHomeHref()} aria-label="Back to Catalog">
               <ArrowLeft className="h-4 w-4" />
             </Link>
           </Button>
@@ -99,12 +128,16 @@ const CompanyDetail = ({ company }: CompanyDetailProps) => {
                 )}
               </div>
               <h1>{company.name}</h1>
+              <SaveCompanyButton companyId={company.id} companyName={company.name} variant="button" />
             </div>
           </div>
         </div>
       </header>
 
       <div className="detail-container">
+        {user && <CompanyAssignmentInfo companyId={company.id} />}
+
+        {user && isSaved(company.id) && <SavedCompanyNote companyId={company.id} />}
 
         <div className="info-sections">
           <div className="info-section">
@@ -164,7 +197,12 @@ const CompanyDetail = ({ company }: CompanyDetailProps) => {
                       size="sm"
                       className="website-button"
                     >
-                      <a href={company.url} target="_blank" rel="noopener noreferrer">
+                      <a
+                        href={company.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        onClick={() => trackInteraction('external_link', company.id, { url: company.url })}
+                      >
                         <ExternalLink className="h-4 w-4" />
                       </a>
                     </Button>
@@ -189,7 +227,13 @@ const CompanyDetail = ({ company }: CompanyDetailProps) => {
             {totalContacts > 0 && <span className="contact-count">({totalContacts})</span>}
           </h3>
           
-          {contactsLoading ? (
+          {authStatus === 'anonymous' ? (
+            <div className="no-contacts">
+              <p>
+                <Link to={`/login?redirect=${encodeURIComponent(location.pathname)}`}>Sign in</Link> to view contacts for this company.
+              </p>
+            </div>
+          ) : contactsLoading ? (
             <div className="contacts-loading">
               <div className="spinner-small"></div>
               <span>Loading contacts...</span>
@@ -227,6 +271,10 @@ const CompanyDetail = ({ company }: CompanyDetailProps) => {
           )}
         </div>
 
+        {user && <CompanyNotes companyId={company.id} />}
+
+        {user && <ActivityTimeline companyId={company.id} />}
+
         <div className="additional-section">
           <h3>Additional Information</h3>
           <div className="info-grid wide-grid">
@@ -243,6 +291,7 @@ const CompanyDetail = ({ company }: CompanyDetailProps) => {
 
         <div className="sitemap-section">
           <CompanySitemap 
+            companyId={company.id}
             companyName={company.name} 
             companyUrl={company.url} 
           />
@@ -294,12 +343,49 @@ const CompanyDetail = ({ company }: CompanyDetailProps) => {
                       href={getLinkedInSearchUrl(selectedContact)} 
                       target="_blank" 
                       rel="noopener noreferrer"
+                      onClick={() => trackInteraction('linkedin_lookup', company.id, {
+                        contactId: selectedContact.id,
+                        contactName: `${selectedContact.firstName} ${selectedContact.lastName}`.trim()
+                      })}
                     >
                       <Linkedin className="h-4 w-4 mr-2" />
                       Find on LinkedIn
                     </a>
                   </Button>
+                  {user && !showFollowUpForm && (
+                    <Button
+                      variant="outline"
+                      onClick={() => {
+                        setShowFollowUpForm(true);
+                        setFollowUpAdded(false);
+                      }}
+                    >
+                      <CalendarPlus className="h-4 w-4 mr-2" />
+                      Add follow-up
+                    </Button>
+                  )}
                 </div>
+
+                {followUpAdded && (
+                  <p className="follow-up-confirmation">
+                    Follow-up added to your <Link to="/tasks">tasks</Link>.
+                  </p>
+                )}
+
+                {showFollowUpForm && (
+                  <div className="follow-up-form">
+                    <TaskForm
+                      companyId={company.id}
+                      contactId={selectedContact.id}
+                      defaultTitle={`Follow up with ${selectedContact.firstName} ${selectedContact.lastName}`.trim()}
+                      onCreated={() => {
+                        setShowFollowUpForm(false);
+                        setFollowUpAdded(true);
+                      }}
+                      onCancel={() => setShowFollowUpForm(false)}
+                    />
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -1,6 +1,10 @@
-import { Company } from '../lib/types';
-import { Link } from 'react-router-dom';
-import CompanyCard from './CompanyCard';
+import { Company, CompanySort } from '../lib/types';
+import { SelectionControls } from '../lib/selection';
+import { LayoutGrid, List } from 'lucide-react';
+import CompanyCardGrid from './CompanyCardGrid';
+import CompanyTable from './CompanyTable';
+import ColumnChooser from './ColumnChooser';
+import { useCompanyView } from '../hooks/use-company-view';
 
 interface CompanyGridProps {
   companies: Company[];
@@ -8,33 +12,80 @@ interface CompanyGridProps {
   loadingMore?: boolean;
   hasMore?: boolean;
   totalCompanies?: number;
+  // Shows a "Load more" button instead of relying on the scroll sentinel
+  onLoadMore?: () => void;
+  emptyMessage?: string;
+  // Companies to badge as new, e.g. since a saved search last ran
+  newCompanyIds?: Set<string>;
+  // Current sort, for the table view's sortable headers
+  sort?: CompanySort;
+  onSortChange?: (sort: CompanySort) => void;
+  // Enables checkboxes on cards and table rows
+  selection?: SelectionControls;
 }
 
-const CompanyGrid = ({ companies, loading, loadingMore = false, hasMore = false, totalCompanies = 0 }: CompanyGridProps) => {
+const CompanyGrid = ({ companies, loading, loadingMore = false, hasMore = false, totalCompanies = 0, onLoadMore, emptyMessage = 'No companies found matching your criteria.', newCompanyIds, sort = {}, onSortChange, selection }: CompanyGridProps) => {
+  const { view, columns, updateLayout } = useCompanyView();
+
   if (loading) {
     return <div className="loading-container">Loading companies...</div>;
   }
 
   if (companies.length === 0) {
-    return <div className="no-results">No companies found matching your criteria.</div>;
+    return <div className="no-results">{emptyMessage}</div>;
   }
 
   return (
     <div className="company-grid-container">
-      <div className="company-grid">
-        {companies.map((company, index) => (
-          <Link 
-            key={`${company.name}-${index}`}
-            to={`/company/${encodeURIComponent(company.name)}`}
-            style={{ textDecoration: 'none', color: 'inherit' }}
+      <div className="company-view-toolbar">
+        {view === 'table' && (
+          <ColumnChooser columns={columns} onChange={(newColumns) => updateLayout({ columns: newColumns })} />
+        )}
+        <div className="company-view-toggle" role="group" aria-label="View">
+          <button
+            type="button"
+            className={view === 'grid' ? 'active' : ''}
+            onClick={() => updateLayout({ view: 'grid' })}
+            aria-pressed={view === 'grid'}
+            aria-label="Card view"
+          >
+            <LayoutGrid size={16} />
+          </button>
+          <button
+            type="button"
+            className={view === 'table' ? 'active' : ''}
+            onClick={() => updateLayout({ view: 'table' })}
+            aria-pressed={view === 'table'}
+            aria-label="Table view"
           >
-            <CompanyCard company={company} />
-          </Link>
-        ))}
+            <List size={16} />
+          </button>
+        </div>
       </div>
 
+      {view === 'table' ? (
+        <CompanyTable
+          companies={companies}
+          columns={columns}
+          sort={sort}
+          onSortChange={onSortChange}
+          newCompanyIds={newCompanyIds}
+          selection={selection}
+        />
+      ) : (
+        <CompanyCardGrid companies={companies} newCompanyIds={newCompanyIds} selection={selection} />
+      )}
+
+      {hasMore && onLoadMore && (
+        <div className="scroll-sentinel">
+          <button type="button" className="load-more-button" onClick={onLoadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading…' : 'Load more companies'}
+          </button>
+        </div>
+      )}
+
       {/* Scroll Sentinel for Infinite Loading */}
-      {hasMore && (
+      {hasMore && !onLoadMore && (
         <div id="scroll-sentinel" className="scroll-sentinel">
           {loadingMore ? (
             <div className="loading-more">
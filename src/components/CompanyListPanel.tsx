@@ -0,0 +1,160 @@
+import { FormEvent, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { LayoutGrid, LogOut, Pencil, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Textarea } from '@/components/ui/textarea';
+import ListItems from './ListItems';
+import ListSharing from './ListSharing';
+import { useAuth } from '../hooks/use-auth';
+import { useCompanyList } from '../hooks/use-company-list';
+import { deleteList, unshareList, updateList } from '../lib/api';
+import { formatUserName } from '../lib/users';
+
+interface CompanyListPanelProps {
+  listId: string;
+  // Called after the name or contents change, so the list overview can refresh
+  onChange: () => void;
+  // Called once the list is deleted, or left by a sharee
+  onRemoved: () => void;
+}
+
+const CompanyListPanel = ({ listId, onChange, onRemoved }: CompanyListPanelProps) => {
+  const { user } = useAuth();
+  const { list, status, reload } = useCompanyList(listId);
+  const [editing, setEditing] = useState<boolean>(false);
+  const [name, setName] = useState<string>('');
+  const [description, setDescription] = useState<string>('');
+  const [saving, setSaving] = useState<boolean>(false);
+  const [error, setError] = useState<string>('');
+
+  if (status === 'not-found') {
+    return <div className="no-results">This list doesn’t exist or hasn’t been shared with you.</div>;
+  }
+  if (status === 'error') {
+    return <div className="no-results">The list couldn’t be loaded.</div>;
+  }
+  if (!list) {
+    return <div className="loading-container">Loading list...</div>;
+  }
+
+  const canEdit = list.permission !== 'view';
+
+  const startEditing = () => {
+    setName(list.name);
+    setDescription(list.description || '');
+    setEditing(true);
+  };
+
+  const handleSave = async (event: FormEvent) => {
+    event.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      await updateList(list.id, { name, description });
+      setEditing(false);
+      reload();
+      onChange();
+    } catch (err) {
+      console.error('Error updating list:', err);
+      setError('Failed to save the list');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${list.name}"? The companies themselves are kept.`)) return;
+    try {
+      await deleteList(list.id);
+      onRemoved();
+    } catch (err) {
+      console.error('Error deleting list:', err);
+      setError('Failed to delete the list');
+    }
+  };
+
+  const handleLeave = async () => {
+    if (!user || !window.confirm(`Leave "${list.name}"? You'll need to be invited again to see it.`)) return;
+    try {
+      await unshareList(list.id, user.id);
+      onRemoved();
+    } catch (err) {
+      console.error('Error leaving list:', err);
+      setError('Failed to leave the list');
+    }
+  };
+
+  const handleItemsChange = () => {
+    reload();
+    onChange();
+  };
+
+  return (
+    <div className="list-panel">
+      {editing ? (
+        <form className="list-panel-form" onSubmit={handleSave}>
+          <Input value={name} onChange={(e) => setName(e.target.value)} aria-label="List name" maxLength={255} autoFocus />
+          <Textarea
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            placeholder="What this list is for"
+            aria-label="Description"
+            maxLength={2000}
+          />
+          <div className="task-form-actions">
+            <Button type="button" variant="ghost" size="sm" onClick={() => setEditing(false)}>Cancel</Button>
+            <Button type="submit" size="sm" disabled={saving || !name.trim()}>Save</Button>
+          </div>
+        </form>
+      ) : (
+        <div className="list-panel-header">
+          <div>
+            <h2>{list.name}</h2>
+            {list.description && <p className="list-panel-description">{list.description}</p>}
+            <p className="list-panel-meta">
+              {list.permission === 'owner' ? 'Your list' : `Owned by ${formatUserName(list.owner)}`}
+              {' · '}
+              {list.companyCount.toLocaleString()} {list.companyCount === 1 ? 'company' : 'companies'}
+              {' · '}
+              Updated {new Date(list.updatedAt).toLocaleDateString(undefined, { dateStyle: 'medium' })}
+            </p>
+          </div>
+          <div className="list-panel-actions">
+            <Button asChild variant="outline" size="sm">
+              <Link to={`/?list=${list.id}`}>
+                <LayoutGrid className="h-4 w-4 mr-1" />
+                Open in search
+              </Link>
+            </Button>
+            {canEdit && (
+              <Button variant="outline" size="sm" onClick={startEditing}>
+                <Pencil className="h-4 w-4 mr-1" />
+                Rename
+              </Button>
+            )}
+            {list.permission === 'owner' ? (
+              <Button variant="outline" size="sm" onClick={handleDelete}>
+                <Trash2 className="h-4 w-4 mr-1" />
+                Delete
+              </Button>
+            ) : (
+              <Button variant="outline" size="sm" onClick={handleLeave}>
+                <LogOut className="h-4 w-4 mr-1" />
+                Leave
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {error && <p className="task-form-error">{error}</p>}
+
+      <ListSharing list={list} onChange={reload} />
+
+      <ListItems listId={list.id} canEdit={canEdit} onChange={handleItemsChange} />
+    </div>
+  );
+};
+
+export default CompanyListPanel;
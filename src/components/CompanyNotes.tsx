@@ -0,0 +1,183 @@
+import { useEffect, useState } from 'react';
+import ReactMarkdown, { Components } from 'react-markdown';
+import { NotebookPen, Pencil, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { CompanyNote } from '../lib/types';
+import { createCompanyNote, deleteCompanyNote, getCompanyNotes, updateCompanyNote } from '../lib/api';
+
+interface CompanyNotesProps {
+  companyId: string;
+}
+
+// Raw HTML in notes is not rendered; links open in a new tab
+const markdownComponents: Components = {
+  a: ({ children, href }) => (
+    <a href={href} target="_blank" rel="noopener noreferrer">{children}</a>
+  )
+};
+
+const formatTimestamp = (value: string) => new Date(value).toLocaleString(undefined, {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+const CompanyNotes = ({ companyId }: CompanyNotesProps) => {
+  const [notes, setNotes] = useState<CompanyNote[]>([]);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string>('');
+  const [draft, setDraft] = useState<string>('');
+  const [adding, setAdding] = useState<boolean>(false);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [editText, setEditText] = useState<string>('');
+  const [savingEdit, setSavingEdit] = useState<boolean>(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    getCompanyNotes(companyId)
+      .then(data => {
+        if (!cancelled) setNotes(data.notes);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Error fetching notes:', err);
+        setError('Failed to load notes');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [companyId]);
+
+  const handleAdd = async () => {
+    if (!draft.trim()) return;
+    setAdding(true);
+    setError('');
+    try {
+      const note = await createCompanyNote(companyId, draft);
+      setNotes(prev => [note, ...prev]);
+      setDraft('');
+    } catch (err) {
+      console.error('Error creating note:', err);
+      setError('Failed to save note');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const startEditing = (note: CompanyNote) => {
+    setEditingId(note.id);
+    setEditText(note.text);
+  };
+
+  const handleSaveEdit = async () => {
+    if (!editingId || !editText.trim()) return;
+    setSavingEdit(true);
+    setError('');
+    try {
+      const updated = await updateCompanyNote(companyId, editingId, editText);
+      setNotes(prev => prev.map(note => (note.id === updated.id ? updated : note)));
+      setEditingId(null);
+    } catch (err) {
+      console.error('Error updating note:', err);
+      setError('Failed to update note');
+    } finally {
+      setSavingEdit(false);
+    }
+  };
+
+  const handleDelete = async (note: CompanyNote) => {
+    if (!window.confirm('Delete this note?')) return;
+    setError('');
+    try {
+      await deleteCompanyNote(companyId, note.id);
+      setNotes(prev => prev.filter(existing => existing.id !== note.id));
+    } catch (err) {
+      console.error('Error deleting note:', err);
+      setError('Failed to delete note');
+    }
+  };
+
+  return (
+    <div className="notes-section">
+      <h3>
+        <NotebookPen className="section-icon" />
+        My Notes
+        {notes.length > 0 && <span className="contact-count">({notes.length})</span>}
+      </h3>
+
+      <div className="note-composer">
+        <Textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="Add a call note… Markdown is supported (**bold**, lists, links)"
+          rows={3}
+        />
+        <div className="note-actions">
+          <Button size="sm" onClick={handleAdd} disabled={adding || !draft.trim()}>
+            {adding ? 'Saving…' : 'Add note'}
+          </Button>
+        </div>
+      </div>
+
+      {error && <p className="notes-error">{error}</p>}
+
+      {loading ? (
+        <div className="contacts-loading">
+          <div className="spinner-small"></div>
+          <span>Loading notes...</span>
+        </div>
+      ) : notes.length === 0 ? (
+        <p className="notes-empty">No notes yet. Notes are private to your account.</p>
+      ) : (
+        <ul className="notes-list">
+          {notes.map(note => (
+            <li key={note.id} className="note-item">
+              <div className="note-meta">
+                <span>
+                  {formatTimestamp(note.createdAt)}
+                  {note.edited && <span className="note-edited"> · edited {formatTimestamp(note.updatedAt)}</span>}
+                </span>
+                {editingId !== note.id && (
+                  <span className="note-item-actions">
+                    <button type="button" onClick={() => startEditing(note)} aria-label="Edit note">
+                      <Pencil size={14} />
+                    </button>
+                    <button type="button" onClick={() => handleDelete(note)} aria-label="Delete note">
+                      <Trash2 size={14} />
+                    </button>
+                  </span>
+                )}
+              </div>
+              {editingId === note.id ? (
+                <>
+                  <Textarea value={editText} onChange={(e) => setEditText(e.target.value)} rows={4} />
+                  <div className="note-actions">
+                    <Button size="sm" variant="outline" onClick={() => setEditingId(null)} disabled={savingEdit}>
+                      Cancel
+                    </Button>
+                    <Button size="sm" onClick={handleSaveEdit} disabled={savingEdit || !editText.trim()}>
+                      {savingEdit ? 'Saving…' : 'Save'}
+                    </Button>
+                  </div>
+                </>
+              ) : (
+                <div className="note-body">
+                  <ReactMarkdown components={markdownComponents}>{note.text}</ReactMarkdown>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default CompanyNotes;
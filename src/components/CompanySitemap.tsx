@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
-import { SitemapResponse } from '../lib/types';
+import { SitemapProgress, SitemapResponse } from '../lib/types';
+import { getCompanySitemap, getSitemapEventsUrl } from '../lib/api';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
@@ -17,30 +18,38 @@ import {
 } from 'lucide-react';
 
 interface CompanySitemapProps {
+  companyId: string;
   companyName: string;
   companyUrl?: string;
 }
 
-const CompanySitemap = ({ companyName, companyUrl }: CompanySitemapProps) => {
+const PAGE_LIMIT = 20;
+
+const describeProgress = (progress?: SitemapProgress | null) => {
+  if (!progress || progress.status === 'queued') return 'Waiting to crawl the website...';
+  const parts = [`checked ${progress.hostsChecked} of ${progress.hostsTotal} hosts`];
+  if (progress.sitemapsFound > 0) parts.push(`read ${progress.sitemapsProcessed} of ${progress.sitemapsFound} sitemaps`);
+  if (progress.pagesCrawled > 0) parts.push(`no sitemap, followed links to ${progress.pagesCrawled} pages`);
+  if (progress.pagesFound > 0) parts.push(`${progress.pagesFound} pages found`);
+  return `Crawling: ${parts.join(', ')}`;
+};
+
+const CompanySitemap = ({ companyId, companyName, companyUrl }: CompanySitemapProps) => {
   const [sitemapData, setSitemapData] = useState<SitemapResponse | null>(null);
   const [loading, setLoading] = useState<boolean>(false);
   const [error, setError] = useState<string>('');
   const [showAll, setShowAll] = useState<boolean>(false);
+  // Preview images that failed to load, hidden rather than shown broken
+  const [brokenImages, setBrokenImages] = useState<Set<string>>(new Set());
 
-  const fetchSitemap = async () => {
-    if (!companyName) return;
+  const fetchSitemap = async (fresh = false) => {
+    if (!companyId) return;
 
     try {
       setLoading(true);
       setError('');
       
-      const response = await fetch(`/api/companies/${encodeURIComponent(companyName)}/sitemap?limit=20`);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const data: SitemapResponse = await response.json();
+      const data = await getCompanySitemap(companyId, PAGE_LIMIT, fresh);
       setSitemapData(data);
       
     } catch (err) {
@@ -56,7 +65,29 @@ const CompanySitemap = ({ companyName, companyUrl }: CompanySitemapProps) => {
     if (companyUrl) {
       fetchSitemap();
     }
-  }, [companyName, companyUrl]);
+  }, [companyId, companyUrl]);
+
+  // Crawls run in the background; follow one until it finishes, showing
+  // the best pages found so far as they arrive
+  const crawling = Boolean(sitemapData?.crawling);
+  useEffect(() => {
+    if (!crawling) return;
+    const source = new EventSource(getSitemapEventsUrl(companyId, PAGE_LIMIT));
+    const handleData = (event: MessageEvent) => setSitemapData(JSON.parse(event.data));
+
+    source.addEventListener('progress', handleData);
+    source.addEventListener('done', (event) => {
+      source.close();
+      handleData(event as MessageEvent);
+    });
+    source.addEventListener('failed', () => {
+      source.close();
+      setError('The website could not be crawled, please try again');
+      setSitemapData(prev => prev && { ...prev, crawling: false });
+    });
+
+    return () => source.close();
+  }, [companyId, crawling]);
 
   const getCategoryIcon = (category: string) => {
     switch (category.toLowerCase()) {
@@ -142,21 +173,21 @@ const CompanySitemap = ({ companyName, companyUrl }: CompanySitemapProps) => {
           <Button
             variant="outline"
             size="sm"
-            onClick={fetchSitemap}
-            disabled={loading}
+            onClick={() => fetchSitemap(true)}
+            disabled={loading || crawling}
             className="flex items-center gap-2"
           >
-            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+            <RefreshCw className={`h-4 w-4 ${loading || crawling ? 'animate-spin' : ''}`} />
             Refresh
           </Button>
         </div>
       </CardHeader>
       <CardContent className="space-y-4">
-        {loading && (
+        {(loading || (crawling && sitemapData?.pages.length === 0)) && (
           <div className="space-y-3">
             <div className="flex items-center gap-2 text-sm text-gray-600">
               <RefreshCw className="h-4 w-4 animate-spin" />
-              Discovering sitemap pages and subdomains...
+              {crawling ? describeProgress(sitemapData?.progress) : 'Discovering sitemap pages and subdomains...'}
             </div>
             {[...Array(4)].map((_, i) => (
               <div key={i} className="space-y-2">
@@ -186,11 +217,27 @@ const CompanySitemap = ({ companyName, companyUrl }: CompanySitemapProps) => {
 
         {sitemapData && !loading && sitemapData.pages.length > 0 && (
           <>
+            {crawling && (
+              <div className="flex items-center gap-2 text-sm text-gray-600">
+                <RefreshCw className="h-4 w-4 animate-spin" />
+                {describeProgress(sitemapData.progress)}
+              </div>
+            )}
             <div className="flex items-center justify-between text-sm text-gray-600 bg-gray-50 p-3 rounded-lg">
               <div className="flex items-center gap-4">
                 <span>Found {sitemapData.totalFound} pages</span>
                 <span>•</span>
-                <span>Checked {sitemapData.subdomainsChecked} sitemap(s)</span>
+                <span>
+                  {sitemapData.subdomainsChecked > 0
+                    ? `Checked ${sitemapData.subdomainsChecked} sitemap(s)`
+                    : 'No sitemap, found by following links'}
+                </span>
+                {sitemapData.crawledAt && (
+                  <>
+                    <span>•</span>
+                    <span>Crawled {new Date(sitemapData.crawledAt).toLocaleDateString(undefined, { dateStyle: 'medium' })}</span>
+                  </>
+                )}
               </div>
               <div className="flex items-center gap-1">
                 <Star className="h-3 w-3" />
@@ -204,6 +251,16 @@ const CompanySitemap = ({ companyName, companyUrl }: CompanySitemapProps) => {
                   key={page.url}
                   className="flex items-center justify-between p-4 border rounded-lg hover:bg-gray-50 transition-colors"
                 >
+                  {page.image && !brokenImages.has(page.image) && (
+                    <img
+                      src={page.image}
+                      alt=""
+                      loading="lazy"
+                      referrerPolicy="no-referrer"
+                      className="h-16 w-24 mr-4 flex-shrink-0 rounded object-cover bg-gray-100"
+                      onError={() => setBrokenImages(prev => new Set(prev).add(page.image as string))}
+                    />
+                  )}
                   <div className="flex-1 min-w-0">
                     <div className="flex items-center gap-3 mb-2">
                       <div className="flex items-center gap-2">
@@ -223,6 +280,12 @@ const CompanySitemap = ({ companyName, companyUrl }: CompanySitemapProps) => {
                     <h4 className="font-medium text-gray-900 truncate mb-1">
                       {page.title}
                     </h4>
+
+                    {page.description && (
+                      <p className="text-sm text-gray-600 line-clamp-2 mb-1">
+                        {page.description}
+                      </p>
+                    )}
                     
                     <div className="flex items-center gap-4 text-xs text-gray-500">
                       <span className="truncate max-w-md">{page.url}</span>
@@ -273,7 +336,7 @@ const CompanySitemap = ({ companyName, companyUrl }: CompanySitemapProps) => {
           </>
         )}
 
-        {sitemapData && !loading && sitemapData.pages.length === 0 && !sitemapData.error && (
+        {sitemapData && !loading && !crawling && sitemapData.pages.length === 0 && !sitemapData.error && (
           <Alert>
             <Info className="h-4 w-4" />
             <AlertDescription>
@@ -0,0 +1,161 @@
+import { ReactNode } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { ArrowDown, ArrowUp, ArrowUpDown } from 'lucide-react';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Company, CompanySort, SortField } from '../lib/types';
+import { SelectionControls } from '../lib/selection';
+import { NATURAL_SORT_ORDER, TABLE_COLUMNS, TableColumnKey } from '../lib/table-columns';
+import { useWindowRows } from '../hooks/use-window-rows';
+
+interface CompanyTableProps {
+  companies: Company[];
+  columns: TableColumnKey[];
+  sort: CompanySort;
+  // Without it the headers are not sortable
+  onSortChange?: (sort: CompanySort) => void;
+  newCompanyIds?: Set<string>;
+  // Adds a checkbox column; the header box covers the loaded rows
+  selection?: SelectionControls;
+}
+
+const CELLS: Record<TableColumnKey, (company: Company) => ReactNode> = {
+  location: company => [company.city, company.state].filter(Boolean).join(', '),
+  industry: company => company.industry,
+  revenue: company => company.approxAnnualRevenue || company.sales,
+  employees: company => company.employees,
+  phone: company => company.phone,
+  website: company => company.url && (
+    // Stop the row click from also opening the company
+    <a href={company.url.startsWith('http') ? company.url : `https://${company.url}`} target="_blank" rel="noopener noreferrer" onClick={(e) => e.stopPropagation()}>
+      {company.url.replace(/^https?:\/\/(www\.)?/, '')}
+    </a>
+  ),
+  contactCount: company => company.contactCount ?? '',
+  primaryContact: company => company.primaryContactName && (
+    <>
+      {company.primaryContactName}
+      {company.primaryContactTitle && <div className="company-table-subtext">{company.primaryContactTitle}</div>}
+    </>
+  ),
+  isHeadquarters: company => company.isHeadquarters && <span className="hq-badge">HQ</span>
+};
+
+const NUMERIC_COLUMNS: TableColumnKey[] = ['revenue', 'employees', 'contactCount'];
+
+const ESTIMATED_ROW_HEIGHT = 53;
+
+// Dense, sortable alternative to the card grid for scanning many companies
+const CompanyTable = ({ companies, columns, sort, onSortChange, newCompanyIds, selection }: CompanyTableProps) => {
+  const navigate = useNavigate();
+  const visibleColumns = TABLE_COLUMNS.filter(column => columns.includes(column.key));
+  const { listRef, virtualizer } = useWindowRows<HTMLTableSectionElement>({
+    count: companies.length,
+    estimateSize: ESTIMATED_ROW_HEIGHT,
+    cacheKey: `table:${columns.join(',')}:${companies[0]?.id ?? ''}`
+  });
+
+  // Only rows near the viewport are rendered; spacer rows keep the table's
+  // full height so the scrollbar and the sentinel below stay in place
+  const rows = virtualizer.getVirtualItems();
+  const scrollMargin = virtualizer.options.scrollMargin;
+  const paddingTop = rows.length > 0 ? rows[0].start - scrollMargin : 0;
+  const paddingBottom = rows.length > 0 ? virtualizer.getTotalSize() - (rows[rows.length - 1].end - scrollMargin) : 0;
+
+  const handleSort = (field: SortField) => {
+    if (!onSortChange) return;
+    const order = sort.sort === field
+      ? (sort.order === 'asc' ? 'desc' : 'asc')
+      : NATURAL_SORT_ORDER[field] || 'asc';
+    onSortChange({ sort: field, order });
+  };
+
+  const sortHeader = (label: string, field?: SortField) => {
+    if (!field || !onSortChange) return label;
+    const active = sort.sort === field;
+    const Icon = !active ? ArrowUpDown : sort.order === 'asc' ? ArrowUp : ArrowDown;
+    return (
+      <button type="button" className={`company-table-sort ${active ? 'active' : ''}`} onClick={() => handleSort(field)}>
+        {label}
+        <Icon size={14} />
+      </button>
+    );
+  };
+
+  const selectedCount = selection ? companies.filter(company => selection.isSelected(company.id)).length : 0;
+  const allLoadedSelected = companies.length > 0 && selectedCount === companies.length;
+
+  const ariaSort = (field?: SortField) => {
+    if (!field || sort.sort !== field) return undefined;
+    return sort.order === 'asc' ? 'ascending' : 'descending';
+  };
+
+  return (
+    <Table className="company-table">
+      <TableHeader>
+        <TableRow>
+          {selection && (
+            <TableHead className="company-table-select">
+              <Checkbox
+                checked={allLoadedSelected ? true : selectedCount > 0 ? 'indeterminate' : false}
+                onCheckedChange={() => selection.setSelected(companies.map(company => company.id), !allLoadedSelected)}
+                aria-label="Select loaded companies"
+              />
+            </TableHead>
+          )}
+          <TableHead aria-sort={ariaSort('name')}>{sortHeader('Company', 'name')}</TableHead>
+          {visibleColumns.map(column => (
+            <TableHead
+              key={column.key}
+              aria-sort={ariaSort(column.sort)}
+              className={NUMERIC_COLUMNS.includes(column.key) ? 'text-right' : undefined}
+            >
+              {sortHeader(column.label, column.sort)}
+            </TableHead>
+          ))}
+        </TableRow>
+      </TableHeader>
+      <TableBody ref={listRef}>
+        {paddingTop > 0 && <tr style={{ height: paddingTop }} aria-hidden="true" />}
+        {rows.map(row => {
+          const company = companies[row.index];
+          const selected = selection?.isSelected(company.id) ?? false;
+          return (
+            <TableRow
+              key={company.id}
+              data-index={row.index}
+              ref={virtualizer.measureElement}
+              className="company-table-row"
+              data-state={selected ? 'selected' : undefined}
+              onClick={() => navigate(`/company/${company.id}`)}
+            >
+              {selection && (
+                // Stop the row click from also opening the company
+                <TableCell className="company-table-select" onClick={(e) => e.stopPropagation()}>
+                  <Checkbox
+                    checked={selected}
+                    onCheckedChange={(checked) => selection.setSelected([company.id], checked === true)}
+                    aria-label={`Select ${company.name}`}
+                  />
+                </TableCell>
+              )}
+              <TableCell className="company-table-name">
+                <Link to={`/company/${company.id}`} onClick={(e) => e.stopPropagation()}>{company.name}</Link>
+                {newCompanyIds?.has(company.id) && <span className="new-badge">New</span>}
+                {company.tradestyle && <div className="company-table-subtext">{company.tradestyle}</div>}
+              </TableCell>
+              {visibleColumns.map(column => (
+                <TableCell key={column.key} className={NUMERIC_COLUMNS.includes(column.key) ? 'text-right' : undefined}>
+                  {CELLS[column.key](company)}
+                </TableCell>
+              ))}
+            </TableRow>
+          );
+        })}
+        {paddingBottom > 0 && <tr style={{ height: paddingBottom }} aria-hidden="true" />}
+      </TableBody>
+    </Table>
+  );
+};
+
+export default CompanyTable;
@@ -0,0 +1,175 @@
+import { useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { Download } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Label } from '@/components/ui/label';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { useAuth } from '../hooks/use-auth';
+import { downloadFile } from '../lib/api';
+import { CompanySelection } from '../lib/types';
+
+type ExportFormat = 'csv' | 'xlsx' | 'jsonl';
+
+const FORMATS: { value: ExportFormat; label: string }[] = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+  { value: 'jsonl', label: 'JSON Lines' }
+];
+
+// Keys match the column catalog in server/company-export.js
+const COLUMNS: { key: string; label: string; defaultSelected?: boolean }[] = [
+  { key: 'name', label: 'Company name', defaultSelected: true },
+  { key: 'dunsNumber', label: 'DUNS number', defaultSelected: true },
+  { key: 'tradestyle', label: 'Tradestyle' },
+  { key: 'address', label: 'Address', defaultSelected: true },
+  { key: 'city', label: 'City', defaultSelected: true },
+  { key: 'state', label: 'State', defaultSelected: true },
+  { key: 'postalCode', label: 'Postal code', defaultSelected: true },
+  { key: 'phone', label: 'Phone', defaultSelected: true },
+  { key: 'website', label: 'Website', defaultSelected: true },
+  { key: 'revenue', label: 'Revenue (number)' },
+  { key: 'revenueFormatted', label: 'Revenue', defaultSelected: true },
+  { key: 'employees', label: 'Employees (total)', defaultSelected: true },
+  { key: 'siteEmployees', label: 'Employees (site)' },
+  { key: 'industry', label: 'Industry', defaultSelected: true },
+  { key: 'ownership', label: 'Ownership' },
+  { key: 'entityType', label: 'Entity type' },
+  { key: 'isHeadquarters', label: 'Headquarters', defaultSelected: true },
+  { key: 'contactCount', label: 'Contact count' },
+  { key: 'primaryContactName', label: 'Primary contact' },
+  { key: 'primaryContactTitle', label: 'Primary contact title' },
+  { key: 'description', label: 'Description' }
+];
+
+interface ExportMenuProps {
+  // Current /api/companies query (search, filters, sort) without paging params
+  queryParams?: URLSearchParams;
+  totalCompanies: number;
+  // Export only these companies instead of the query's whole result set
+  selection?: CompanySelection;
+}
+
+const ExportMenu = ({ queryParams, totalCompanies, selection }: ExportMenuProps) => {
+  const { status: authStatus } = useAuth();
+  const location = useLocation();
+  const [downloading, setDownloading] = useState<boolean>(false);
+  const [error, setError] = useState<string>('');
+  const [format, setFormat] = useState<ExportFormat>('csv');
+  const [includeContacts, setIncludeContacts] = useState<boolean>(false);
+  const [selectedColumns, setSelectedColumns] = useState<string[]>(
+    COLUMNS.filter(column => column.defaultSelected).map(column => column.key)
+  );
+
+  const toggleColumn = (key: string, checked: boolean) => {
+    setSelectedColumns(prev => (checked ? [...prev, key] : prev.filter(column => column !== key)));
+  };
+
+  // Keep catalog order regardless of the order columns were ticked
+  const columns = COLUMNS.filter(column => selectedColumns.includes(column.key)).map(column => column.key).join(',');
+  const exportParams = new URLSearchParams(queryParams);
+  exportParams.set('format', format);
+  exportParams.set('columns', columns);
+  if (includeContacts) {
+    exportParams.set('includeContacts', 'true');
+  }
+
+  // Exports stream the full result set, so the browser downloads the
+  // response as it arrives and saves it once complete
+  const handleDownload = async () => {
+    setDownloading(true);
+    setError('');
+    try {
+      if (selection) {
+        // A selection can hold thousands of ids, too many for a query string
+        await downloadFile('/api/companies/export', `companies.${format}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...selection, format, columns, includeContacts })
+        });
+      } else {
+        await downloadFile(`/api/companies/export?${exportParams}`, `companies.${format}`);
+      }
+    } catch (err) {
+      console.error('Export failed:', err);
+      setError('Export failed, please try again');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button variant="outline" size="sm" className="flex items-center gap-2" disabled={totalCompanies === 0}>
+          <Download className="h-4 w-4" />
+          Export
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-80 space-y-4">
+        <div className="space-y-2">
+          <div className="text-sm font-medium">Format</div>
+          <div className="flex gap-3">
+            {FORMATS.map(option => (
+              <label key={option.value} className="flex items-center gap-1 text-sm cursor-pointer">
+                <input
+                  type="radio"
+                  name="export-format"
+                  value={option.value}
+                  checked={format === option.value}
+                  onChange={() => setFormat(option.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <div className="text-sm font-medium">Columns</div>
+          <div className="grid grid-cols-2 gap-2 max-h-48 overflow-y-auto">
+            {COLUMNS.map(column => (
+              <div key={column.key} className="flex items-center gap-2">
+                <Checkbox
+                  id={`export-column-${column.key}`}
+                  checked={selectedColumns.includes(column.key)}
+                  onCheckedChange={(checked) => toggleColumn(column.key, checked === true)}
+                />
+                <Label htmlFor={`export-column-${column.key}`} className="text-xs font-normal cursor-pointer">
+                  {column.label}
+                </Label>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <Checkbox
+            id="export-include-contacts"
+            checked={includeContacts}
+            onCheckedChange={(checked) => setIncludeContacts(checked === true)}
+          />
+          <Label htmlFor="export-include-contacts" className="text-sm font-normal cursor-pointer">
+            One row per contact
+          </Label>
+        </div>
+
+        {authStatus === 'anonymous' ? (
+          <Button asChild className="w-full">
+            <Link to={`/login?redirect=${encodeURIComponent(location.pathname + location.search)}`}>
+              Sign in to export
+            </Link>
+          </Button>
+        ) : (
+          <Button className="w-full" onClick={handleDownload} disabled={selectedColumns.length === 0 || downloading}>
+            <Download className="h-4 w-4 mr-2" />
+            {downloading ? 'Preparing export…' : `Download ${totalCompanies.toLocaleString()} companies`}
+          </Button>
+        )}
+        {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default ExportMenu;
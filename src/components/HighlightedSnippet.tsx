@@ -0,0 +1,20 @@
+interface HighlightedSnippetProps {
+  snippet: string;
+}
+
+// Snippets come from Postgres ts_headline with <mark> around matched terms.
+// Split on those markers and render them as elements so the rest of the
+// text is never interpreted as HTML.
+const HighlightedSnippet = ({ snippet }: HighlightedSnippetProps) => {
+  const parts = snippet.split(/<mark>(.*?)<\/mark>/g);
+
+  return (
+    <span className="search-snippet">
+      {parts.map((part, index) =>
+        index % 2 === 1 ? <mark key={index}>{part}</mark> : part
+      )}
+    </span>
+  );
+};
+
+export default HighlightedSnippet;
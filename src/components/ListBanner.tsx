@@ -0,0 +1,60 @@
+import { Link, useLocation } from 'react-router-dom';
+import { List, X } from 'lucide-react';
+import { useAuth } from '../hooks/use-auth';
+import { CompanyListStatus } from '../hooks/use-company-list';
+import { CompanyListDetail } from '../lib/types';
+import { formatUserName } from '../lib/users';
+
+interface ListBannerProps {
+  list: CompanyListDetail | null;
+  status: CompanyListStatus;
+  onExit: () => void;
+}
+
+const PERMISSION_LABELS = {
+  edit: 'can edit',
+  view: 'view only'
+};
+
+// Shown above the company grid while it is limited to a company list
+const ListBanner = ({ list, status, onExit }: ListBannerProps) => {
+  const { status: authStatus } = useAuth();
+  const location = useLocation();
+
+  let content;
+  if (authStatus === 'anonymous') {
+    const redirect = encodeURIComponent(location.pathname + location.search);
+    content = <span>This is a company list. <Link to={`/login?redirect=${redirect}`}>Sign in</Link> to see it.</span>;
+  } else if (status === 'not-found') {
+    content = <span>This list doesn’t exist or hasn’t been shared with you.</span>;
+  } else if (status === 'error') {
+    content = <span>The list couldn’t be loaded.</span>;
+  } else if (!list) {
+    content = <span>Loading list…</span>;
+  } else {
+    content = (
+      <>
+        <strong>{list.name}</strong>
+        <span className="list-banner-meta">
+          {list.permission === 'owner'
+            ? `Your list${list.shares.length > 0 ? `, shared with ${list.shares.length}` : ''}`
+            : `Shared by ${formatUserName(list.owner)} (${PERMISSION_LABELS[list.permission]})`}
+        </span>
+        <Link to={`/lists/${list.id}`} className="list-banner-link">Manage list</Link>
+      </>
+    );
+  }
+
+  return (
+    <div className="list-banner">
+      <List size={16} />
+      {content}
+      <button type="button" className="list-banner-exit" onClick={onExit}>
+        <X size={14} />
+        Show all companies
+      </button>
+    </div>
+  );
+};
+
+export default ListBanner;
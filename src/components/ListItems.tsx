@@ -0,0 +1,177 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowDown, ArrowUp, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { Company } from '../lib/types';
+import { getListCompanies, removeListItem, updateListItem } from '../lib/api';
+
+interface ListItemsProps {
+  listId: string;
+  canEdit: boolean;
+  // Called after companies are removed, since that changes the list's count
+  onChange: () => void;
+}
+
+const PAGE_SIZE = 100;
+
+// A list's companies in list order, with per-company notes
+const ListItems = ({ listId, canEdit, onChange }: ListItemsProps) => {
+  const [companies, setCompanies] = useState<Company[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string>('');
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [notesDraft, setNotesDraft] = useState<string>('');
+
+  const loadPage = useCallback(async (cursor: string | null) => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ sort: 'position', order: 'asc', limit: String(PAGE_SIZE) });
+      if (cursor) params.set('cursor', cursor);
+      const data = await getListCompanies(listId, params);
+      setCompanies(prev => (cursor ? [...prev, ...data.companies] : data.companies));
+      setNextCursor(data.pagination.hasMore ? data.pagination.nextCursor : null);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching list companies:', err);
+      setError('Failed to load the companies on this list');
+    } finally {
+      setLoading(false);
+    }
+  }, [listId]);
+
+  useEffect(() => {
+    loadPage(null);
+  }, [loadPage]);
+
+  // Only loaded rows can be moved past, so the last loaded row can't move down
+  const handleMove = async (index: number, direction: -1 | 1) => {
+    const target = index + direction;
+    const afterCompanyId = direction === -1
+      ? (target > 0 ? companies[target - 1].id : null)
+      : companies[target].id;
+    const previous = companies;
+    const reordered = [...companies];
+    const [moved] = reordered.splice(index, 1);
+    reordered.splice(target, 0, moved);
+    setCompanies(reordered);
+
+    try {
+      await updateListItem(listId, moved.id, { afterCompanyId });
+    } catch (err) {
+      console.error('Error moving list item:', err);
+      setCompanies(previous);
+      setError('Failed to move the company');
+    }
+  };
+
+  const handleRemove = async (company: Company) => {
+    if (!window.confirm(`Remove ${company.name} from this list?`)) return;
+    try {
+      await removeListItem(listId, company.id);
+      setCompanies(prev => prev.filter(item => item.id !== company.id));
+      onChange();
+    } catch (err) {
+      console.error('Error removing list item:', err);
+      setError('Failed to remove the company');
+    }
+  };
+
+  const startEditingNotes = (company: Company) => {
+    setEditingId(company.id);
+    setNotesDraft(company.listItem?.notes || '');
+  };
+
+  const handleSaveNotes = async (company: Company) => {
+    try {
+      const { notes } = await updateListItem(listId, company.id, { notes: notesDraft });
+      setCompanies(prev => prev.map(item => (item.id === company.id ? { ...item, listItem: { notes } } : item)));
+      setEditingId(null);
+    } catch (err) {
+      console.error('Error saving list notes:', err);
+      setError('Failed to save the notes');
+    }
+  };
+
+  if (!loading && companies.length === 0 && !error) {
+    return (
+      <div className="no-results">
+        No companies yet. Select companies in the search and use “Add to list”.
+      </div>
+    );
+  }
+
+  return (
+    <section className="list-items">
+      {error && <p className="task-form-error">{error}</p>}
+      <ol className="task-list">
+        {companies.map((company, index) => (
+          <li key={company.id} className="task-item list-item">
+            <span className="list-item-position">{index + 1}</span>
+            <div className="task-main">
+              <Link to={`/company/${company.id}`} className="task-title">{company.name}</Link>
+              <div className="task-links">{[company.city, company.state].filter(Boolean).join(', ')}</div>
+              {editingId === company.id ? (
+                <div className="list-item-notes-form">
+                  <Textarea
+                    value={notesDraft}
+                    onChange={(e) => setNotesDraft(e.target.value)}
+                    placeholder="Notes for this company on the list"
+                    aria-label={`Notes for ${company.name}`}
+                    maxLength={2000}
+                    autoFocus
+                  />
+                  <div className="task-form-actions">
+                    <Button type="button" variant="ghost" size="sm" onClick={() => setEditingId(null)}>Cancel</Button>
+                    <Button type="button" size="sm" onClick={() => handleSaveNotes(company)}>Save notes</Button>
+                  </div>
+                </div>
+              ) : company.listItem?.notes ? (
+                <div className="task-description">{company.listItem.notes}</div>
+              ) : null}
+              {canEdit && editingId !== company.id && (
+                <button type="button" className="list-item-notes-button" onClick={() => startEditingNotes(company)}>
+                  {company.listItem?.notes ? 'Edit notes' : 'Add notes'}
+                </button>
+              )}
+            </div>
+            {canEdit && (
+              <div className="list-item-actions">
+                <button
+                  type="button"
+                  className="task-delete"
+                  onClick={() => handleMove(index, -1)}
+                  disabled={index === 0}
+                  aria-label={`Move ${company.name} up`}
+                >
+                  <ArrowUp size={16} />
+                </button>
+                <button
+                  type="button"
+                  className="task-delete"
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === companies.length - 1}
+                  aria-label={`Move ${company.name} down`}
+                >
+                  <ArrowDown size={16} />
+                </button>
+                <button type="button" className="task-delete" onClick={() => handleRemove(company)} aria-label={`Remove ${company.name}`}>
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ol>
+      {loading && <div className="loading-container">Loading companies...</div>}
+      {!loading && nextCursor && (
+        <Button variant="outline" size="sm" className="list-items-more" onClick={() => loadPage(nextCursor)}>
+          Load more
+        </Button>
+      )}
+    </section>
+  );
+};
+
+export default ListItems;
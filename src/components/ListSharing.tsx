@@ -0,0 +1,138 @@
+import { FormEvent, useEffect, useState } from 'react';
+import { X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { AuthUser, CompanyListDetail, CompanyListShare } from '../lib/types';
+import { getUsers, shareList, unshareList } from '../lib/api';
+import { formatUserName } from '../lib/users';
+
+interface ListSharingProps {
+  list: CompanyListDetail;
+  // Reloads the list, which carries the shares
+  onChange: () => void;
+}
+
+type SharePermission = CompanyListShare['permission'];
+
+const PERMISSION_OPTIONS: { value: SharePermission; label: string }[] = [
+  { value: 'view', label: 'Can view' },
+  { value: 'edit', label: 'Can edit' }
+];
+
+// Who a list is shared with; only the owner can change it
+const ListSharing = ({ list, onChange }: ListSharingProps) => {
+  const isOwner = list.permission === 'owner';
+  const [users, setUsers] = useState<AuthUser[]>([]);
+  const [userId, setUserId] = useState<string>('');
+  const [permission, setPermission] = useState<SharePermission>('view');
+  const [busy, setBusy] = useState<boolean>(false);
+  const [error, setError] = useState<string>('');
+
+  useEffect(() => {
+    if (!isOwner) return;
+    getUsers()
+      .then(data => setUsers(data.users))
+      .catch(err => console.error('Error fetching users:', err));
+  }, [isOwner]);
+
+  const update = async (action: () => Promise<unknown>) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+      onChange();
+      return true;
+    } catch (err) {
+      console.error('Error updating list sharing:', err);
+      setError('Failed to update sharing');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleShare = async (event: FormEvent) => {
+    event.preventDefault();
+    if (!userId) return;
+    if (await update(() => shareList(list.id, userId, permission))) {
+      setUserId('');
+    }
+  };
+
+  if (!isOwner && list.shares.length === 0) {
+    return null;
+  }
+
+  const sharedIds = new Set(list.shares.map(share => share.user.id));
+  const candidates = users.filter(user => user.id !== list.owner.id && !sharedIds.has(user.id));
+
+  return (
+    <section className="list-sharing">
+      <h3>Shared with</h3>
+      {list.shares.length === 0 ? (
+        <p className="lists-empty">Only you can see this list.</p>
+      ) : (
+        <ul className="list-share-rows">
+          {list.shares.map(share => (
+            <li key={share.user.id}>
+              <span className="list-share-name" title={share.user.email}>{formatUserName(share.user)}</span>
+              {isOwner ? (
+                <>
+                  <select
+                    className="sort-select"
+                    value={share.permission}
+                    onChange={(e) => update(() => shareList(list.id, share.user.id, e.target.value as SharePermission))}
+                    aria-label={`Permission for ${formatUserName(share.user)}`}
+                    disabled={busy}
+                  >
+                    {PERMISSION_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    className="task-delete"
+                    onClick={() => update(() => unshareList(list.id, share.user.id))}
+                    aria-label={`Stop sharing with ${formatUserName(share.user)}`}
+                    disabled={busy}
+                  >
+                    <X size={16} />
+                  </button>
+                </>
+              ) : (
+                <span className="list-share-permission">
+                  {PERMISSION_OPTIONS.find(option => option.value === share.permission)?.label}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {isOwner && (
+        <form className="list-share-form" onSubmit={handleShare}>
+          <select className="sort-select" value={userId} onChange={(e) => setUserId(e.target.value)} aria-label="Teammate">
+            <option value="">Share with a teammate…</option>
+            {candidates.map(user => (
+              <option key={user.id} value={user.id}>{formatUserName(user)}</option>
+            ))}
+          </select>
+          <select
+            className="sort-select"
+            value={permission}
+            onChange={(e) => setPermission(e.target.value as SharePermission)}
+            aria-label="Permission"
+          >
+            {PERMISSION_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <Button type="submit" size="sm" disabled={busy || !userId}>Share</Button>
+        </form>
+      )}
+
+      {error && <p className="task-form-error">{error}</p>}
+    </section>
+  );
+};
+
+export default ListSharing;
@@ -0,0 +1,150 @@
+import { FormEvent, useCallback, useEffect, useState } from 'react';
+import { Link, Navigate, useLocation, useNavigate, useParams } from 'react-router-dom';
+import { ArrowLeft, Plus } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import CompanyListPanel from './CompanyListPanel';
+import UserMenu from './UserMenu';
+import { useAuth } from '../hooks/use-auth';
+import { CompanyList } from '../lib/types';
+import { createList, getLists } from '../lib/api';
+import { getHomeHref } from '../lib/home-link';
+import { formatUserName } from '../lib/users';
+
+const ListsPage = () => {
+  const { status: authStatus } = useAuth();
+  const { listId = '' } = useParams<{ listId: string }>();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [lists, setLists] = useState<CompanyList[]>([]);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string>('');
+  const [newName, setNewName] = useState<string>('');
+  const [creating, setCreating] = useState<boolean>(false);
+
+  const loadLists = useCallback(async () => {
+    try {
+      const data = await getLists();
+      setLists(data.lists);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching lists:', err);
+      setError('Failed to load lists');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (authStatus !== 'authenticated') return;
+    loadLists();
+  }, [authStatus, loadLists]);
+
+  if (authStatus === 'anonymous') {
+    return <Navigate to={`/login?redirect=${encodeURIComponent(location.pathname)}`} replace />;
+  }
+
+  const handleCreate = async (event: FormEvent) => {
+    event.preventDefault();
+    if (!newName.trim()) return;
+    setCreating(true);
+    try {
+      const list = await createList(newName);
+      setNewName('');
+      await loadLists();
+      navigate(`/lists/${list.id}`);
+    } catch (err) {
+      console.error('Error creating list:', err);
+      setError('Failed to create list');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const ownLists = lists.filter(list => list.permission === 'owner');
+  const sharedLists = lists.filter(list => list.permission !== 'owner');
+
+  const renderLists = (items: CompanyList[], emptyText: string) => (
+    items.length === 0 ? (
+      <p className="lists-empty">{emptyText}</p>
+    ) : (
+      <ul className="lists-nav">
+        {items.map(list => (
+          <li key={list.id}>
+            <Link to={`/lists/${list.id}`} className={list.id === listId ? 'active' : undefined}>
+              <span className="lists-nav-name">{list.name}</span>
+              <span className="lists-nav-meta">
+                {list.companyCount.toLocaleString()}
+                {list.permission !== 'owner' && ` · ${formatUserName(list.owner)}`}
+              </span>
+            </Link>
+          </li>
+        ))}
+      </ul>
+    )
+  );
+
+  return (
+    <>
+      <header className="header">
+        <Button asChild variant="outline" size="icon" className="header-back-button">
+          <Link to={getHomeHref()} aria-label="Back to all companies">
+            <ArrowLeft className="h-4 w-4" />
+          </Link>
+        </Button>
+        <h1>Company lists</h1>
+        <UserMenu />
+      </header>
+
+      <main className="main-content lists-page">
+        <aside className="lists-sidebar">
+          <form className="lists-create" onSubmit={handleCreate}>
+            <Input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New list, e.g. North metro territory"
+              aria-label="New list name"
+            />
+            <Button type="submit" size="sm" disabled={creating || !newName.trim()}>
+              <Plus className="h-4 w-4 mr-1" />
+              Create
+            </Button>
+          </form>
+
+          {error && <p className="task-form-error">{error}</p>}
+
+          {loading ? (
+            <div className="loading-container">Loading lists...</div>
+          ) : (
+            <>
+              <h2 className="lists-heading">Your lists</h2>
+              {renderLists(ownLists, 'You haven’t made any lists yet.')}
+              <h2 className="lists-heading">Shared with you</h2>
+              {renderLists(sharedLists, 'Nobody has shared a list with you.')}
+            </>
+          )}
+        </aside>
+
+        <section className="lists-detail">
+          {listId ? (
+            <CompanyListPanel
+              key={listId}
+              listId={listId}
+              onChange={loadLists}
+              onRemoved={() => {
+                loadLists();
+                navigate('/lists');
+              }}
+            />
+          ) : (
+            <div className="no-results">
+              Pick a list, or create one and add companies to it from the company search.
+            </div>
+          )}
+        </section>
+      </main>
+    </>
+  );
+};
+
+export default ListsPage;
@@ -0,0 +1,116 @@
+import { FormEvent, useState } from 'react';
+import { Link, Navigate, useNavigate, useSearchParams } from 'react-router-dom';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useAuth } from '../hooks/use-auth';
+import { HttpError } from '../lib/api';
+import { getHomeHref } from '../lib/home-link';
+
+type Mode = 'login' | 'register';
+
+const LoginPage = () => {
+  const { status, login, register } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [mode, setMode] = useState<Mode>('login');
+  const [email, setEmail] = useState<string>('');
+  const [password, setPassword] = useState<string>('');
+  const [firstName, setFirstName] = useState<string>('');
+  const [lastName, setLastName] = useState<string>('');
+  const [submitting, setSubmitting] = useState<boolean>(false);
+  const [error, setError] = useState<string>('');
+
+  // Only follow same-site paths so the redirect param can't send users elsewhere
+  const redirectParam = searchParams.get('redirect') || '/';
+  const redirectTo = redirectParam.startsWith('/') && !redirectParam.startsWith('//') ? redirectParam : '/';
+
+  if (status === 'authenticated') {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleSubmit = async (event: FormEvent) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      if (mode === 'login') {
+        await login(email, password);
+      } else {
+        await register({ email, password, firstName: firstName || undefined, lastName: lastName || undefined });
+      }
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      const message = err instanceof HttpError ? (err.data as { message?: string } | null)?.message : undefined;
+      setError(message || 'Something went wrong, please try again');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(mode === 'login' ? 'register' : 'login');
+    setError('');
+  };
+
+  return (
+    <main className="main-content login-page">
+      <Card className="login-card">
+        <CardHeader>
+          <CardTitle>{mode === 'login' ? 'Sign in' : 'Create an account'}</CardTitle>
+          <CardDescription>
+            {mode === 'login'
+              ? 'Sign in to see contacts and use your saved companies, notes and tasks.'
+              : 'Register to see contacts and keep your own notes and tasks.'}
+          </CardDescription>
+        </CardHeader>
+        <form onSubmit={handleSubmit}>
+          <CardContent className="space-y-4">
+            {mode === 'register' && (
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-1">
+                  <Label htmlFor="first-name">First name</Label>
+                  <Input id="first-name" value={firstName} onChange={(e) => setFirstName(e.target.value)} autoComplete="given-name" />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="last-name">Last name</Label>
+                  <Input id="last-name" value={lastName} onChange={(e) => setLastName(e.target.value)} autoComplete="family-name" />
+                </div>
+              </div>
+            )}
+            <div className="space-y-1">
+              <Label htmlFor="email">Email</Label>
+              <Input id="email" type="email" value={email} onChange={(e) => setEmail(e.target.value)} autoComplete="email" required />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="password">Password</Label>
+              <Input
+                id="password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+                minLength={mode === 'register' ? 8 : undefined}
+                required
+              />
+            </div>
+            {error && <p className="login-error" role="alert">{error}</p>}
+          </CardContent>
+          <CardFooter className="flex flex-col gap-3">
+            <Button type="submit" className="w-full" disabled={submitting}>
+              {submitting ? 'Please wait…' : mode === 'login' ? 'Sign in' : 'Create account'}
+            </Button>
+            <button type="button" className="login-switch" onClick={switchMode}>
+              {mode === 'login' ? 'No account yet? Create one' : 'Already registered? Sign in'}
+            </button>
+            <Link to={getHomeHref()} className="login-switch">← Back to companies</Link>
+          </CardFooter>
+        </form>
+      </Card>
+    </main>
+  );
+};
+
+export default LoginPage;
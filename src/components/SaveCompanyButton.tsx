@@ -0,0 +1,60 @@
+import { MouseEvent, useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { Star } from 'lucide-react';
+import { useAuth } from '../hooks/use-auth';
+import { useSavedCompanies } from '../hooks/use-saved-companies';
+
+interface SaveCompanyButtonProps {
+  companyId: string;
+  companyName: string;
+  // 'icon' for cards, 'button' with a text label for the detail page
+  variant?: 'icon' | 'button';
+}
+
+const SaveCompanyButton = ({ companyId, companyName, variant = 'icon' }: SaveCompanyButtonProps) => {
+  const { user } = useAuth();
+  const { isSaved, toggleSaved } = useSavedCompanies();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [pending, setPending] = useState<boolean>(false);
+  const saved = isSaved(companyId);
+
+  const handleClick = async (event: MouseEvent) => {
+    // Cards are wrapped in a link to the detail page
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (!user) {
+      navigate(`/login?redirect=${encodeURIComponent(location.pathname + location.search)}`);
+      return;
+    }
+
+    setPending(true);
+    try {
+      await toggleSaved(companyId);
+    } catch (error) {
+      console.error('Error updating saved company:', error);
+    } finally {
+      setPending(false);
+    }
+  };
+
+  const label = saved ? `Remove ${companyName} from saved companies` : `Save ${companyName}`;
+
+  return (
+    <button
+      type="button"
+      className={`save-company-button ${variant} ${saved ? 'saved' : ''}`}
+      onClick={handleClick}
+      disabled={pending}
+      aria-pressed={saved}
+      aria-label={label}
+      title={label}
+    >
+      <Star size={variant === 'icon' ? 18 : 16} fill={saved ? 'currentColor' : 'none'} />
+      {variant === 'button' && <span>{saved ? 'Saved' : 'Save'}</span>}
+    </button>
+  );
+};
+
+export default SaveCompanyButton;
@@ -0,0 +1,150 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link, Navigate, useLocation } from 'react-router-dom';
+import { ArrowLeft } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import SearchBar from './SearchBar';
+import CompanyGrid from './CompanyGrid';
+import UserMenu from './UserMenu';
+import { useAuth } from '../hooks/use-auth';
+import { Company, CompanyFilters, CompanySort, IndustryOption } from '../lib/types';
+import { buildCompanyParams } from '../lib/filters';
+import { getSavedCompanies } from '../lib/api';
+import { getHomeHref } from '../lib/home-link';
+
+interface SavedCompaniesPageProps {
+  industries: IndustryOption[];
+}
+
+const PAGE_SIZE = 200;
+
+const SavedCompaniesPage = ({ industries }: SavedCompaniesPageProps) => {
+  const { status: authStatus } = useAuth();
+  const location = useLocation();
+  const [companies, setCompanies] = useState<Company[]>([]);
+  const [totalCompanies, setTotalCompanies] = useState<number>(0);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [hasMore, setHasMore] = useState<boolean>(false);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [loadingMore, setLoadingMore] = useState<boolean>(false);
+  const [error, setError] = useState<string>('');
+  const [searchQuery, setSearchQuery] = useState<string>('');
+  const [selectedIndustry, setSelectedIndustry] = useState<string>('');
+  const [filters, setFilters] = useState<CompanyFilters>({});
+  const [sort, setSort] = useState<CompanySort>({});
+
+  const fetchPage = useCallback(async (cursor: string | null) => {
+    const params = buildCompanyParams(searchQuery, selectedIndustry, filters, sort);
+    params.set('limit', String(PAGE_SIZE));
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+    return getSavedCompanies(params);
+  }, [searchQuery, selectedIndustry, filters, sort]);
+
+  // Reload from the first page whenever the filters or sort change
+  useEffect(() => {
+    if (authStatus !== 'authenticated') return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    fetchPage(null)
+      .then(data => {
+        if (cancelled) return;
+        setCompanies(data.companies);
+        setTotalCompanies(data.pagination.total ?? data.companies.length);
+        setNextCursor(data.pagination.nextCursor);
+        setHasMore(data.pagination.hasMore);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Error fetching saved companies:', err);
+        setError('Failed to load saved companies');
+        setCompanies([]);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [authStatus, fetchPage]);
+
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const data = await fetchPage(nextCursor);
+      setCompanies(prev => [...prev, ...data.companies]);
+      setNextCursor(data.pagination.nextCursor);
+      setHasMore(data.pagination.hasMore);
+    } catch (err) {
+      console.error('Error fetching saved companies:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  if (authStatus === 'anonymous') {
+    return <Navigate to={`/login?redirect=${encodeURIComponent(location.pathname)}`} replace />;
+  }
+
+  const hasActiveFilters = searchQuery !== '' || selectedIndustry !== '' || Object.keys(filters).length > 0;
+
+  return (
+    <>
+      <header className="header">
+        <Button asChild variant="outline" size="icon" className="header-back-button">
+          <Link to={getHomeHref()} aria-label="Back to all companies">
+            <ArrowLeft className="h-4 w-4" />
+          </Link>
+        </Button>
+        <h1>My saved companies</h1>
+        <UserMenu />
+      </header>
+
+      <main className="main-content">
+        <SearchBar
+          onSearch={setSearchQuery}
+          onIndustryChange={setSelectedIndustry}
+          onFiltersChange={setFilters}
+          onSortChange={setSort}
+          onClearFilters={() => {
+            setSearchQuery('');
+            setSelectedIndustry('');
+            setFilters({});
+          }}
+          industries={industries}
+          totalCompanies={totalCompanies}
+          searchQuery={searchQuery}
+          selectedIndustry={selectedIndustry}
+          filters={filters}
+          sort={sort}
+          showExport={false}
+        />
+
+        {error ? (
+          <div className="no-results">{error}</div>
+        ) : (
+          <CompanyGrid
+            companies={companies}
+            loading={loading}
+            loadingMore={loadingMore}
+            hasMore={hasMore}
+            totalCompanies={totalCompanies}
+            onLoadMore={loadMore}
+            sort={sort}
+            onSortChange={setSort}
+            emptyMessage={hasActiveFilters
+              ? 'No saved companies match your criteria.'
+              : 'You have not saved any companies yet. Use the ☆ on a company to save it here.'}
+          />
+        )}
+      </main>
+    </>
+  );
+};
+
+export default SavedCompaniesPage;
@@ -0,0 +1,75 @@
+import { ReactNode, useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { SavedCompaniesContext, SavedCompaniesContextValue } from '../hooks/use-saved-companies';
+import { useAuth } from '../hooks/use-auth';
+import { getSavedCompanyIds, saveCompany, unsaveCompany } from '../lib/api';
+
+const SavedCompaniesProvider = ({ children }: { children: ReactNode }) => {
+  const { user } = useAuth();
+  const userId = user?.id;
+  const [savedIds, setSavedIds] = useState<Set<string>>(new Set());
+  const [reloadCount, setReloadCount] = useState<number>(0);
+  const savedIdsRef = useRef(savedIds);
+  savedIdsRef.current = savedIds;
+
+  // Clear and reload whenever the signed-in user changes
+  useEffect(() => {
+    setSavedIds(new Set());
+  }, [userId]);
+
+  useEffect(() => {
+    if (!userId) return;
+
+    let cancelled = false;
+    getSavedCompanyIds()
+      .then(({ ids }) => {
+        if (!cancelled) setSavedIds(new Set(ids));
+      })
+      .catch(error => console.error('Error fetching saved companies:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, reloadCount]);
+
+  const reload = useCallback(() => setReloadCount(count => count + 1), []);
+
+  const markSaved = useCallback((companyId: string, saved: boolean) => {
+    setSavedIds(prev => {
+      if (prev.has(companyId) === saved) return prev;
+      const next = new Set(prev);
+      if (saved) {
+        next.add(companyId);
+      } else {
+        next.delete(companyId);
+      }
+      return next;
+    });
+  }, []);
+
+  const toggleSaved = useCallback(async (companyId: string) => {
+    const wasSaved = savedIdsRef.current.has(companyId);
+    markSaved(companyId, !wasSaved);
+    try {
+      if (wasSaved) {
+        await unsaveCompany(companyId);
+      } else {
+        await saveCompany(companyId);
+      }
+    } catch (error) {
+      markSaved(companyId, wasSaved);
+      throw error;
+    }
+  }, [markSaved]);
+
+  const value = useMemo<SavedCompaniesContextValue>(() => ({
+    savedIds,
+    isSaved: (companyId) => savedIds.has(companyId),
+    toggleSaved,
+    markSaved,
+    reload
+  }), [savedIds, toggleSaved, markSaved, reload]);
+
+  return <SavedCompaniesContext.Provider value={value}>{children}</SavedCompaniesContext.Provider>;
+};
+
+export default SavedCompaniesProvider;
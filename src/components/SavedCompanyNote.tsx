@@ -0,0 +1,76 @@
+import { useEffect, useState } from 'react';
+import { Star } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { getSavedCompany, saveCompany } from '../lib/api';
+
+interface SavedCompanyNoteProps {
+  companyId: string;
+}
+
+// Short note stored with the bookmark, shown on the saved companies list
+const SavedCompanyNote = ({ companyId }: SavedCompanyNoteProps) => {
+  const [notes, setNotes] = useState<string>('');
+  const [savedNotes, setSavedNotes] = useState<string>('');
+  const [status, setStatus] = useState<'loading' | 'ready' | 'saving' | 'error'>('loading');
+
+  useEffect(() => {
+    let cancelled = false;
+    setStatus('loading');
+
+    getSavedCompany(companyId)
+      .then(saved => {
+        if (cancelled) return;
+        setNotes(saved.notes || '');
+        setSavedNotes(saved.notes || '');
+        setStatus('ready');
+      })
+      .catch(error => {
+        // A just-saved company may not be readable yet; start with an empty note
+        if (cancelled) return;
+        console.error('Error fetching saved company note:', error);
+        setStatus('ready');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [companyId]);
+
+  const handleSave = async () => {
+    setStatus('saving');
+    try {
+      const saved = await saveCompany(companyId, notes);
+      setNotes(saved.notes || '');
+      setSavedNotes(saved.notes || '');
+      setStatus('ready');
+    } catch (error) {
+      console.error('Error saving note:', error);
+      setStatus('error');
+    }
+  };
+
+  return (
+    <div className="saved-note-section">
+      <h3>
+        <Star className="section-icon" />
+        Saved company note
+      </h3>
+      <Textarea
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+        placeholder="Why is this company on your list?"
+        disabled={status === 'loading'}
+        rows={2}
+      />
+      <div className="saved-note-actions">
+        {status === 'error' && <span className="saved-note-error">Failed to save note</span>}
+        <Button size="sm" onClick={handleSave} disabled={status === 'loading' || status === 'saving' || notes === savedNotes}>
+          {status === 'saving' ? 'Saving…' : 'Save note'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default SavedCompanyNote;
@@ -0,0 +1,193 @@
+import { FormEvent, useCallback, useEffect, useState } from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { Bookmark, Check, Pencil, Trash2, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { useAuth } from '../hooks/use-auth';
+import { SavedSearch, SearchCriteria } from '../lib/types';
+import { SavedSearchRun, createSavedSearch, deleteSavedSearch, getSavedSearches, renameSavedSearch, runSavedSearch } from '../lib/api';
+
+interface SavedSearchMenuProps {
+  // The current search, filters and sort, saved as-is
+  criteria: SearchCriteria;
+  onLoad: (run: SavedSearchRun) => void;
+}
+
+const SavedSearchMenu = ({ criteria, onLoad }: SavedSearchMenuProps) => {
+  const { status: authStatus } = useAuth();
+  const location = useLocation();
+  const [savedSearches, setSavedSearches] = useState<SavedSearch[]>([]);
+  const [open, setOpen] = useState<boolean>(false);
+  const [name, setName] = useState<string>('');
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [editingName, setEditingName] = useState<string>('');
+  const [busy, setBusy] = useState<boolean>(false);
+  const [error, setError] = useState<string>('');
+
+  const loadSavedSearches = useCallback(async () => {
+    try {
+      const data = await getSavedSearches();
+      setSavedSearches(data.savedSearches);
+    } catch (err) {
+      console.error('Error fetching saved searches:', err);
+      setError('Failed to load saved searches');
+    }
+  }, []);
+
+  // Loaded up front so the trigger can show new-match counts
+  useEffect(() => {
+    if (authStatus === 'authenticated') {
+      loadSavedSearches();
+    } else {
+      setSavedSearches([]);
+    }
+  }, [authStatus, loadSavedSearches]);
+
+  // Wraps an action so only one request runs at a time and failures are shown
+  const perform = async (action: () => Promise<void>, failure: string) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      setError(failure);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = (event: FormEvent) => {
+    event.preventDefault();
+    perform(async () => {
+      const savedSearch = await createSavedSearch(name.trim(), criteria);
+      setSavedSearches(prev => [...prev, savedSearch].sort((a, b) => a.name.localeCompare(b.name)));
+      setName('');
+    }, 'Failed to save search');
+  };
+
+  const handleRun = (savedSearch: SavedSearch) => perform(async () => {
+    const run = await runSavedSearch(savedSearch.id);
+    setSavedSearches(prev => prev.map(search => (search.id === savedSearch.id ? run.savedSearch : search)));
+    setOpen(false);
+    onLoad(run);
+  }, 'Failed to load search');
+
+  const handleRename = (event: FormEvent) => {
+    event.preventDefault();
+    if (!editingId) return;
+    perform(async () => {
+      const renamed = await renameSavedSearch(editingId, editingName.trim());
+      setSavedSearches(prev => prev.map(search => (search.id === renamed.id ? renamed : search)));
+      setEditingId(null);
+    }, 'Failed to rename search');
+  };
+
+  const handleDelete = (savedSearch: SavedSearch) => {
+    if (!window.confirm(`Delete saved search "${savedSearch.name}"?`)) return;
+    perform(async () => {
+      await deleteSavedSearch(savedSearch.id);
+      setSavedSearches(prev => prev.filter(search => search.id !== savedSearch.id));
+    }, 'Failed to delete search');
+  };
+
+  const totalNew = savedSearches.reduce((sum, search) => sum + (search.newMatches || 0), 0);
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <Button variant="outline" size="sm" className="flex items-center gap-2">
+          <Bookmark className="h-4 w-4" />
+          Saved searches
+          {totalNew > 0 && <span className="saved-search-new">{totalNew.toLocaleString()} new</span>}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-80 space-y-4">
+        {authStatus === 'anonymous' ? (
+          <Button asChild className="w-full">
+            <Link to={`/login?redirect=${encodeURIComponent(location.pathname + location.search)}`}>
+              Sign in to save searches
+            </Link>
+          </Button>
+        ) : (
+          <>
+            <form className="flex gap-2" onSubmit={handleSave}>
+              <Input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Name this search"
+                maxLength={255}
+                aria-label="Saved search name"
+              />
+              <Button type="submit" size="sm" disabled={busy || !name.trim()}>Save</Button>
+            </form>
+
+            {savedSearches.length === 0 ? (
+              <p className="text-sm text-gray-500">No saved searches yet.</p>
+            ) : (
+              <ul className="saved-search-list">
+                {savedSearches.map(search => (
+                  <li key={search.id} className="saved-search-item">
+                    {editingId === search.id ? (
+                      <form className="flex flex-1 gap-1" onSubmit={handleRename}>
+                        <Input
+                          value={editingName}
+                          onChange={(e) => setEditingName(e.target.value)}
+                          maxLength={255}
+                          aria-label="New name"
+                          autoFocus
+                        />
+                        <Button type="submit" variant="ghost" size="icon" disabled={busy || !editingName.trim()} aria-label="Save name">
+                          <Check className="h-4 w-4" />
+                        </Button>
+                        <Button type="button" variant="ghost" size="icon" onClick={() => setEditingId(null)} aria-label="Cancel rename">
+                          <X className="h-4 w-4" />
+                        </Button>
+                      </form>
+                    ) : (
+                      <>
+                        <button
+                          type="button"
+                          className="saved-search-name"
+                          onClick={() => handleRun(search)}
+                          disabled={busy}
+                        >
+                          {search.name}
+                          {search.newMatches ? <span className="saved-search-new">{search.newMatches.toLocaleString()} new</span> : null}
+                        </button>
+                        <button
+                          type="button"
+                          className="saved-search-action"
+                          onClick={() => {
+                            setEditingId(search.id);
+                            setEditingName(search.name);
+                          }}
+                          aria-label={`Rename ${search.name}`}
+                        >
+                          <Pencil size={14} />
+                        </button>
+                        <button
+                          type="button"
+                          className="saved-search-action"
+                          onClick={() => handleDelete(search)}
+                          disabled={busy}
+                          aria-label={`Delete ${search.name}`}
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+        {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default SavedSearchMenu;
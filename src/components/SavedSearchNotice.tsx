@@ -0,0 +1,36 @@
+import { X } from 'lucide-react';
+import { SavedSearchRun } from '../lib/api';
+
+interface SavedSearchNoticeProps {
+  run: SavedSearchRun;
+  onDismiss: () => void;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "since Tuesday" within the last week, otherwise "since Mar 4, 2025"
+const formatSince = (value: string) => {
+  const date = new Date(value);
+  if (Date.now() - date.getTime() < 6 * DAY_MS) {
+    return date.toLocaleDateString(undefined, { weekday: 'long' });
+  }
+  return date.toLocaleDateString(undefined, { dateStyle: 'medium' });
+};
+
+const SavedSearchNotice = ({ run, onDismiss }: SavedSearchNoticeProps) => (
+  <div className="saved-search-notice" role="status">
+    <span>
+      <strong>{run.savedSearch.name}</strong>
+      {': '}
+      {run.newSince
+        ? `${run.newMatches.toLocaleString()} new ${run.newMatches === 1 ? 'match' : 'matches'} since ${formatSince(run.newSince)}`
+        : 'first run'}
+      {run.newMatches > 0 && ' — marked New below'}
+    </span>
+    <button type="button" className="filter-remove" onClick={onDismiss} aria-label="Dismiss">
+      <X size={14} />
+    </button>
+  </div>
+);
+
+export default SavedSearchNotice;
@@ -0,0 +1,175 @@
+import { KeyboardEvent, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Building2, MapPin, Tag } from 'lucide-react';
+import { SearchSuggestions } from '../lib/types';
+import { getSearchSuggestions } from '../lib/api';
+
+interface SearchAutocompleteProps {
+  value: string;
+  onChange: (value: string) => void;
+  // Picking a city suggestion filters by it instead of searching the text
+  onSelectCity: (city: string) => void;
+  // Enter without a suggestion highlighted, or leaving the box
+  onSubmit?: (value: string) => void;
+  placeholder?: string;
+}
+
+interface SuggestionItem {
+  key: string;
+  kind: 'company' | 'tradestyle' | 'city';
+  label: string;
+  detail: string;
+  select: () => void;
+}
+
+const SUGGEST_DELAY_MS = 150;
+
+const ICONS = {
+  company: Building2,
+  tradestyle: Tag,
+  city: MapPin
+};
+
+const location = (city: string, state: string) => [city, state].filter(Boolean).join(', ');
+
+const SearchAutocomplete = ({ value, onChange, onSelectCity, onSubmit, placeholder }: SearchAutocompleteProps) => {
+  const navigate = useNavigate();
+  const [suggestions, setSuggestions] = useState<SearchSuggestions | null>(null);
+  const [open, setOpen] = useState<boolean>(false);
+  const [activeIndex, setActiveIndex] = useState<number>(-1);
+
+  // Each keystroke cancels the pending lookup, so only the latest term's
+  // suggestions are ever shown
+  useEffect(() => {
+    const query = value.trim();
+    if (query.length < 3) {
+      setSuggestions(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const data = await getSearchSuggestions(query, controller.signal);
+        setSuggestions(data.suggestions);
+        setActiveIndex(-1);
+      } catch (error) {
+        if (!controller.signal.aborted) {
+          console.error('Error fetching suggestions:', error);
+        }
+      }
+    }, SUGGEST_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [value]);
+
+  const items: SuggestionItem[] = suggestions ? [
+    ...suggestions.companies.map(company => ({
+      key: `company-${company.id}`,
+      kind: 'company' as const,
+      label: company.name,
+      detail: location(company.city, company.state),
+      select: () => navigate(`/company/${company.id}`)
+    })),
+    ...suggestions.tradestyles.map(tradestyle => ({
+      key: `tradestyle-${tradestyle.id}`,
+      kind: 'tradestyle' as const,
+      label: tradestyle.name,
+      detail: `${tradestyle.companyName}${tradestyle.city ? ` · ${location(tradestyle.city, tradestyle.state)}` : ''}`,
+      select: () => navigate(`/company/${tradestyle.id}`)
+    })),
+    ...suggestions.cities.map(city => ({
+      key: `city-${city.city}-${city.state}`,
+      kind: 'city' as const,
+      label: location(city.city, city.state),
+      detail: `${city.count.toLocaleString()} companies`,
+      select: () => onSelectCity(city.city)
+    }))
+  ] : [];
+
+  const showDropdown = open && items.length > 0;
+
+  const selectItem = (item: SuggestionItem) => {
+    setOpen(false);
+    item.select();
+  };
+
+  const handleKeyDown = (e: KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'Enter' && !(showDropdown && activeIndex >= 0)) {
+      setOpen(false);
+      onSubmit?.(value);
+      return;
+    }
+    if (!showDropdown) {
+      if (e.key === 'ArrowDown' && items.length > 0) setOpen(true);
+      return;
+    }
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(index => (index + 1) % items.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? items.length - 1 : index - 1));
+    } else if (e.key === 'Enter' && activeIndex >= 0) {
+      e.preventDefault();
+      selectItem(items[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className="search-autocomplete">
+      <input
+        type="text"
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => {
+          setOpen(false);
+          onSubmit?.(value);
+        }}
+        onKeyDown={handleKeyDown}
+        className="search-input"
+        role="combobox"
+        aria-expanded={showDropdown}
+        aria-controls="search-suggestions"
+        aria-autocomplete="list"
+        aria-activedescendant={showDropdown && activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+      />
+      {showDropdown && (
+        <ul id="search-suggestions" className="search-suggestions" role="listbox">
+          {items.map((item, index) => {
+            const Icon = ICONS[item.kind];
+            return (
+              <li
+                key={item.key}
+                id={`search-suggestion-${index}`}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={`search-suggestion ${index === activeIndex ? 'active' : ''}`}
+                // Keep focus in the input so onBlur doesn't close the list before the click lands
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => selectItem(item)}
+                onMouseEnter={() => setActiveIndex(index)}
+              >
+                <Icon size={14} className="search-suggestion-icon" />
+                <span className="search-suggestion-label">{item.label}</span>
+                <span className="search-suggestion-detail">{item.detail}</span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchAutocomplete;
@@ -1,47 +1,177 @@
-import { useState, useEffect } from 'react';
-import { IndustryOption } from '../lib/types';
+import { useState, useEffect, useRef } from 'react';
+import { CompanyFacets, CompanyFilters, CompanySort, FacetBucket, IndustryOption } from '../lib/types';
+import { EMPLOYEE_BANDS, REVENUE_BANDS, SORT_OPTIONS, RangeBand, buildCompanyParams, buildSearchCriteria, compactFilters, findBandIndex } from '../lib/filters';
+import { SavedSearchRun } from '../lib/api';
 import { X } from 'lucide-react';
+import ExportMenu from './ExportMenu';
+import SavedSearchMenu from './SavedSearchMenu';
+import SearchAutocomplete from './SearchAutocomplete';
 
 interface SearchBarProps {
   onSearch: (query: string) => void;
+  // A search the user settled on (Enter or leaving the search box), as
+  // opposed to each pause while typing
+  onSubmitSearch?: (query: string) => void;
   onIndustryChange: (industry: string) => void;
+  onFiltersChange: (filters: CompanyFilters) => void;
+  onSortChange: (sort: CompanySort) => void;
   onClearFilters: () => void;
   industries: IndustryOption[];
+  facets?: CompanyFacets | null;
   totalCompanies: number;
   searchQuery: string;
   selectedIndustry: string;
+  filters: CompanyFilters;
+  sort: CompanySort;
+  // The export covers /api/companies, so views over other lists hide it
+  showExport?: boolean;
+  // Shows the saved search menu; called with the criteria and new matches of a loaded search
+  onLoadSavedSearch?: (run: SavedSearchRun) => void;
+  // Id of the company list being browsed, which adds the list order sort
+  listId?: string;
 }
 
-const SearchBar = ({ onSearch, onIndustryChange, onClearFilters, industries, totalCompanies, searchQuery, selectedIndustry }: SearchBarProps) => {
+type BooleanFilterKey = 'isHeadquarters' | 'hasWebsite' | 'hasContacts';
+
+const BOOLEAN_FILTERS: { key: BooleanFilterKey; label: string; trueLabel: string; falseLabel: string }[] = [
+  { key: 'isHeadquarters', label: 'HQ', trueLabel: 'Headquarters only', falseLabel: 'Branches only' },
+  { key: 'hasWebsite', label: 'Website', trueLabel: 'Has website', falseLabel: 'No website' },
+  { key: 'hasContacts', label: 'Contacts', trueLabel: 'Has contacts', falseLabel: 'No contacts' }
+];
+
+const LIST_FILTER_LABELS = {
+  state: 'State',
+  city: 'City',
+  postalCode: 'ZIP',
+  ownershipType: 'Ownership',
+  entityType: 'Entity'
+};
+
+const formatRange = (min?: number, max?: number) => {
+  if (min !== undefined && max !== undefined) return `${min.toLocaleString()} – ${max.toLocaleString()}`;
+  if (min !== undefined) return `${min.toLocaleString()}+`;
+  if (max !== undefined) return `up to ${max.toLocaleString()}`;
+  return '';
+};
+
+// Typing only updates the search (and fetches companies) once the user pauses
+const SEARCH_DEBOUNCE_MS = 300;
+
+const formatCount = (count?: number) => (count === undefined ? '' : ` (${count.toLocaleString()})`);
+
+const SearchBar = ({ onSearch, onSubmitSearch, onIndustryChange, onFiltersChange, onSortChange, onClearFilters, industries, facets, totalCompanies, searchQuery, selectedIndustry, filters, sort, showExport = true, onLoadSavedSearch, listId = '' }: SearchBarProps) => {
   const [localSearchQuery, setLocalSearchQuery] = useState(searchQuery);
+  // The last query passed to onSearch, so our own updates coming back as
+  // props don't overwrite text typed since
+  const sentQueryRef = useRef(searchQuery);
+  const onSearchRef = useRef(onSearch);
+  onSearchRef.current = onSearch;
 
   // Sync local state with props when they change (e.g., when filters are cleared)
   useEffect(() => {
-    setLocalSearchQuery(searchQuery);
+    if (searchQuery !== sentQueryRef.current) {
+      sentQueryRef.current = searchQuery;
+      setLocalSearchQuery(searchQuery);
+    }
   }, [searchQuery]);
-  
-  const handleSearchChange = (e: React.ChangeEvent<HTMLInputElement>) => {
-    const value = e.target.value;
-    setLocalSearchQuery(value);
-    onSearch(value);
+
+  useEffect(() => {
+    if (localSearchQuery === sentQueryRef.current) return;
+    const timer = setTimeout(() => {
+      sentQueryRef.current = localSearchQuery;
+      onSearchRef.current(localSearchQuery);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [localSearchQuery]);
+
+  const searchNow = (query: string) => {
+    sentQueryRef.current = query;
+    setLocalSearchQuery(query);
+    onSearch(query);
   };
   
+  // Enter searches right away rather than after the debounce
+  const submitSearch = (query: string) => {
+    if (query !== sentQueryRef.current) {
+      searchNow(query);
+    }
+    onSubmitSearch?.(query);
+  };
+
   const handleIndustryChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
     onIndustryChange(e.target.value);
   };
   
-  const hasActiveFilters = localSearchQuery || selectedIndustry;
-  const selectedIndustryLabel = industries.find(ind => ind.value === selectedIndustry)?.label;
+  const updateFilters = (changes: CompanyFilters) => {
+    onFiltersChange(compactFilters({ ...filters, ...changes }));
+  };
+
+  const handleSelectCity = (city: string) => {
+    searchNow('');
+    updateFilters({ city: [city] });
+  };
+
+  const handleBandChange = (bands: RangeBand[], minKey: 'revenueMin' | 'employeesMin', maxKey: 'revenueMax' | 'employeesMax') =>
+    (e: React.ChangeEvent<HTMLSelectElement>) => {
+      const band = e.target.value === '' ? undefined : bands[parseInt(e.target.value)];
+      updateFilters({ [minKey]: band?.min, [maxKey]: band?.max });
+    };
+
+  const handleBooleanChange = (key: BooleanFilterKey) => (e: React.ChangeEvent<HTMLSelectElement>) => {
+    updateFilters({ [key]: e.target.value === '' ? undefined : e.target.value === 'true' });
+  };
+
+  const revenueBandIndex = findBandIndex(REVENUE_BANDS, filters.revenueMin, filters.revenueMax);
+  const employeeBandIndex = findBandIndex(EMPLOYEE_BANDS, filters.employeesMin, filters.employeesMax);
+  const hasRevenueFilter = filters.revenueMin !== undefined || filters.revenueMax !== undefined;
+  const hasEmployeeFilter = filters.employeesMin !== undefined || filters.employeesMax !== undefined;
+
+  const handleCityChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    updateFilters({ city: e.target.value ? [e.target.value] : undefined });
+  };
+
+  // With facets loaded, only list industries that have matches for the other
+  // filters, with their counts. The selected industry always stays listed.
+  const industryOptions: (IndustryOption & { count?: number })[] = facets
+    ? facets.industry.map(facet => ({ value: facet.value, label: facet.value, count: facet.count }))
+    : [...industries];
+  if (selectedIndustry && !industryOptions.some(option => option.value === selectedIndustry)) {
+    industryOptions.unshift({ value: selectedIndustry, label: selectedIndustry, count: facets ? 0 : undefined });
+  }
+
+  const bucketCount = (buckets: FacetBucket[] | undefined, key: string) => buckets?.find(bucket => bucket.key === key)?.count;
+  const hqCount = (value: boolean) => facets?.isHeadquarters.find(facet => facet.value === value)?.count ?? (facets ? 0 : undefined);
+  const selectedCity = filters.city?.length === 1 ? filters.city[0] : '';
+  // Cities match case-insensitively, so e.g. "minneapolis" from an older
+  // saved search selects the "Minneapolis" option rather than adding one
+  const selectedCityFacet = selectedCity
+    ? facets?.city.find(facet => facet.value.toLowerCase() === selectedCity.toLowerCase())
+    : undefined;
+
+  const handleSortChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    const option = e.target.value === '' ? undefined : SORT_OPTIONS[parseInt(e.target.value)];
+    onSortChange(option ? { sort: option.sort, order: option.order } : {});
+  };
+
+  const sortIndex = SORT_OPTIONS.findIndex(option => option.sort === sort.sort && option.order === sort.order);
+  const sortOptions = SORT_OPTIONS
+    .map((option, index) => ({ ...option, index }))
+    .filter(option => !option.requiresSearch || searchQuery.trim() || option.index === sortIndex)
+    .filter(option => !option.requiresList || listId);
+  const defaultSortLabel = searchQuery.trim() ? 'Best match' : listId ? 'List order' : 'Name (A–Z)';
+
+  const hasActiveFilters = localSearchQuery || selectedIndustry || Object.keys(filters).length > 0;
+  const selectedIndustryLabel = industryOptions.find(ind => ind.value === selectedIndustry)?.label;
 
   return (
     <div className="search-container">
       <div className="search-bar">
-        <input
-          type="text"
-          placeholder="Search companies by name or description..."
+        <SearchAutocomplete
+          placeholder='Search companies by name or description... (use "exact phrase", -exclude, OR)'
           value={localSearchQuery}
-          onChange={handleSearchChange}
-          className="search-input"
+          onChange={setLocalSearchQuery}
+          onSelectCity={handleSelectCity}
+          onSubmit={submitSearch}
         />
       </div>
       
@@ -52,14 +182,76 @@ const SearchBar = ({ onSearch, onIndustryChange, onClearFilters, industries, tot
           value={selectedIndustry}
         >
           <option value="">All Industries</option>
-          {industries.map((industry, index) => (
+          {industryOptions.map((industry, index) => (
             <option key={index} value={industry.value}>
-              {industry.label}
+              {industry.label}{formatCount(industry.count)}
             </option>
           ))}
         </select>
       </div>
 
+      <div className="filter-container">
+        <select
+          className={`industry-select ${hasRevenueFilter ? 'active' : ''}`}
+          onChange={handleBandChange(REVENUE_BANDS, 'revenueMin', 'revenueMax')}
+          value={revenueBandIndex >= 0 ? revenueBandIndex : ''}
+          aria-label="Revenue"
+        >
+          <option value="">Any Revenue</option>
+          {REVENUE_BANDS.map((band, index) => (
+            <option key={band.key} value={index}>{band.label}{formatCount(bucketCount(facets?.revenue, band.key))}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="filter-container">
+        <select
+          className={`industry-select ${hasEmployeeFilter ? 'active' : ''}`}
+          onChange={handleBandChange(EMPLOYEE_BANDS, 'employeesMin', 'employeesMax')}
+          value={employeeBandIndex >= 0 ? employeeBandIndex : ''}
+          aria-label="Employees"
+        >
+          <option value="">Any Employees</option>
+          {EMPLOYEE_BANDS.map((band, index) => (
+            <option key={band.key} value={index}>{band.label} employees{formatCount(bucketCount(facets?.employees, band.key))}</option>
+          ))}
+        </select>
+      </div>
+
+      {facets && facets.city.length > 0 && (
+        <div className="filter-container">
+          <select
+            className={`industry-select ${filters.city ? 'active' : ''}`}
+            onChange={handleCityChange}
+            value={selectedCityFacet ? selectedCityFacet.value : selectedCity}
+            aria-label="City"
+          >
+            <option value="">All Cities</option>
+            {selectedCity && !selectedCityFacet && (
+              <option value={selectedCity}>{selectedCity} (0)</option>
+            )}
+            {facets.city.map(facet => (
+              <option key={facet.value} value={facet.value}>{facet.value}{formatCount(facet.count)}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {BOOLEAN_FILTERS.map(({ key, label, trueLabel, falseLabel }) => (
+        <div key={key} className="filter-container filter-container-small">
+          <select
+            className={`industry-select ${filters[key] !== undefined ? 'active' : ''}`}
+            onChange={handleBooleanChange(key)}
+            value={filters[key] === undefined ? '' : String(filters[key])}
+            aria-label={label}
+          >
+            <option value="">{label}: Any</option>
+            <option value="true">{trueLabel}{key === 'isHeadquarters' ? formatCount(hqCount(true)) : ''}</option>
+            <option value="false">{falseLabel}{key === 'isHeadquarters' ? formatCount(hqCount(false)) : ''}</option>
+          </select>
+        </div>
+      ))}
+
       {/* Active Filters Display */}
       {hasActiveFilters && (
         <div className="active-filters">
@@ -68,10 +260,7 @@ const SearchBar = ({ onSearch, onIndustryChange, onClearFilters, industries, tot
             <span className="filter-tag">
               Search: "{localSearchQuery}"
               <button 
-                onClick={() => {
-                  setLocalSearchQuery('');
-                  onSearch('');
-                }}
+                onClick={() => searchNow('')}
                 className="filter-remove"
                 aria-label="Clear search"
               >
@@ -91,6 +280,66 @@ const SearchBar = ({ onSearch, onIndustryChange, onClearFilters, industries, tot
               </button>
             </span>
           )}
+          {hasRevenueFilter && (
+            <span className="filter-tag">
+              Revenue: {revenueBandIndex >= 0 ? REVENUE_BANDS[revenueBandIndex].label : `$${formatRange(filters.revenueMin, filters.revenueMax)}`}
+              <button 
+                onClick={() => updateFilters({ revenueMin: undefined, revenueMax: undefined })}
+                className="filter-remove"
+                aria-label="Clear revenue filter"
+              >
+                <X size={14} />
+              </button>
+            </span>
+          )}
+          {hasEmployeeFilter && (
+            <span className="filter-tag">
+              Employees: {employeeBandIndex >= 0 ? EMPLOYEE_BANDS[employeeBandIndex].label : formatRange(filters.employeesMin, filters.employeesMax)}
+              <button 
+                onClick={() => updateFilters({ employeesMin: undefined, employeesMax: undefined })}
+                className="filter-remove"
+                aria-label="Clear employees filter"
+              >
+                <X size={14} />
+              </button>
+            </span>
+          )}
+          {(filters.siteEmployeesMin !== undefined || filters.siteEmployeesMax !== undefined) && (
+            <span className="filter-tag">
+              Site employees: {formatRange(filters.siteEmployeesMin, filters.siteEmployeesMax)}
+              <button 
+                onClick={() => updateFilters({ siteEmployeesMin: undefined, siteEmployeesMax: undefined })}
+                className="filter-remove"
+                aria-label="Clear site employees filter"
+              >
+                <X size={14} />
+              </button>
+            </span>
+          )}
+          {(['state', 'city', 'postalCode', 'ownershipType', 'entityType'] as const).map(key => filters[key] && (
+            <span key={key} className="filter-tag">
+              {LIST_FILTER_LABELS[key]}: {filters[key]?.join(', ')}
+              <button 
+                onClick={() => updateFilters({ [key]: undefined })}
+                className="filter-remove"
+                aria-label={`Clear ${LIST_FILTER_LABELS[key].toLowerCase()} filter`}
+              >
+                <X size={14} />
+              </button>
+            </span>
+          ))}
+          {BOOLEAN_FILTERS.map(({ key, trueLabel, falseLabel }) => filters[key] !== undefined && (
+            <span key={key} className="filter-tag">
+              {filters[key] ? trueLabel : falseLabel}
+              <button 
+                onClick={() => updateFilters({ [key]: undefined })}
+                className="filter-remove"
+                aria-label={`Clear ${trueLabel.toLowerCase()} filter`}
+              >
+                <X size={14} />
+              </button>
+            </span>
+          ))}
           <button 
             onClick={onClearFilters}
             className="clear-all-filters"
@@ -100,8 +349,36 @@ const SearchBar = ({ onSearch, onIndustryChange, onClearFilters, industries, tot
         </div>
       )}
 
-      <div className="results-count">
-        {totalCompanies} companies found
+      <div className="results-bar">
+        <div className="results-count">
+          {totalCompanies} companies found
+        </div>
+        <div className="results-actions">
+          {onLoadSavedSearch && (
+            <SavedSearchMenu
+              criteria={buildSearchCriteria(searchQuery, selectedIndustry, filters, sort)}
+              onLoad={onLoadSavedSearch}
+            />
+          )}
+          {showExport && (
+            <ExportMenu
+              queryParams={listId ? undefined : buildCompanyParams(searchQuery, selectedIndustry, filters, sort)}
+              selection={listId ? { filter: { ...buildSearchCriteria(searchQuery, selectedIndustry, filters, sort), list: listId } } : undefined}
+              totalCompanies={totalCompanies}
+            />
+          )}
+          <select
+            className="sort-select"
+            onChange={handleSortChange}
+            value={sortIndex >= 0 ? sortIndex : ''}
+            aria-label="Sort by"
+          >
+            <option value="">Sort: {defaultSortLabel}</option>
+            {sortOptions.map(option => (
+              <option key={option.index} value={option.index}>Sort: {option.label}</option>
+            ))}
+          </select>
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,105 @@
+import { FormEvent, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Task, TaskInput, TaskPriority } from '../lib/types';
+import { createTask, localDateString } from '../lib/api';
+
+interface TaskFormProps {
+  companyId?: string;
+  contactId?: string;
+  defaultTitle?: string;
+  onCreated?: (task: Task) => void;
+  // Replaces creating a single task, e.g. to create one per selected company
+  onSubmit?: (task: TaskInput) => Promise<void>;
+  submitLabel?: string;
+  onCancel?: () => void;
+}
+
+const tomorrow = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  return localDateString(date);
+};
+
+const TaskForm = ({ companyId, contactId, defaultTitle = '', onCreated, onSubmit, submitLabel = 'Add task', onCancel }: TaskFormProps) => {
+  const [title, setTitle] = useState<string>(defaultTitle);
+  const [dueDate, setDueDate] = useState<string>(tomorrow);
+  const [priority, setPriority] = useState<TaskPriority>('medium');
+  const [description, setDescription] = useState<string>('');
+  const [saving, setSaving] = useState<boolean>(false);
+  const [error, setError] = useState<string>('');
+
+  const handleSubmit = async (event: FormEvent) => {
+    event.preventDefault();
+    setSaving(true);
+    setError('');
+    try {
+      const input: TaskInput = {
+        title,
+        description: description || null,
+        dueDate: dueDate || null,
+        priority,
+        companyId: companyId ?? null,
+        contactId: contactId ?? null
+      };
+      const task = onSubmit ? await onSubmit(input) : await createTask(input);
+      setTitle('');
+      setDescription('');
+      if (task) {
+        onCreated?.(task);
+      }
+    } catch (err) {
+      console.error('Error creating task:', err);
+      setError('Failed to create task');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="task-form" onSubmit={handleSubmit}>
+      <div className="space-y-1">
+        <Label htmlFor="task-title">Task</Label>
+        <Input id="task-title" value={title} onChange={(e) => setTitle(e.target.value)} maxLength={255} required />
+      </div>
+      <div className="task-form-row">
+        <div className="space-y-1">
+          <Label htmlFor="task-due-date">Due</Label>
+          <Input id="task-due-date" type="date" value={dueDate} onChange={(e) => setDueDate(e.target.value)} />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="task-priority">Priority</Label>
+          <select
+            id="task-priority"
+            className="sort-select task-priority-select"
+            value={priority}
+            onChange={(e) => setPriority(e.target.value as TaskPriority)}
+          >
+            <option value="high">High</option>
+            <option value="medium">Medium</option>
+            <option value="low">Low</option>
+          </select>
+        </div>
+      </div>
+      <div className="space-y-1">
+        <Label htmlFor="task-description">Details (optional)</Label>
+        <Textarea id="task-description" value={description} onChange={(e) => setDescription(e.target.value)} rows={2} />
+      </div>
+      {error && <p className="task-form-error" role="alert">{error}</p>}
+      <div className="task-form-actions">
+        {onCancel && (
+          <Button type="button" variant="outline" size="sm" onClick={onCancel} disabled={saving}>
+            Cancel
+          </Button>
+        )}
+        <Button type="submit" size="sm" disabled={saving || !title.trim()}>
+          {saving ? 'Saving…' : submitLabel}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default TaskForm;
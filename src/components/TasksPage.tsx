@@ -0,0 +1,176 @@
+import { useCallback, useEffect, useState } from 'react';
+import { Link, Navigate, useLocation } from 'react-router-dom';
+import { ArrowLeft, Plus, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import TaskForm from './TaskForm';
+import UserMenu from './UserMenu';
+import { useAuth } from '../hooks/use-auth';
+import { Task, TaskStatus } from '../lib/types';
+import { deleteTask, getTasks, localDateString, setTaskCompleted } from '../lib/api';
+import { getHomeHref } from '../lib/home-link';
+
+const TABS: { status: TaskStatus; label: string }[] = [
+  { status: 'overdue', label: 'Overdue' },
+  { status: 'today', label: 'Due today' },
+  { status: 'upcoming', label: 'Upcoming' },
+  { status: 'completed', label: 'Completed' }
+];
+
+const formatDueDate = (dueDate: string | null) => {
+  if (!dueDate) return 'No due date';
+  // Parse as a local date; new Date('YYYY-MM-DD') would be UTC midnight
+  const [year, month, day] = dueDate.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, { dateStyle: 'medium' });
+};
+
+const TasksPage = () => {
+  const { status: authStatus } = useAuth();
+  const location = useLocation();
+  const [status, setStatus] = useState<TaskStatus>('today');
+  const [tasks, setTasks] = useState<Task[]>([]);
+  const [counts, setCounts] = useState<Partial<Record<TaskStatus, number>>>({});
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string>('');
+  const [showForm, setShowForm] = useState<boolean>(false);
+
+  const loadTasks = useCallback(async () => {
+    try {
+      const data = await getTasks(status);
+      setTasks(data.tasks);
+      setCounts(data.counts);
+      setError('');
+    } catch (err) {
+      console.error('Error fetching tasks:', err);
+      setError('Failed to load tasks');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    if (authStatus !== 'authenticated') return;
+    setLoading(true);
+    loadTasks();
+  }, [authStatus, loadTasks]);
+
+  if (authStatus === 'anonymous') {
+    return <Navigate to={`/login?redirect=${encodeURIComponent(location.pathname)}`} replace />;
+  }
+
+  // Completing moves a task to another tab, so refresh the list and counts
+  const handleToggleCompleted = async (task: Task) => {
+    try {
+      await setTaskCompleted(task.id, !task.completed);
+      await loadTasks();
+    } catch (err) {
+      console.error('Error updating task:', err);
+      setError('Failed to update task');
+    }
+  };
+
+  const handleDelete = async (task: Task) => {
+    if (!window.confirm(`Delete "${task.title}"?`)) return;
+    try {
+      await deleteTask(task.id);
+      await loadTasks();
+    } catch (err) {
+      console.error('Error deleting task:', err);
+      setError('Failed to delete task');
+    }
+  };
+
+  const today = localDateString();
+
+  return (
+    <>
+      <header className="header">
+        <Button asChild variant="outline" size="icon" className="header-back-button">
+          <Link to={getHomeHref()} aria-label="Back to all companies">
+            <ArrowLeft className="h-4 w-4" />
+          </Link>
+        </Button>
+        <h1>Tasks</h1>
+        <UserMenu />
+      </header>
+
+      <main className="main-content tasks-page">
+        <div className="tasks-toolbar">
+          <div className="tasks-tabs" role="tablist">
+            {TABS.map(tab => (
+              <button
+                key={tab.status}
+                type="button"
+                role="tab"
+                aria-selected={status === tab.status}
+                className={`tasks-tab ${status === tab.status ? 'active' : ''} ${tab.status}`}
+                onClick={() => setStatus(tab.status)}
+              >
+                {tab.label}
+                {counts[tab.status] !== undefined && <span className="tasks-tab-count">{counts[tab.status]}</span>}
+              </button>
+            ))}
+          </div>
+          <Button size="sm" onClick={() => setShowForm(!showForm)}>
+            <Plus className="h-4 w-4 mr-1" />
+            New task
+          </Button>
+        </div>
+
+        {showForm && (
+          <div className="tasks-form-card">
+            <TaskForm
+              onCreated={() => {
+                setShowForm(false);
+                loadTasks();
+              }}
+              onCancel={() => setShowForm(false)}
+            />
+          </div>
+        )}
+
+        {error && <p className="task-form-error">{error}</p>}
+
+        {loading ? (
+          <div className="loading-container">Loading tasks...</div>
+        ) : tasks.length === 0 ? (
+          <div className="no-results">
+            {status === 'completed' ? 'No completed tasks yet.' : 'Nothing here — you are all caught up.'}
+          </div>
+        ) : (
+          <ul className="task-list">
+            {tasks.map(task => (
+              <li key={task.id} className={`task-item ${task.completed ? 'completed' : ''}`}>
+                <Checkbox
+                  checked={task.completed}
+                  onCheckedChange={() => handleToggleCompleted(task)}
+                  aria-label={task.completed ? 'Mark as not done' : 'Mark as done'}
+                />
+                <div className="task-main">
+                  <div className="task-title">{task.title}</div>
+                  {(task.company || task.contact) && (
+                    <div className="task-links">
+                      {task.contact && <span>{task.contact.name}{task.contact.title ? `, ${task.contact.title}` : ''}</span>}
+                      {task.contact && task.company && <span> · </span>}
+                      {task.company && <Link to={`/company/${task.company.id}`}>{task.company.name}</Link>}
+                    </div>
+                  )}
+                  {task.description && <div className="task-description">{task.description}</div>}
+                </div>
+                <span className={`task-due ${!task.completed && task.dueDate && task.dueDate < today ? 'overdue' : ''}`}>
+                  {formatDueDate(task.dueDate)}
+                </span>
+                <span className={`task-priority ${task.priority}`}>{task.priority}</span>
+                <button type="button" className="task-delete" onClick={() => handleDelete(task)} aria-label="Delete task">
+                  <Trash2 size={16} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </main>
+    </>
+  );
+};
+
+export default TasksPage;
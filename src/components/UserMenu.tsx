@@ -0,0 +1,53 @@
+import { Link, useLocation } from 'react-router-dom';
+import { List, ListTodo, LogIn, LogOut, Star, User } from 'lucide-react';
+import { useAuth } from '../hooks/use-auth';
+
+const UserMenu = () => {
+  const { user, status, logout } = useAuth();
+  const location = useLocation();
+
+  if (status === 'loading') {
+    return null;
+  }
+
+  if (!user) {
+    const redirect = encodeURIComponent(location.pathname + location.search);
+    return (
+      <div className="user-menu">
+        <Link to={`/login?redirect=${redirect}`} className="user-menu-link">
+          <LogIn size={16} />
+          Sign in
+        </Link>
+      </div>
+    );
+  }
+
+  const displayName = [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email;
+
+  return (
+    <div className="user-menu">
+      <span className="user-menu-name" title={user.email}>
+        <User size={16} />
+        {displayName}
+      </span>
+      <Link to="/saved" className="user-menu-link">
+        <Star size={16} />
+        Saved
+      </Link>
+      <Link to="/tasks" className="user-menu-link">
+        <ListTodo size={16} />
+        Tasks
+      </Link>
+      <Link to="/lists" className="user-menu-link">
+        <List size={16} />
+        Lists
+      </Link>
+      <button type="button" className="user-menu-link" onClick={() => logout()}>
+        <LogOut size={16} />
+        Sign out
+      </button>
+    </div>
+  );
+};
+
+export default UserMenu;
@@ -0,0 +1,21 @@
+import { createContext, useContext } from 'react';
+import { AuthUser } from '../lib/types';
+
+export interface AuthContextValue {
+  user: AuthUser | null;
+  // 'loading' while a stored session is being checked on startup
+  status: 'loading' | 'authenticated' | 'anonymous';
+  login: (email: string, password: string) => Promise<void>;
+  register: (details: { email: string; password: string; firstName?: string; lastName?: string }) => Promise<void>;
+  logout: () => Promise<void>;
+}
+
+export const AuthContext = createContext<AuthContextValue | null>(null);
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+}
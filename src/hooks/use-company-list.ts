@@ -0,0 +1,48 @@
+import { useCallback, useEffect, useState } from 'react';
+import { useAuth } from './use-auth';
+import { HttpError, getList } from '../lib/api';
+import { CompanyListDetail } from '../lib/types';
+
+export type CompanyListStatus = 'idle' | 'loading' | 'ready' | 'not-found' | 'error';
+
+/**
+ * A company list with its shares, loaded once signed in. A list the user
+ * can't see is reported as not found, like the API does.
+ */
+export function useCompanyList(listId: string) {
+  const { status: authStatus } = useAuth();
+  const [list, setList] = useState<CompanyListDetail | null>(null);
+  const [status, setStatus] = useState<CompanyListStatus>('idle');
+  const [reloadCount, setReloadCount] = useState<number>(0);
+
+  useEffect(() => {
+    if (!listId || authStatus !== 'authenticated') {
+      setList(null);
+      setStatus('idle');
+      return;
+    }
+    let cancelled = false;
+    setStatus(prev => (prev === 'ready' ? prev : 'loading'));
+
+    getList(listId)
+      .then(data => {
+        if (cancelled) return;
+        setList(data);
+        setStatus('ready');
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Error fetching list:', error);
+        setList(null);
+        setStatus(error instanceof HttpError && (error.status === 404 || error.status === 403) ? 'not-found' : 'error');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [listId, authStatus, reloadCount]);
+
+  const reload = useCallback(() => setReloadCount(count => count + 1), []);
+
+  return { list, status, reload };
+}
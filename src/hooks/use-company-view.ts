@@ -0,0 +1,71 @@
+import { useEffect, useState } from 'react';
+import { useAuth } from './use-auth';
+import { getPreferences, savePreference } from '../lib/api';
+import { DEFAULT_TABLE_COLUMNS, TABLE_COLUMNS, TableColumnKey } from '../lib/table-columns';
+
+export type CompanyView = 'grid' | 'table';
+
+export interface CompanyViewLayout {
+  view: CompanyView;
+  columns: TableColumnKey[];
+}
+
+const PREFERENCE_KEY = 'companyView';
+const STORAGE_KEY = 'justwork.companyView';
+
+const DEFAULT_LAYOUT: CompanyViewLayout = { view: 'grid', columns: DEFAULT_TABLE_COLUMNS };
+
+// Stored layouts may predate column changes, so keep only known values
+const normalizeLayout = (value: unknown): CompanyViewLayout => {
+  const layout = (value && typeof value === 'object' ? value : {}) as Partial<CompanyViewLayout>;
+  const columns = Array.isArray(layout.columns)
+    ? TABLE_COLUMNS.map(column => column.key).filter(key => layout.columns?.includes(key))
+    : DEFAULT_LAYOUT.columns;
+  return { view: layout.view === 'table' ? 'table' : 'grid', columns };
+};
+
+const readStoredLayout = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? normalizeLayout(JSON.parse(stored)) : DEFAULT_LAYOUT;
+  } catch {
+    return DEFAULT_LAYOUT;
+  }
+};
+
+/**
+ * Grid or table view and the table's columns. Kept in localStorage and, when
+ * signed in, saved to the user's preferences so it follows them across devices.
+ */
+export function useCompanyView() {
+  const { status } = useAuth();
+  const [layout, setLayout] = useState<CompanyViewLayout>(readStoredLayout);
+
+  useEffect(() => {
+    if (status !== 'authenticated') return;
+    let cancelled = false;
+
+    getPreferences()
+      .then(({ preferences }) => {
+        if (!cancelled && preferences[PREFERENCE_KEY]) {
+          setLayout(normalizeLayout(preferences[PREFERENCE_KEY]));
+        }
+      })
+      .catch(error => console.error('Error fetching preferences:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [status]);
+
+  const updateLayout = (changes: Partial<CompanyViewLayout>) => {
+    const next = { ...layout, ...changes };
+    setLayout(next);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    if (status === 'authenticated') {
+      savePreference(PREFERENCE_KEY, next).catch(error => console.error('Error saving preferences:', error));
+    }
+  };
+
+  return { ...layout, updateLayout };
+}
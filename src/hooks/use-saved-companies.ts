@@ -0,0 +1,21 @@
+import { createContext, useContext } from 'react';
+
+export interface SavedCompaniesContextValue {
+  savedIds: Set<string>;
+  isSaved: (companyId: string) => boolean;
+  // Resolves once the server confirms; the star updates immediately
+  toggleSaved: (companyId: string) => Promise<void>;
+  markSaved: (companyId: string, saved: boolean) => void;
+  // Refetch the saved ids, e.g. after saving companies in bulk
+  reload: () => void;
+}
+
+export const SavedCompaniesContext = createContext<SavedCompaniesContextValue | null>(null);
+
+export function useSavedCompanies() {
+  const context = useContext(SavedCompaniesContext);
+  if (!context) {
+    throw new Error('useSavedCompanies must be used within a SavedCompaniesProvider');
+  }
+  return context;
+}
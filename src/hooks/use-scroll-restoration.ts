@@ -0,0 +1,34 @@
+import { useEffect, useLayoutEffect, useRef } from 'react';
+
+// Window scroll offsets by key, kept for the lifetime of the page
+const positions = new Map<string, number>();
+
+/**
+ * Remember the window scroll position under `key` while mounted and scroll
+ * back to it on remount, once `ready` (the content is rendered) is true.
+ */
+export function useScrollRestoration(key: string, ready: boolean) {
+  const restoredRef = useRef(false);
+
+  useEffect(() => {
+    // The browser would otherwise restore before the list has re-rendered
+    window.history.scrollRestoration = 'manual';
+
+    let frame = 0;
+    const handleScroll = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => positions.set(key, window.scrollY));
+    };
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener('scroll', handleScroll);
+    };
+  }, [key]);
+
+  useLayoutEffect(() => {
+    if (!ready || restoredRef.current) return;
+    restoredRef.current = true;
+    window.scrollTo(0, positions.get(key) ?? 0);
+  }, [key, ready]);
+}
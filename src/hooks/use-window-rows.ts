@@ -0,0 +1,51 @@
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { VirtualItem, useWindowVirtualizer } from '@tanstack/react-virtual';
+
+// Measured row sizes by list, so a remounted list (e.g. coming back from a
+// company page) has the same height and the saved scroll offset still fits
+const snapshots = new Map<string, VirtualItem[]>();
+
+interface WindowRowsOptions {
+  count: number;
+  estimateSize: number;
+  // Identifies the list and layout whose measurements can be reused
+  cacheKey: string;
+}
+
+/**
+ * Window-scrolled virtualization: only rows near the viewport are rendered.
+ * Attach `listRef` to the element the rows are positioned in; rows need
+ * `data-index` and `ref={virtualizer.measureElement}` for variable heights.
+ */
+export function useWindowRows<T extends HTMLElement>({ count, estimateSize, cacheKey }: WindowRowsOptions) {
+  const listRef = useRef<T>(null);
+  const [scrollMargin, setScrollMargin] = useState(0);
+
+  // Row offsets are relative to the page, and the filters above the list
+  // change height as they are used
+  useLayoutEffect(() => {
+    const update = () => {
+      if (listRef.current) {
+        setScrollMargin(listRef.current.getBoundingClientRect().top + window.scrollY);
+      }
+    };
+    update();
+    const observer = new ResizeObserver(update);
+    observer.observe(document.body);
+    return () => observer.disconnect();
+  }, []);
+
+  const virtualizer = useWindowVirtualizer({
+    count,
+    estimateSize: () => estimateSize,
+    overscan: 4,
+    scrollMargin,
+    initialMeasurementsCache: snapshots.get(cacheKey)
+  });
+
+  useEffect(() => () => {
+    snapshots.set(cacheKey, virtualizer.takeSnapshot());
+  }, [cacheKey, virtualizer]);
+
+  return { listRef, virtualizer };
+}
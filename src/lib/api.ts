@@ -0,0 +1,452 @@
+import { AuthUser, BulkActionResult, Company, CompanyAssignment, CompanyList, CompanyListDetail, CompanyListShare, CompanyNote, CompanySelection, Contact, Interaction, InteractionType, SavedCompany, SavedSearch, SearchCriteria, SearchSuggestions, SitemapResponse, Task, TaskInput, TaskStatus } from './types';
+
+export class HttpError extends Error {
+  status: number;
+  data: unknown;
+
+  constructor(status: number, data: unknown = null) {
+    super(`HTTP error! status: ${status}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+export interface AuthSession {
+  user: AuthUser;
+  accessToken: string;
+  refreshToken: string;
+}
+
+// The session is kept in localStorage so it survives reloads; the access
+// token is short-lived and renewed with the refresh token when it expires
+const AUTH_STORAGE_KEY = 'justwork.auth';
+const authListeners = new Set<(session: AuthSession | null) => void>();
+
+const readStoredSession = (): AuthSession | null => {
+  try {
+    const stored = localStorage.getItem(AUTH_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+};
+
+let authSession: AuthSession | null = readStoredSession();
+
+export const getAuthSession = () => authSession;
+
+export const setAuthSession = (session: AuthSession | null) => {
+  authSession = session;
+  if (session) {
+    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(session));
+  } else {
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+  }
+  // Cached responses may contain data only the previous user could see
+  prefetched.clear();
+  authListeners.forEach(listener => listener(session));
+};
+
+/**
+ * Subscribe to sign-in/sign-out (including a failed token refresh)
+ */
+export const onAuthChange = (listener: (session: AuthSession | null) => void) => {
+  authListeners.add(listener);
+  return () => {
+    authListeners.delete(listener);
+  };
+};
+
+const postJson = (url: string, body: unknown) =>
+  fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+// Concurrent 401s share a single refresh request
+let refreshing: Promise<boolean> | null = null;
+
+const refreshSession = (): Promise<boolean> => {
+  if (!refreshing) {
+    const refreshToken = authSession?.refreshToken;
+    refreshing = (async () => {
+      if (!refreshToken) return false;
+      try {
+        const response = await postJson('/api/auth/refresh', { refreshToken });
+        if (!response.ok) {
+          // Only sign out on a rejected token, not on network or server errors
+          if (response.status === 401) setAuthSession(null);
+          return false;
+        }
+        setAuthSession(await response.json());
+        return true;
+      } catch {
+        return false;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+const withAuthHeader = (init: RequestInit = {}): RequestInit => {
+  if (!authSession) return init;
+  const headers = new Headers(init.headers);
+  headers.set('Authorization', `Bearer ${authSession.accessToken}`);
+  return { ...init, headers };
+};
+
+/**
+ * fetch() that sends the access token and, on a 401, refreshes the session
+ * once and retries the request
+ */
+export const authFetch = async (url: string, init?: RequestInit): Promise<Response> => {
+  const hadSession = Boolean(authSession);
+  const response = await fetch(url, withAuthHeader(init));
+  if (response.status !== 401 || !hadSession) {
+    return response;
+  }
+
+  const refreshed = await refreshSession();
+  return refreshed ? fetch(url, withAuthHeader(init)) : response;
+};
+
+/**
+ * Fetch a JSON endpoint, throwing HttpError for non-2xx responses
+ */
+export const fetchJson = async <T>(url: string, init?: RequestInit): Promise<T> => {
+  const response = await authFetch(url, init);
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    throw new HttpError(response.status, data);
+  }
+  return response.json();
+};
+
+const authRequest = async (url: string, body: unknown): Promise<AuthSession> => {
+  const response = await postJson(url, body);
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new HttpError(response.status, data);
+  }
+  setAuthSession(data);
+  return data;
+};
+
+export const login = (email: string, password: string) =>
+  authRequest('/api/auth/login', { email, password });
+
+export const register = (details: { email: string; password: string; firstName?: string; lastName?: string }) =>
+  authRequest('/api/auth/register', details);
+
+export const logout = async () => {
+  const refreshToken = authSession?.refreshToken;
+  setAuthSession(null);
+  if (refreshToken) {
+    // Revocation is best-effort; the local session is already gone
+    await postJson('/api/auth/logout', { refreshToken }).catch(() => undefined);
+  }
+};
+
+export const getCurrentUser = () => fetchJson<{ user: AuthUser }>('/api/auth/me');
+
+/**
+ * Download an authenticated file response (plain links can't send the token)
+ */
+export const downloadFile = async (url: string, fallbackName = 'download', init?: RequestInit) => {
+  const response = await authFetch(url, init);
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    throw new HttpError(response.status, data);
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+  const objectUrl = URL.createObjectURL(await response.blob());
+
+  const link = document.createElement('a');
+  link.href = objectUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(objectUrl);
+};
+
+// Short-lived cache of in-flight/just-finished GET requests so a prefetch
+// started by the detail page is reused by the components that render it
+const PREFETCH_TTL = 30 * 1000;
+const prefetched = new Map<string, { promise: Promise<unknown>; timestamp: number }>();
+
+const cachedJson = <T>(url: string, fresh = false): Promise<T> => {
+  const cached = prefetched.get(url);
+  if (!fresh && cached && Date.now() - cached.timestamp < PREFETCH_TTL) {
+    return cached.promise as Promise<T>;
+  }
+
+  const promise = fetchJson<T>(url);
+  prefetched.set(url, { promise, timestamp: Date.now() });
+  promise.catch(() => prefetched.delete(url));
+  return promise;
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const isCompanyId = (value: string) => UUID_PATTERN.test(value);
+
+export interface ContactsResponse {
+  contacts: Contact[];
+  totalContacts: number;
+}
+
+export interface CompanyNameMatch {
+  id: string;
+  dunsNumber: string;
+  name: string;
+  city: string;
+}
+
+export const getCompany = (id: string, fresh = false) =>
+  cachedJson<Company>(`/api/companies/by-id/${id}`, fresh);
+
+// Legacy name lookup - the API redirects to the id route, or answers 300
+// with the candidate matches when several companies share the name
+export const getCompanyByName = (name: string) =>
+  fetchJson<Company>(`/api/companies/${encodeURIComponent(name)}`);
+
+export const getCompanyContacts = (id: string, fresh = false) =>
+  cachedJson<ContactsResponse>(`/api/companies/by-id/${id}/contacts`, fresh);
+
+// fresh also asks the server to recrawl the site
+export const getCompanySitemap = (id: string, limit = 20, fresh = false) =>
+  cachedJson<SitemapResponse>(`/api/companies/by-id/${id}/sitemap?limit=${limit}${fresh ? '&refresh=true' : ''}`, fresh);
+
+// Server-Sent Events with a running crawl's progress ('progress', then 'done' or 'failed')
+export const getSitemapEventsUrl = (id: string, limit = 20) =>
+  `/api/companies/by-id/${id}/sitemap/events?limit=${limit}`;
+
+/**
+ * Start loading everything the detail page needs in parallel
+ */
+export const prefetchCompanyDetail = (id: string) => {
+  [getCompany(id), getCompanyContacts(id), getCompanySitemap(id)].forEach(promise => {
+    // Errors are surfaced by the component that consumes each request
+    promise.catch(() => undefined);
+  });
+};
+
+export interface CompanyListResponse {
+  companies: Company[];
+  pagination: {
+    limit: number;
+    total: number | null;
+    hasMore: boolean;
+    nextCursor: string | null;
+  };
+}
+
+export interface SavedCompanyResponse extends SavedCompany {
+  companyId: string;
+}
+
+const sendJson = async (url: string, method: string, body?: unknown) => {
+  const response = await authFetch(url, {
+    method,
+    headers: body === undefined ? undefined : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    throw new HttpError(response.status, data);
+  }
+  return response.status === 204 ? null : response.json();
+};
+
+export const getSavedCompanies = (params: URLSearchParams) =>
+  fetchJson<CompanyListResponse>(`/api/saved-companies?${params}`);
+
+export const getSavedCompanyIds = () =>
+  fetchJson<{ ids: string[] }>('/api/saved-companies/ids');
+
+export const getSavedCompany = (id: string) =>
+  fetchJson<SavedCompanyResponse>(`/api/saved-companies/${id}`);
+
+// Leaving notes undefined keeps any existing note
+export const saveCompany = (id: string, notes?: string | null): Promise<SavedCompanyResponse> =>
+  sendJson(`/api/saved-companies/${id}`, 'PUT', notes === undefined ? {} : { notes });
+
+export const unsaveCompany = async (id: string) => {
+  await sendJson(`/api/saved-companies/${id}`, 'DELETE');
+};
+
+export const getCompanyNotes = (companyId: string) =>
+  fetchJson<{ notes: CompanyNote[] }>(`/api/companies/by-id/${companyId}/notes`);
+
+export const createCompanyNote = (companyId: string, text: string): Promise<CompanyNote> =>
+  sendJson(`/api/companies/by-id/${companyId}/notes`, 'POST', { text });
+
+export const updateCompanyNote = (companyId: string, noteId: string, text: string): Promise<CompanyNote> =>
+  sendJson(`/api/companies/by-id/${companyId}/notes/${noteId}`, 'PATCH', { text });
+
+export const deleteCompanyNote = async (companyId: string, noteId: string) => {
+  await sendJson(`/api/companies/by-id/${companyId}/notes/${noteId}`, 'DELETE');
+};
+
+export const getCompanyAssignment = (companyId: string) =>
+  fetchJson<CompanyAssignment>(`/api/companies/by-id/${companyId}/assignment`);
+
+export const removeCompanyTag = async (companyId: string, tag: string) => {
+  await sendJson(`/api/companies/by-id/${companyId}/tags/${encodeURIComponent(tag)}`, 'DELETE');
+};
+
+// Bulk actions on a selection of companies (see CompanySelection)
+export const saveCompanies = (selection: CompanySelection): Promise<BulkActionResult> =>
+  sendJson('/api/saved-companies/batch', 'POST', selection);
+
+export const tagCompanies = (selection: CompanySelection, tags: string[]): Promise<BulkActionResult> =>
+  sendJson('/api/companies/batch/tags', 'POST', { ...selection, tags });
+
+// A null owner unassigns
+export const assignCompanyOwner = (selection: CompanySelection, ownerId: string | null): Promise<BulkActionResult> =>
+  sendJson('/api/companies/batch/owner', 'POST', { ...selection, ownerId });
+
+export const createCompanyTasks = (selection: CompanySelection, task: Omit<TaskInput, 'companyId' | 'contactId'>): Promise<BulkActionResult> =>
+  sendJson('/api/tasks/batch', 'POST', { ...selection, task });
+
+export const getLists = () =>
+  fetchJson<{ lists: CompanyList[] }>('/api/lists');
+
+export const getList = (listId: string) =>
+  fetchJson<CompanyListDetail>(`/api/lists/${listId}`);
+
+export const getListCompanies = (listId: string, params: URLSearchParams) =>
+  fetchJson<CompanyListResponse>(`/api/lists/${listId}/companies?${params}`);
+
+export const createList = (name: string, description?: string | null): Promise<CompanyListDetail> =>
+  sendJson('/api/lists', 'POST', { name, description });
+
+export const updateList = (listId: string, changes: { name?: string; description?: string | null }): Promise<CompanyListDetail> =>
+  sendJson(`/api/lists/${listId}`, 'PATCH', changes);
+
+export const deleteList = async (listId: string) => {
+  await sendJson(`/api/lists/${listId}`, 'DELETE');
+};
+
+export const shareList = (listId: string, userId: string, permission: CompanyListShare['permission']): Promise<{ shares: CompanyListShare[] }> =>
+  sendJson(`/api/lists/${listId}/shares/${userId}`, 'PUT', { permission });
+
+// Also used by a sharee to leave a list
+export const unshareList = async (listId: string, userId: string) => {
+  await sendJson(`/api/lists/${listId}/shares/${userId}`, 'DELETE');
+};
+
+export const addToList = (listId: string, selection: CompanySelection): Promise<BulkActionResult> =>
+  sendJson(`/api/lists/${listId}/items`, 'POST', selection);
+
+export const removeFromList = (listId: string, selection: CompanySelection): Promise<BulkActionResult> =>
+  sendJson(`/api/lists/${listId}/items/remove`, 'POST', selection);
+
+// afterCompanyId moves the company after that one; null moves it to the top
+export const updateListItem = (listId: string, companyId: string, changes: { notes?: string | null; afterCompanyId?: string | null }): Promise<{ companyId: string; notes: string | null }> =>
+  sendJson(`/api/lists/${listId}/items/${companyId}`, 'PATCH', changes);
+
+export const removeListItem = async (listId: string, companyId: string) => {
+  await sendJson(`/api/lists/${listId}/items/${companyId}`, 'DELETE');
+};
+
+export const getUsers = () => fetchJson<{ users: AuthUser[] }>('/api/users');
+
+export const getPreferences = () =>
+  fetchJson<{ preferences: Record<string, unknown> }>('/api/preferences');
+
+export const savePreference = (key: string, value: unknown): Promise<{ key: string; value: unknown }> =>
+  sendJson(`/api/preferences/${encodeURIComponent(key)}`, 'PUT', { value });
+
+// Type-ahead for the search box; empty until the query has 3 characters
+export const getSearchSuggestions = (query: string, signal?: AbortSignal) =>
+  fetchJson<{ query: string; suggestions: SearchSuggestions }>(`/api/companies/suggest?q=${encodeURIComponent(query)}`, { signal });
+
+export const getSavedSearches = () =>
+  fetchJson<{ savedSearches: SavedSearch[] }>('/api/saved-searches');
+
+export const createSavedSearch = (name: string, criteria: SearchCriteria): Promise<SavedSearch> =>
+  sendJson('/api/saved-searches', 'POST', { name, criteria });
+
+export const renameSavedSearch = (id: string, name: string): Promise<SavedSearch> =>
+  sendJson(`/api/saved-searches/${id}`, 'PATCH', { name });
+
+export const deleteSavedSearch = async (id: string) => {
+  await sendJson(`/api/saved-searches/${id}`, 'DELETE');
+};
+
+export interface SavedSearchRun {
+  savedSearch: SavedSearch;
+  // Previous run time; newCompanyIds were added after it (newest first, capped)
+  newSince: string | null;
+  newMatches: number;
+  newCompanyIds: string[];
+}
+
+export const runSavedSearch = (id: string): Promise<SavedSearchRun> =>
+  sendJson(`/api/saved-searches/${id}/run`, 'POST');
+
+export interface TasksResponse {
+  tasks: Task[];
+  counts: Record<TaskStatus, number>;
+  status: TaskStatus;
+}
+
+// Local calendar date, so "due today" matches the user's day rather than the server's
+export const localDateString = (date = new Date()) => {
+  const pad = (value: number) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export const getTasks = (status: TaskStatus, companyId?: string) => {
+  const params = new URLSearchParams({ status, today: localDateString() });
+  if (companyId) {
+    params.set('companyId', companyId);
+  }
+  return fetchJson<TasksResponse>(`/api/tasks?${params}`);
+};
+
+export const createTask = (task: TaskInput): Promise<Task> =>
+  sendJson('/api/tasks', 'POST', task);
+
+export const updateTask = (taskId: string, changes: Partial<Omit<TaskInput, 'companyId' | 'contactId'>> & { completed?: boolean }): Promise<Task> =>
+  sendJson(`/api/tasks/${taskId}`, 'PATCH', changes);
+
+export const setTaskCompleted = (taskId: string, completed: boolean): Promise<Task> =>
+  updateTask(taskId, { completed });
+
+export const deleteTask = async (taskId: string) => {
+  await sendJson(`/api/tasks/${taskId}`, 'DELETE');
+};
+
+export interface ActivityResponse {
+  activity: Interaction[];
+  nextCursor: string | null;
+}
+
+/**
+ * Record an interaction for the activity timeline. Does nothing when signed
+ * out, and never throws - tracking must not get in the way of the UI.
+ */
+export const trackInteraction = (
+  type: Extract<InteractionType, 'view' | 'search' | 'external_link' | 'linkedin_lookup'>,
+  companyId: string | null = null,
+  data: Record<string, unknown> = {}
+) => {
+  if (!authSession) return;
+  sendJson('/api/interactions', 'POST', { type, companyId, data })
+    .catch(error => console.error('Error recording interaction:', error));
+};
+
+export const getCompanyActivity = (companyId: string, cursor?: string | null) =>
+  fetchJson<ActivityResponse>(`/api/companies/by-id/${companyId}/activity${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ''}`);
+
+export const getUserActivity = (userId = 'me', cursor?: string | null) =>
+  fetchJson<ActivityResponse>(`/api/users/${userId}/activity${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ''}`);
@@ -0,0 +1,182 @@
+import { CompanyFilters, CompanySort, SearchCriteria } from './types';
+
+export interface RangeBand {
+  key: string;
+  label: string;
+  min?: number;
+  max?: number;
+}
+
+// Size bands used by the filter dropdowns. Bounds are inclusive on both ends,
+// matching the revenueMin/revenueMax and employeesMin/employeesMax API params.
+// Keys match the revenue/employees buckets returned by /api/companies/facets.
+export const REVENUE_BANDS: RangeBand[] = [
+  { key: 'under-1m', label: 'Under $1M', max: 999999.99 },
+  { key: '1m-10m', label: '$1M – $10M', min: 1000000, max: 9999999.99 },
+  { key: '10m-50m', label: '$10M – $50M', min: 10000000, max: 49999999.99 },
+  { key: '50m-100m', label: '$50M – $100M', min: 50000000, max: 99999999.99 },
+  { key: '100m-plus', label: '$100M+', min: 100000000 }
+];
+
+export const EMPLOYEE_BANDS: RangeBand[] = [
+  { key: '1-9', label: '1 – 9', min: 1, max: 9 },
+  { key: '10-49', label: '10 – 49', min: 10, max: 49 },
+  { key: '50-249', label: '50 – 249', min: 50, max: 249 },
+  { key: '250-999', label: '250 – 999', min: 250, max: 999 },
+  { key: '1000-plus', label: '1,000+', min: 1000 }
+];
+
+export interface SortOption extends Required<CompanySort> {
+  label: string;
+  requiresSearch?: boolean;
+  // Only offered while viewing a company list
+  requiresList?: boolean;
+}
+
+// Sort choices offered in the SearchBar; an empty selection leaves the API
+// default (relevance while searching, name otherwise)
+export const SORT_OPTIONS: SortOption[] = [
+  { sort: 'relevance', order: 'desc', label: 'Best match', requiresSearch: true },
+  { sort: 'name', order: 'asc', label: 'Name (A–Z)' },
+  { sort: 'name', order: 'desc', label: 'Name (Z–A)' },
+  { sort: 'revenue', order: 'desc', label: 'Revenue (highest first)' },
+  { sort: 'revenue', order: 'asc', label: 'Revenue (lowest first)' },
+  { sort: 'employees', order: 'desc', label: 'Total employees (most first)' },
+  { sort: 'employees', order: 'asc', label: 'Total employees (fewest first)' },
+  { sort: 'siteEmployees', order: 'desc', label: 'Site employees (most first)' },
+  { sort: 'contacts', order: 'desc', label: 'Contacts (most first)' },
+  { sort: 'contacts', order: 'asc', label: 'Contacts (fewest first)' },
+  { sort: 'city', order: 'asc', label: 'City (A–Z)' },
+  { sort: 'city', order: 'desc', label: 'City (Z–A)' },
+  { sort: 'updated', order: 'desc', label: 'Recently updated' },
+  { sort: 'position', order: 'asc', label: 'List order', requiresList: true }
+];
+
+/**
+ * Find the index of the band matching a min/max pair, or -1 for a custom range
+ */
+export const findBandIndex = (bands: RangeBand[], min?: number, max?: number): number => {
+  return bands.findIndex(band => band.min === min && band.max === max);
+};
+
+/**
+ * Append structured filters to a query string using the /api/companies param names
+ */
+export const appendFilterParams = (params: URLSearchParams, filters: CompanyFilters) => {
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    if (Array.isArray(value)) {
+      value.forEach(item => params.append(key, item));
+    } else {
+      params.append(key, String(value));
+    }
+  });
+};
+
+/**
+ * Build the /api/companies query string for the current search, industry, filters and sort.
+ * `list` is only read by the home page (which then loads the list's companies).
+ */
+export const buildCompanyParams = (searchQuery: string, selectedIndustry: string, filters: CompanyFilters, sort: CompanySort = {}, listId = '') => {
+  const params = new URLSearchParams();
+
+  if (listId) {
+    params.append('list', listId);
+  }
+
+  if (searchQuery.trim()) {
+    params.append('search', searchQuery.trim());
+  }
+
+  if (selectedIndustry) {
+    params.append('industry', selectedIndustry);
+  }
+
+  appendFilterParams(params, filters);
+
+  if (sort.sort) {
+    params.append('sort', sort.sort);
+  }
+
+  if (sort.order) {
+    params.append('order', sort.order);
+  }
+
+  return params;
+};
+
+/**
+ * Remove undefined and empty-list entries so filter objects compare cleanly
+ */
+export const compactFilters = (filters: CompanyFilters): CompanyFilters => {
+  const compacted: CompanyFilters = {};
+  (Object.keys(filters) as (keyof CompanyFilters)[]).forEach(key => {
+    const value = filters[key];
+    if (value === undefined || (Array.isArray(value) && value.length === 0)) return;
+    (compacted as Record<string, unknown>)[key] = value;
+  });
+  return compacted;
+};
+
+/**
+ * Collect the current search, industry, filters and sort as saved search criteria
+ */
+export const buildSearchCriteria = (searchQuery: string, selectedIndustry: string, filters: CompanyFilters, sort: CompanySort): SearchCriteria => ({
+  ...(searchQuery.trim() ? { search: searchQuery.trim() } : {}),
+  ...(selectedIndustry ? { industry: [selectedIndustry] } : {}),
+  ...compactFilters(filters),
+  ...(sort.sort ? { sort: sort.sort, order: sort.order } : {})
+});
+
+/**
+ * Split saved search criteria back into SearchBar state. The SearchBar picks
+ * a single industry, so only the first saved one is applied.
+ */
+export const parseSearchCriteria = ({ search, industry, sort, order, ...filters }: SearchCriteria) => ({
+  searchQuery: search || '',
+  selectedIndustry: industry?.[0] || '',
+  filters: compactFilters(filters),
+  sort: sort ? { sort, order } : {}
+});
+
+const NUMBER_PARAMS = ['revenueMin', 'revenueMax', 'employeesMin', 'employeesMax', 'siteEmployeesMin', 'siteEmployeesMax'] as const;
+const LIST_PARAMS = ['state', 'city', 'postalCode', 'ownershipType', 'entityType'] as const;
+const BOOLEAN_PARAMS = ['isHeadquarters', 'hasWebsite', 'hasContacts'] as const;
+
+/**
+ * Read search, industry, filters and sort back from a query string written by
+ * buildCompanyParams. Unknown or malformed params are ignored.
+ */
+export const parseCompanyParams = (params: URLSearchParams) => {
+  const criteria: SearchCriteria = {};
+
+  const search = params.get('search')?.trim();
+  if (search) criteria.search = search;
+
+  const industry = params.getAll('industry').filter(Boolean);
+  if (industry.length > 0) criteria.industry = industry;
+
+  NUMBER_PARAMS.forEach(key => {
+    const value = params.get(key);
+    if (value !== null && value !== '' && Number.isFinite(Number(value))) criteria[key] = Number(value);
+  });
+
+  LIST_PARAMS.forEach(key => {
+    const values = params.getAll(key).filter(Boolean);
+    if (values.length > 0) criteria[key] = values;
+  });
+
+  BOOLEAN_PARAMS.forEach(key => {
+    const value = params.get(key);
+    if (value === 'true' || value === 'false') criteria[key] = value === 'true';
+  });
+
+  const sort = SORT_OPTIONS.find(option => option.sort === params.get('sort'))?.sort;
+  const order = params.get('order');
+  if (sort) {
+    criteria.sort = sort;
+    if (order === 'asc' || order === 'desc') criteria.order = order;
+  }
+
+  return { ...parseSearchCriteria(criteria), listId: params.get('list') || '' };
+};
@@ -0,0 +1,9 @@
+// Query string of the home page filters as last shown, so "back to all
+// companies" links return to the same search instead of a cleared one
+let homeSearch = '';
+
+export const setHomeSearch = (search: string) => {
+  homeSearch = search;
+};
+
+export const getHomeHref = () => `/${homeSearch}`;
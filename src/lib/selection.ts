@@ -0,0 +1,44 @@
+import { CompanySelection, SearchCriteria } from './types';
+
+// Ticked companies. Normally `ids` are the ticked rows; after "select all
+// matching" every company matching the current filters is selected and
+// `ids` holds the rows that were unticked since.
+export interface SelectionState {
+  allMatching: boolean;
+  ids: Set<string>;
+}
+
+// What the grid and table need to render and change checkboxes
+export interface SelectionControls {
+  isSelected: (companyId: string) => boolean;
+  setSelected: (companyIds: string[], selected: boolean) => void;
+}
+
+export const EMPTY_SELECTION: SelectionState = { allMatching: false, ids: new Set() };
+
+export const isCompanySelected = (state: SelectionState, companyId: string) =>
+  state.allMatching !== state.ids.has(companyId);
+
+export const selectCompanies = (state: SelectionState, companyIds: string[], selected: boolean): SelectionState => {
+  const ids = new Set(state.ids);
+  companyIds.forEach(id => {
+    if (selected !== state.allMatching) {
+      ids.add(id);
+    } else {
+      ids.delete(id);
+    }
+  });
+  return { ...state, ids };
+};
+
+export const countSelected = (state: SelectionState, totalCompanies: number) =>
+  state.allMatching ? Math.max(0, totalCompanies - state.ids.size) : state.ids.size;
+
+/**
+ * Request body for the bulk endpoints; "all matching" is resolved by the
+ * server from the filters, so it covers companies that were never loaded
+ */
+export const toCompanySelection = (state: SelectionState, criteria: SearchCriteria): CompanySelection =>
+  state.allMatching
+    ? { filter: criteria, excludeIds: [...state.ids] }
+    : { ids: [...state.ids] };
@@ -0,0 +1,37 @@
+import { SortField } from './types';
+
+export type TableColumnKey =
+  | 'location'
+  | 'industry'
+  | 'revenue'
+  | 'employees'
+  | 'phone'
+  | 'website'
+  | 'contactCount'
+  | 'primaryContact'
+  | 'isHeadquarters';
+
+// Optional columns of the company table, in display order. The name column
+// is always shown. `sort` is the /api/companies sort field for the header.
+export const TABLE_COLUMNS: { key: TableColumnKey; label: string; sort?: SortField; defaultSelected?: boolean }[] = [
+  { key: 'location', label: 'Location', sort: 'city', defaultSelected: true },
+  { key: 'industry', label: 'Industry', defaultSelected: true },
+  { key: 'revenue', label: 'Revenue', sort: 'revenue', defaultSelected: true },
+  { key: 'employees', label: 'Employees', sort: 'employees', defaultSelected: true },
+  { key: 'phone', label: 'Phone' },
+  { key: 'website', label: 'Website' },
+  { key: 'contactCount', label: 'Contacts', sort: 'contacts' },
+  { key: 'primaryContact', label: 'Primary contact' },
+  { key: 'isHeadquarters', label: 'HQ', defaultSelected: true }
+];
+
+export const DEFAULT_TABLE_COLUMNS = TABLE_COLUMNS.filter(column => column.defaultSelected).map(column => column.key);
+
+// First click on a header uses the field's natural direction (matching the API default)
+export const NATURAL_SORT_ORDER: Partial<Record<SortField, 'asc' | 'desc'>> = {
+  name: 'asc',
+  city: 'asc',
+  revenue: 'desc',
+  employees: 'desc',
+  contacts: 'desc'
+};
@@ -1,4 +1,5 @@
 export interface Contact {
+  id: string;
   firstName: string;
   lastName: string;
   title: string;
@@ -7,6 +8,8 @@ export interface Contact {
 }
 
 export interface Company {
+  id: string;
+  dunsNumber: string;
   name: string;
   tradestyle: string;
   address: string;
@@ -30,6 +33,30 @@ export interface Company {
   contacts?: Contact[];
   totalContacts?: number;
   approxAnnualRevenue?: string;
+  contactCount?: number;
+  primaryContactName?: string;
+  primaryContactTitle?: string;
+  relevanceScore?: number;
+  searchSnippet?: string;
+  // Present on companies returned by /api/saved-companies
+  saved?: SavedCompany;
+  // Present on companies returned by /api/lists/:id/companies
+  listItem?: { notes: string | null };
+}
+
+export interface CompanyNote {
+  id: string;
+  companyId: string;
+  // Markdown source
+  text: string;
+  createdAt: string;
+  updatedAt: string;
+  edited: boolean;
+}
+
+export interface SavedCompany {
+  notes: string | null;
+  savedAt: string;
 }
 
 export interface IndustryOption {
@@ -45,11 +72,191 @@ export interface SitemapPage {
   lastmod?: string;
   changefreq?: string;
   priority?: number;
+  // Link preview, read from the page itself for the top pages
+  description?: string | null;
+  image?: string | null;
+}
+
+// Progress of a background sitemap crawl
+export interface SitemapProgress {
+  status: 'queued' | 'running' | 'done' | 'failed';
+  hostsChecked: number;
+  hostsTotal: number;
+  sitemapsFound: number;
+  sitemapsProcessed: number;
+  pagesCrawled: number;
+  pagesFound: number;
 }
 
 export interface SitemapResponse {
   pages: SitemapPage[];
-  error?: string;
+  error?: string | null;
   totalFound: number;
   subdomainsChecked: number;
+  // When the pages were crawled; cached crawls are refreshed after a day
+  crawledAt?: string | null;
+  // A crawl is running; its pages arrive over getSitemapEventsUrl
+  crawling?: boolean;
+  progress?: SitemapProgress | null;
+}
+
+export interface CompanyFilters {
+  revenueMin?: number;
+  revenueMax?: number;
+  employeesMin?: number;
+  employeesMax?: number;
+  siteEmployeesMin?: number;
+  siteEmployeesMax?: number;
+  state?: string[];
+  city?: string[];
+  postalCode?: string[];
+  isHeadquarters?: boolean;
+  ownershipType?: string[];
+  entityType?: string[];
+  hasWebsite?: boolean;
+  hasContacts?: boolean;
+}
+
+export interface FacetValue<T = string> {
+  value: T;
+  count: number;
+}
+
+export interface FacetBucket {
+  key: string;
+  label: string;
+  min?: number;
+  max?: number;
+  count: number;
+}
+
+export interface CompanyFacets {
+  industry: FacetValue[];
+  state: FacetValue[];
+  city: FacetValue[];
+  ownershipType: FacetValue[];
+  entityType: FacetValue[];
+  isHeadquarters: FacetValue<boolean>[];
+  revenue: FacetBucket[];
+  employees: FacetBucket[];
+}
+
+export type SortField = 'name' | 'revenue' | 'employees' | 'siteEmployees' | 'contacts' | 'city' | 'updated' | 'relevance' | 'position';
+
+export interface CompanySort {
+  sort?: SortField;
+  order?: 'asc' | 'desc';
+}
+
+export interface AuthUser {
+  id: string;
+  email: string;
+  firstName: string | null;
+  lastName: string | null;
+}
+
+export type TaskStatus = 'overdue' | 'today' | 'upcoming' | 'completed' | 'open';
+export type TaskPriority = 'low' | 'medium' | 'high';
+
+export interface Task {
+  id: string;
+  title: string;
+  description: string | null;
+  // YYYY-MM-DD
+  dueDate: string | null;
+  priority: TaskPriority;
+  completed: boolean;
+  company: { id: string; name: string } | null;
+  contact: { id: string; name: string; title: string | null } | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface TaskInput {
+  title: string;
+  description?: string | null;
+  dueDate?: string | null;
+  priority?: TaskPriority;
+  companyId?: string | null;
+  contactId?: string | null;
+}
+
+export type InteractionType = 'view' | 'search' | 'external_link' | 'linkedin_lookup' | 'note' | 'task';
+
+export interface Interaction {
+  id: string;
+  type: InteractionType;
+  data: Record<string, unknown>;
+  createdAt: string;
+  user: { id: string; name: string; email: string };
+  company: { id: string; name: string } | null;
+}
+
+// Saved search criteria use the /api/companies query param names
+export type SearchCriteria = CompanyFilters & CompanySort & {
+  search?: string;
+  industry?: string[];
+  // Company list id; only bulk actions (which require sign-in) accept it
+  list?: string;
+};
+
+export interface SavedSearch {
+  id: string;
+  name: string;
+  criteria: SearchCriteria;
+  createdAt: string;
+  lastRunAt: string | null;
+  lastResultCount: number | null;
+  // Companies matching the criteria added since lastRunAt
+  newMatches: number | null;
+}
+
+// Target of a bulk action: explicit ids, or every company matching a filter
+// except excludeIds
+export type CompanySelection =
+  | { ids: string[] }
+  | { filter: SearchCriteria; excludeIds?: string[] };
+
+export interface BulkActionResult {
+  // Rows created or changed; already saved or tagged companies aren't counted
+  affected: number;
+}
+
+export interface CompanyOwner extends AuthUser {
+  assignedAt: string;
+}
+
+export interface CompanyAssignment {
+  owner: CompanyOwner | null;
+  tags: string[];
+}
+
+// The viewer's access to a company list
+export type ListPermission = 'owner' | 'edit' | 'view';
+
+export interface CompanyList {
+  id: string;
+  name: string;
+  description: string | null;
+  owner: AuthUser;
+  permission: ListPermission;
+  companyCount: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface CompanyListShare {
+  user: AuthUser;
+  permission: Exclude<ListPermission, 'owner'>;
+  sharedAt: string;
+}
+
+export interface CompanyListDetail extends CompanyList {
+  shares: CompanyListShare[];
+}
+
+export interface SearchSuggestions {
+  companies: { id: string; name: string; city: string; state: string }[];
+  tradestyles: { id: string; name: string; companyName: string; city: string; state: string }[];
+  cities: { city: string; state: string; count: number }[];
 }
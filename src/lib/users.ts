@@ -0,0 +1,5 @@
+import { AuthUser } from './types';
+
+// Full name when the user has one, otherwise their email
+export const formatUserName = (user: Pick<AuthUser, 'email' | 'firstName' | 'lastName'>) =>
+  [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email;